@@ -1,648 +1,562 @@
 //
 // Imports
 //
-const async = require("async");
-const parseString = require("xml2js").parseString;
-const PlexAPI = require("plex-api");
-const fs = require("fs");
+const readline = require("readline");
 const chalk = require("chalk");
 const yargs = require("yargs");
+const yargsParser = require("yargs/yargs");
+const mymovies2plex = require("./lib/sync");
+const syncState = require("./lib/sync-state");
+const duplicates = require("./lib/duplicates");
+const config = require("./lib/config");
+const targets = require("./lib/targets");
+const watch = require("./lib/watch");
+const sources = require("./lib/sources");
+
+//
+// Constants
+//
+const DEFAULTS = mymovies2plex.DEFAULTS;
+
+// exit codes, so scheduled runs can tell why a run failed
+const EXIT_SUCCESS = 0;
+const EXIT_ERROR = 1;
+const EXIT_CONFIG = 2;
+const EXIT_CONNECTION = 3;
+const EXIT_PARTIAL = 4;
+
+// --json status of a finished run, by exit code
+const STATUSES = {
+    [EXIT_SUCCESS]: "success",
+    [EXIT_PARTIAL]: "partial"
+};
 
 //
 // Command-line args
 //
+
+// --config and --profile are read first, as the profile has the defaults for the other options
+const configArgv = yargsParser(process.argv.slice(2)).help(false).version(false).parse();
+
+let profileOptions = {};
+
+if (configArgv.config) {
+    try {
+        profileOptions = config.load(configArgv.config, configArgv.profile, Boolean(configArgv.token));
+    } catch (e) {
+        usageError(`${configArgv.config}: ${e.message}`);
+    }
+
+    // --section on the command line is used instead of the profile's movie and TV sections
+    if (configArgv.section) {
+        delete profileOptions["movie-section"];
+        delete profileOptions["tv-section"];
+    }
+}
+
 const argv = yargs
+    .config(profileOptions)
+    .string("config")
+    .describe("config", "Config file with profiles (command-line options override it)")
+    .string("profile")
+    .describe("profile", "Config file profile")
     .string("file")
-    .describe("file", "My Movies Collection.xml file name")
+    .describe("file", "My Movies Collection.xml file name (or other watch history, with --source-format)")
+    .string("source-format")
+    .describe("source-format", "Watch history file format")
+    .choices("source-format", sources.FORMATS)
+    .default("source-format", DEFAULTS.sourceFormat)
     .string("host")
-    .describe("host", "Plex host")
+    .describe("host", "Plex host (or Jellyfin or Emby host, with any port)")
     .string("token")
-    .describe("token", "Plex token")
+    .describe("token", "Plex token (or Jellyfin or Emby API key or access token)")
+    .string("target")
+    .describe("target", "Media server to sync with")
+    .choices("target", targets.TARGETS)
+    .default("target", DEFAULTS.target)
+    .string("target-user")
+    .describe("target-user", "Jellyfin or Emby user to sync (defaults to the token's user)")
+    .string("users")
+    .describe("users", "Plex Home users JSON file, to sync each user's watched status with their own token")
+    .array("section")
     .string("section")
-    .describe("section", "Section titles")
+    .describe("section", "Section titles or keys (defaults to all movie or TV sections)")
+    .array("exclude-section")
+    .string("exclude-section")
+    .describe("exclude-section", "Section titles or keys to skip")
+    .array("movie-section")
+    .string("movie-section")
+    .describe("movie-section", "Movie section titles (instead of --section)")
+    .array("tv-section")
+    .string("tv-section")
+    .describe("tv-section", "TV section titles (instead of --section)")
     .boolean("pretend")
     .describe("pretend", "Pretend (don't set status)")
-    .default("pretend", false)
+    .default("pretend", DEFAULTS.pretend)
     .boolean("watched")
     .describe("watched", "Set Watched movies")
-    .default("watched", false)
+    .default("watched", DEFAULTS.watched)
     .boolean("unwatched")
     .describe("unwatched", "Set Unwatched movies")
-    .default("unwatched", false)
+    .default("unwatched", DEFAULTS.unwatched)
+    .boolean("ratings")
+    .describe("ratings", "Set Ratings")
+    .default("ratings", DEFAULTS.ratings)
+    .number("rating-scale")
+    .describe("rating-scale", "Highest My Movies rating (mapped onto Plex's 0-10)")
+    .default("rating-scale", DEFAULTS.ratingScale)
+    .string("collections")
+    .describe("collections", "Collections mapping JSON file (My Movies fields to Plex collections)")
+    .boolean("prune-collections")
+    .describe("prune-collections", "Remove items from managed collections when they no longer qualify")
+    .default("prune-collections", DEFAULTS.pruneCollections)
+    .string("managed-collections")
+    .describe("managed-collections", "File listing the Plex collections this tool created")
+    .default("managed-collections", DEFAULTS.managedCollections)
     .describe("movies", "Operate on Movies")
-    .default("movies", false)
+    .default("movies", DEFAULTS.movies)
     .describe("tv", "Operate on TV shows")
-    .default("tv", false)
+    .default("tv", DEFAULTS.tv)
     .describe("series-fix", "Series fix JSON file")
+    .string("movie-fix")
+    .describe("movie-fix", "Movie fix JSON file")
+    .boolean("interactive")
+    .describe("interactive", "Interactively fix series and movies that don't match")
+    .default("interactive", DEFAULTS.interactive)
+    .string("direction")
+    .describe("direction", "Sync direction")
+    .choices("direction", mymovies2plex.DIRECTIONS)
+    .default("direction", DEFAULTS.direction)
+    .string("output")
+    .describe("output", "Updated Collection.xml file name (for plex-to-mymovies and two-way)")
+    .string("state")
+    .describe("state", "Last-sync state file (for two-way)")
+    .default("state", DEFAULTS.state)
+    .string("conflict")
+    .describe("conflict", "Conflict policy (for two-way)")
+    .choices("conflict", syncState.POLICIES)
+    .default("conflict", DEFAULTS.conflict)
+    .number("match-threshold")
+    .describe("match-threshold", "Minimum confidence (0-1) to use a fuzzy title match")
+    .default("match-threshold", DEFAULTS.matchThreshold)
+    .string("duplicates")
+    .describe("duplicates", "Which Plex copies of a movie to update")
+    .choices("duplicates", duplicates.COPIES)
+    .default("duplicates", DEFAULTS.duplicates)
+    .string("watched-policy")
+    .describe("watched-policy", "A movie with several discs or Plex copies is watched if any or all of them are")
+    .choices("watched-policy", duplicates.WATCHED_POLICIES)
+    .default("watched-policy", DEFAULTS.watchedPolicy)
+    .number("concurrency")
+    .describe("concurrency", "Number of Plex items to mark at once")
+    .default("concurrency", DEFAULTS.concurrency)
+    .array("report")
+    .string("report")
+    .describe("report", "Reconciliation report file(s) (.json, .csv or .html)")
+    .string("plan")
+    .describe("plan", "Write the Plex changes to a plan file instead of making them")
+    .string("apply")
+    .describe("apply", "Make the Plex changes in a plan file")
+    .string("journal-dir")
+    .describe("journal-dir", "Directory to write each run's journal of Plex changes to")
+    .default("journal-dir", DEFAULTS.journalDir)
+    .boolean("journal-list")
+    .describe("journal-list", "List past runs' journals")
+    .string("rollback")
+    .describe("rollback", "Undo the Plex changes in a journal (file name or run ID)")
+    .string("export-snapshot")
+    .describe("export-snapshot", "Export the Plex sections (picked like a sync's) to a snapshot file")
+    .string("plex-snapshot")
+    .describe("plex-snapshot", "Match, report and plan against a snapshot file instead of the Plex server")
+    .boolean("json")
+    .describe("json", "Print a JSON summary of the run (logging goes to stderr)")
+    .boolean("watch")
+    .describe("watch", "Keep running, re-syncing whatever changes in --file")
+    .number("watch-debounce")
+    .describe("watch-debounce", "Seconds to wait for changes to settle before re-syncing")
+    .default("watch-debounce", 10)
+    .string("listen")
+    .describe("listen", "Port (or host:port) for Plex webhooks and the status endpoint (with --watch)")
+    .string("scrobble-log")
+    .describe("scrobble-log", "File to record Plex webhook scrobbles to, one JSON line each (with --listen)")
+    .fail(function(message, err, parser) {
+        if (err) {
+            throw err;
+        }
+
+        if (!configArgv.json) {
+            console.error(parser.help());
+        }
+
+        usageError(message);
+    })
     .help()
     .strict()
     .version()
     .argv;
 
-const fileName = argv.file;
-const hostName = argv.host;
-const token = argv.token;
-const pretend = argv.pretend;
-const sectionFilter = argv.section;
-const setWatched = argv.watched;
-const setUnwatched = argv.unwatched;
-const setTv = argv.tv;
-const setMovies = argv.movies;
-const seriesFix = argv.seriesFix;
+const applyFileName = argv.apply;
+const listJournals = argv.journalList;
+const rollbackName = argv.rollback;
+const exportName = argv.exportSnapshot;
+
+// whether My Movies' Collection.xml may be updated
+const writesMyMovies = argv.direction !== mymovies2plex.DIRECTION_MYMOVIES_TO_PLEX;
+
+// whether this run reads My Movies (--apply and --rollback make changes from a file instead)
+const syncing = !applyFileName && !rollbackName && !listJournals && !exportName;
 
 // check we have the basics set
-if (!fileName || !hostName || !token) {
-    console.error("Usage: node index.js --file 'Collection.xml' --host 'plexserver' --token 'foo'");
-    process.exit(1);
+if (!syncing && !listJournals && (!argv.host || !argv.token)) {
+    usageError("Usage: node index.js --apply 'plan.json' --host 'plexserver' --token 'foo'\n" +
+        "   or: node index.js --rollback 'journal' --host 'plexserver' --token 'foo'\n" +
+        "   or: node index.js --export-snapshot 'snapshot.json' --host 'plexserver' --token 'foo'");
 }
 
-if (!setWatched && !setUnwatched) {
-    console.error("--watched or --unwatched must bet set");
-    process.exit(1);
+if (syncing && (!argv.file || ((!argv.host || !argv.token) && !argv.plexSnapshot))) {
+    usageError("Usage: node index.js --file 'Collection.xml' --host 'plexserver' --token 'foo'\n" +
+        "   or: node index.js --file 'Collection.xml' --plex-snapshot 'snapshot.json' --pretend\n" +
+        "   or: node index.js --config 'config.json' --profile 'name'");
 }
 
-if (!setTv && !setMovies) {
-    console.error("--tv or --movies must bet set");
-    process.exit(1);
+if ([argv.plan, applyFileName, rollbackName, listJournals, exportName].filter(Boolean).length > 1) {
+    usageError("Only one of --plan, --apply, --rollback, --journal-list and --export-snapshot can be set");
 }
 
-if (setTv && setMovies) {
-    console.error("--tv and --movies cannot both be set");
-    process.exit(1);
+const problem = mymovies2plex.validate(argv, syncing) || watch.validate(argv, syncing);
+
+if (problem) {
+    usageError(problem);
 }
 
 //
 // Locals
 //
-var client = new PlexAPI({
-    hostname: hostName,
-    token: token
+
+// stdin prompt, created on first use
+var prompt;
+
+var runStart = Date.now();
+
+const sync = mymovies2plex.create(Object.assign({}, argv, {
+    ask: ask
+}));
+
+sync.on("log", function(message, level) {
+    if (level === "error" || argv.json) {
+        console.error(message);
+    } else {
+        console.log(message);
+    }
 });
 
 //
 // Exec
 //
-async.waterfall([
-    //
-    // 1. Read in the My Movies Collections.xml
-    //
-    function readXml(cb) {
-        console.log(`Reading ${chalk.green(fileName)}...`);
-        fs.readFile(fileName, "utf-8", cb);
-    },
-
-    //
-    // 2. Parse the XML into JS
-    //
-    function parseXml(fileContents, cb) {
-        console.log("Parsing XML...");
-        parseString(fileContents, cb);
-    },
-
-    //
-    // 3. Movies: For each Disc, find titles that are in My Movies
-    //
-    function(collection, cb) {
-        if (!collection ||
-            !collection.Collection ||
-            (!collection.Collection.DiscTitles && !collection.Collection.TVSeries)) {
-            return cb("XML does not have DiscTitles or TVSeries!");
+let running;
+
+if (argv.watch) {
+    watchFile();
+} else if (listJournals) {
+    running = sync.listJournals().then(() => ({ notSet: [] }));
+} else if (applyFileName) {
+    running = sync.applyPlan(applyFileName);
+} else if (rollbackName) {
+    running = sync.rollback(rollbackName);
+} else if (exportName) {
+    running = sync.exportSnapshot(exportName);
+} else {
+    running = sync.sync();
+}
+
+if (running) {
+    running.then(result => done(null, result), err => done(err, {}));
+}
+
+/**
+ * Keeps running, re-syncing whatever changes, until stopped
+ */
+function watchFile() {
+    const watcher = watch.create(sync, argv);
+
+    watcher.on("log", function(message, level) {
+        sync.emit("log", chalk.cyan(message), level);
+    });
+
+    watcher.on("run", function(reason) {
+        runStart = Date.now();
+
+        sync.emit("log", chalk.cyan(`\n${new Date().toISOString()}: syncing (${reason})`));
+    });
+
+    watcher.on("done", function(err, result, lastRun) {
+        done(err, Object.assign({ reason: lastRun.reason }, result));
+    });
+
+    watcher.on("scrobble", function(entry) {
+        sync.emit("log", chalk.cyan(`Plex scrobble: ${entry.series ? entry.series + " " : ""}` +
+            `${entry.season ? "S" + entry.season + "E" + entry.episode + " " : ""}` +
+            `${entry.title} (${entry.account || "unknown account"})`));
+    });
+
+    /**
+     * Stops watching, once any running sync finishes
+     */
+    function stop() {
+        watcher.close(() => process.exit());
+    }
+
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    watcher.start(function(err) {
+        if (err) {
+            process.exit(EXIT_ERROR);
         }
+    });
+}
+
+/**
+ * Prints an error in the options or config file, and exits
+ *
+ * @param {string} message Error message
+ */
+function usageError(message) {
+    if (configArgv.json) {
+        printJson({
+            status: "error",
+            exitCode: EXIT_CONFIG,
+            error: {
+                kind: mymovies2plex.ERROR_CONFIG,
+                message: message
+            }
+        });
+    } else {
+        console.error(message);
+    }
+
+    process.exit(EXIT_CONFIG);
+}
 
-        if (setMovies) {
-            return goMovies(collection, cb);
-        } else if (setTv) {
-            return goTv(collection, cb);
+/**
+ * Gets the exit code of a run
+ *
+ * @param {Error} err Error
+ * @param {object} summary Run summary
+ *
+ * @returns {number} Exit code
+ */
+function exitCode(err, summary) {
+    if (err) {
+        if (err.kind === mymovies2plex.ERROR_CONFIG) {
+            return EXIT_CONFIG;
+        } else if (err.kind === mymovies2plex.ERROR_CONNECTION) {
+            return EXIT_CONNECTION;
         }
 
-        return undefined;
+        return EXIT_ERROR;
+    }
+
+    const failed = Object.keys(summary.counts).some(section => summary.counts[section].failed > 0);
+
+    return failed ? EXIT_PARTIAL : EXIT_SUCCESS;
+}
+
+/**
+ * Prints the JSON summary of a run to stdout
+ *
+ * @param {object} output Summary
+ */
+function printJson(output) {
+    // with --watch, there's a line for each run
+    process.stdout.write(JSON.stringify(output, null, configArgv.watch ? 0 : 2) + "\n");
+}
+
+/**
+ * Prints the JSON summary of a finished run
+ *
+ * @param {Error} err Error
+ * @param {object} result Run result ({ changed, notSet, journals }, reason with --watch, and
+ *   file, movies, shows and episodes with --export-snapshot)
+ * @param {object} summary Run summary
+ * @param {number} code Exit code
+ */
+function doneJson(err, result, summary, code) {
+    const notSet = result.notSet || [];
+
+    let sections = {};
+
+    Object.keys(summary.counts).forEach(function(section) {
+        const counts = summary.counts[section];
+
+        sections[section] = {
+            matched: counts.matched,
+            changed: counts.changed,
+            unchanged: counts.inSync,
+            unmatched: counts.unmatched,
+            skipped: counts.skipped,
+            conflicts: counts.conflicts,
+            failed: counts.failed
+        };
+    });
+
+    let timings = {};
+
+    summary.timings.forEach(function(timing) {
+        timings[timing.name] = timing.ms / 1000;
+    });
+
+    timings.total = (Date.now() - runStart) / 1000;
+
+    printJson({
+        reason: result.reason,
+        status: STATUSES[code] || "error",
+        exitCode: code,
+        error: err ? { kind: err.kind || null, message: err.message } : null,
+        pretend: Boolean(argv.pretend),
+        direction: argv.direction,
+        sections: sections,
+        changed: result.changed || [],
+        unmatched: notSet.filter(item => item.status === "unmatched"),
+        skipped: notSet.filter(item => item.status === "skipped"),
+        failed: notSet.filter(item => item.status === "failed"),
+        journal: summary.journal || null,
+        journals: result.journals,
+        snapshot: exportName ? {
+            file: result.file,
+            movies: result.movies,
+            shows: result.shows,
+            episodes: result.episodes
+        } : undefined,
+        timings: timings
+    });
+}
+
+/**
+ * Finishes the run, listing anything that could not be set, and timings, and
+ * sets the exit code
+ *
+ * @param {Error} err Error
+ * @param {object} result Run result ({ changed, notSet, journals })
+ */
+function done(err, result) {
+    const summary = sync.summary();
+    const titlesNotSet = result.notSet || [];
+
+    process.exitCode = exitCode(err, summary);
+
+    if (prompt) {
+        prompt.rl.close();
     }
-],
-function(err, titlesNotSet) {
-    //
-    // End of tasks
-    //
+
+    if (argv.json) {
+        doneJson(err, result, summary, process.exitCode);
+        return;
+    }
+
     console.log();
 
     if (err) {
-        console.error(chalk.red(JSON.stringify(err)));
+        console.error(chalk.red(err.message));
     }
 
     if (titlesNotSet.length) {
-        if (pretend) {
+        if (argv.pretend) {
             console.log(chalk.yellow("Pretend mode!  Did not change anything.\n"));
         }
 
         console.log(chalk.yellow("Could not set:"));
 
         titlesNotSet.forEach(function(title) {
-            console.log(chalk.yellow(`\t ✖ ${title.series ? title.series : ""}` +
+            console.log(chalk.yellow(`\t ✖ ${title.user ? title.user + ": " : ""}` +
+                `${title.series ? title.series : ""}` +
                 `${title.season ? " Season " + title.season : ""} ` +
-                `${title.title} (${title.imdb ? title.imdb : "tt?"}) to ` +
-                `${title.watched ? "watched" : "unwatched"}`));
+                `${title.title} (${title.imdb ? title.imdb : "tt?"})` +
+                `${writesMyMovies ? "" : " to " + (title.watched ? "watched" : "unwatched")}`));
         });
     }
 
-    console.log("Done!");
-});
-
-function goMovies(collection, callback) {
-    async.waterfall([
-        //
-        // 1. For each Disc, find titles that are in My Movies
-        //
-        function(cb) {
-            console.log(`Checking ${collection.Collection.DiscTitles[0].DiscTitle.length} titles...`);
-
-            // titles
-            let titles = [];
-
-            async.eachSeries(
-                collection.Collection.DiscTitles[0].DiscTitle,
-                function(title, cbTitle) {
-                    // Watched is an attribute on PersonalData
-                    const watched = title.PersonalData &&
-                        title.PersonalData[0] &&
-                        title.PersonalData[0].$ &&
-                        title.PersonalData[0].$.Watched === "True";
-
-                    console.log(`\t${title.LocalTitle} (${title.IMDB}):`
-                        + ` ${watched ? chalk.green("Watched") : chalk.yellow("Unwatched")}`);
-
-                    if (setWatched && watched) {
-                        titles.push({
-                            title: title.LocalTitle[0].trim(),
-                            imdb: title.IMDB[0].trim(),
-                            watched: true
-                        });
-                    }
-
-                    if (setUnwatched && !watched) {
-                        titles.push({
-                            title: title.LocalTitle[0].trim(),
-                            imdb: title.IMDB[0].trim(),
-                            watched: false
-                        });
-                    }
-
-                    cbTitle();
-                },
-                function(err) {
-                    cb(err, titles);
-                });
-
-            return undefined;
-        },
-
-        //
-        // 2. Connect to Plex server
-        //
-        function(titles, cb) {
-            console.log();
-            console.log(`Connecting to Plex server at ${hostName}...`);
-
-            client.query("/").then(function(result) {
-                console.log(`\tPlex server version ${chalk.green(result.MediaContainer.version)}`);
-
-                cb(null, titles);
-            }, function(err) {
-                cb(err);
-            });
-        },
-
-        //
-        // 3. Find Sections that contain Movies
-        //
-        function(titles, cb) {
-            console.log("Checking Plex Library...");
-
-            client
-                .query("/library/sections")
-                .then(results => {
-                    console.log(`\tFound ${chalk.green(results.MediaContainer.Directory.length)} sections.`);
-
-                    // filter to the specified sections
-                    let filteredSections = results.MediaContainer.Directory;
-
-                    if (sectionFilter && sectionFilter.length) {
-                        filteredSections = results.MediaContainer.Directory.filter(function(section) {
-                            return section && sectionFilter.indexOf(section.title) !== -1;
-                        });
-                    }
-
-                    console.log(`\tFiltered to ${chalk.green(filteredSections.length)} sections: ` +
-                        filteredSections.map(s => s.title).join(", "));
-
-                    return cb(null, titles, filteredSections);
-                })
-                .catch(cb);
-        },
-
-        //
-        // 4. Mark movies in each Section as Watched/Unwatched
-        //
-        function(titles, filteredSections, cb) {
-            let watchedTitles = titles.filter(function(title) {
-                return title.watched;
-            });
-
-            let unWatchedTitles = titles.filter(function(title) {
-                return !title.watched;
-            });
-
-            if (setWatched) {
-                console.log(`Marking ${watchedTitles.length} watched...`);
-            }
-
-            if (setUnwatched) {
-                console.log(`Marking ${unWatchedTitles.length} unwatched...`);
-            }
+    if (Object.keys(summary.counts).length) {
+        console.log("Summary:");
 
-            // titles we could not set Watched status on
-            let titlesNotSet = [];
-
-            // loop over all Watched titles
-            async.eachSeries(titles, function(title, cbEachTitle) {
-                console.log(`\t${title.title}:`);
-
-                // Need an IMDB match
-                if (!title.imdb) {
-                    console.log(chalk.yellow("\t\t✖ no IMDB"));
-
-                    titlesNotSet.push(title);
-
-                    return cbEachTitle();
-                }
-
-                // loop over all filtered Sections
-                return async.eachSeries(filteredSections, function(section, cbEachSection) {
-
-                    // find all titles that match via IMDB ID
-                    client.query(`/library/sections/${section.key}/all?guid=` + encodeURIComponent(title.imdb))
-                        .then(function(titleSearch) {
-
-                            // could not find any matches
-                            if (titleSearch.MediaContainer.size === 0) {
-                                console.log(chalk.yellow("\t\t✖ no matches"));
-
-                                titlesNotSet.push(title);
-                                return cbEachSection();
-                            }
-
-                            let plexTitle = titleSearch.MediaContainer.Metadata[0];
-
-                            console.log(`\t\t${chalk.green("✔ #" + plexTitle.ratingKey)}`);
-
-                            if (pretend) {
-                                return cbEachSection();
-                            }
-
-                            // Mark as Watched
-                            if (setWatched && title.watched) {
-                                client.query("/:/scrobble?identifier=com.plexapp.plugins.library&key=" +
-                                    plexTitle.ratingKey)
-                                    .then(function() {
-                                        cbEachSection();
-                                    }, cbEachSection);
-                            } else if (setUnwatched && !title.watched) {
-                                client.query("/:/unscrobble?identifier=com.plexapp.plugins.library&key=" +
-                                    plexTitle.ratingKey)
-                                    .then(function() {
-                                        cbEachSection();
-                                    }, cbEachSection);
-                            }
-
-                            return undefined;
-                        });
-                },
-                cbEachTitle);
-            },
-            function(err) {
-                cb(err, titlesNotSet);
-            });
-        }
-    ],
-    callback);
-}
+        Object.keys(summary.counts).forEach(function(section) {
+            const counts = summary.counts[section];
 
-function goTv(collection, callback) {
-    async.waterfall([
-        //
-        // 1. For each TV series, find episodes
-        //
-        function(cb) {
-            console.log(`Checking ${collection.Collection.TVSeries[0].Series.length} series...`);
-
-            let episodes = [];
-
-            async.eachSeries(
-                collection.Collection.TVSeries[0].Series,
-                function(series, cbSeries) {
-                    let seriesTitle = series.LanguageSpecific[0].Title[0];
-                    console.log(`\t${seriesTitle} : ${series.Episodes[0].Episode.length} episodes`);
-
-                    async.eachSeries(
-                        series.Episodes[0].Episode,
-                        function(episode, cbEpisode) {
-                            const seasonNum = episode.Global[0].SeasonNumber[0];
-                            const episodeNum = episode.Global[0].EpisodeNumber[0];
-                            const episodeTitle = episode.LanguageSpecific[0].Title[0];
-                            const owned = episode.Global &&
-                                episode.Global[0] &&
-                                episode.Global[0].Owned &&
-                                episode.Global[0].Owned[0] === "True";
-
-                            const watched = episode.Personal &&
-                                episode.Personal[0] &&
-                                episode.Personal[0].Watched &&
-                                episode.Personal[0].Watched[0] === "True";
-
-                            console.log(`\t\tSeason ${seasonNum} Episode ${episodeNum}: ${episodeTitle}: ` +
-                                `${watched ? "watched" : "unwatched"}` +
-                                `${owned ? "" : " (unowned, skipping)"}`);
-
-                            if (!owned) {
-                                // skip
-                                return cbEpisode();
-                            }
-
-                            const episodeData = {
-                                series: seriesTitle,
-                                season: seasonNum,
-                                episode: episodeNum,
-                                title: episodeTitle,
-                                watched: watched
-                            };
-
-                            if (setWatched && watched) {
-                                episodes.push(episodeData);
-                            }
-
-                            if (setUnwatched && !watched) {
-                                episodes.push(episodeData);
-                            }
-
-                            return cbEpisode();
-                        },
-                        cbSeries);
-                },
-                function(err) {
-                    cb(err, episodes);
-                });
-            return undefined;
-        },
-
-        //
-        // 2. Connect to Plex server
-        //
-        function(episodes, cb) {
-            console.log();
-            console.log(`Connecting to Plex server at ${hostName}...`);
-
-            client.query("/").then(function(result) {
-                console.log(`\tPlex server version ${chalk.green(result.MediaContainer.version)}`);
-
-                cb(null, episodes);
-            }, function(err) {
-                cb(err);
-            });
-        },
-
-        //
-        // 3. Find Sections that contain TV Shows
-        //
-        function(episodes, cb) {
-            console.log();
-            console.log("Checking Plex Library...");
-
-            client
-                .query("/library/sections")
-                .then(results => {
-                    console.log(`\tFound ${chalk.green(results.MediaContainer.Directory.length)} sections.`);
-
-                    // filter to the specified sections
-                    let filteredSections = results.MediaContainer.Directory;
-
-                    if (sectionFilter && sectionFilter.length) {
-                        filteredSections = results.MediaContainer.Directory.filter(function(section) {
-                            return section && sectionFilter.indexOf(section.title) !== -1;
-                        });
-                    }
-
-                    console.log(`\tFiltered to ${chalk.green(filteredSections.length)} sections: ` +
-                        filteredSections.map(s => s.title).join(", "));
-
-                    return cb(null, episodes, filteredSections);
-                })
-                .catch(cb);
-        },
-
-        //
-        // 4. Get IDs of all Series/Episodes in Plex
-        //
-        function(episodes, filteredSections, cb) {
-            console.log();
-            console.log("Finding Plex TV Series...");
-
-            let plexSeries = {};
-
-            // loop over all filtered Sections
-            async.eachSeries(filteredSections, function(section, cbEachSection) {
-                // find all titles that match via IMDB ID
-                client.query(`/library/sections/${section.key}/all`)
-                    .then(function(titleSearch) {
-                        console.log(`Found ${chalk.green(titleSearch.MediaContainer.size)} TV shows.`);
-
-                        let tvSeries = titleSearch.MediaContainer.Metadata;
-
-                        async.eachSeries(tvSeries, function(series, cbEachSeries) {
-                            plexSeries[series.title] = {
-                                key: series.key,
-                                seasons: []
-                            };
-
-                            console.log(`\t${series.title}: ${series.childCount} season` +
-                                `, ${series.leafCount} episodes:`);
-
-                            client.query(`${series.key}`)
-                                .then(function(seasonSearch) {
-                                    async.eachSeries(
-                                        seasonSearch.MediaContainer.Metadata,
-                                        function(season, cbEachSeason) {
-                                            console.log(`\t\t${season.title}: ${season.leafCount} episodes:`);
-
-                                            plexSeries[series.title].seasons[season.index] = [];
-
-                                            client.query(`${season.key}`)
-                                                .then(function(epSearch) {
-                                                    async.eachSeries(
-                                                        epSearch.MediaContainer.Metadata,
-                                                        function(episode, cbEachEpisode) {
-
-                                                            let watched = episode.viewCount > 0;
-
-                                                            console.log(`\t\t\t${episode.title}: ` +
-                                                                `${watched ?
-                                                                    chalk.green("Watched") :
-                                                                    chalk.yellow("Unwatched")}`);
-
-                                                            plexSeries[series.title]
-                                                                .seasons[season.index][episode.index] =
-                                                                    episode.ratingKey;
-
-                                                            cbEachEpisode();
-                                                        }, cbEachSeason);
-                                                });
-                                        }, cbEachSeries);
-                                });
-                        }, cbEachSection);
-                    });
-            },
-            function(err) {
-                cb(err, episodes, filteredSections, plexSeries);
-            });
-        },
-
-        //
-        // 5. Load series.json for match
-        //
-        function(episodes, filteredSections, plexSeries, cb) {
-            if (!seriesFix) {
-                return cb(null, episodes, filteredSections, plexSeries);
-            }
+            console.log(`\t${section}: ${chalk.green(counts.changed)} changed, ${counts.inSync} already in sync, ` +
+                `${counts.unmatched ? chalk.yellow(counts.unmatched) : 0} unmatched, ` +
+                `${counts.skipped ? counts.skipped + " skipped, " : ""}` +
+                `${counts.conflicts ? chalk.yellow(counts.conflicts) + " conflicting, " : ""}` +
+                `${counts.failed ? chalk.red(counts.failed) : 0} failed`);
+        });
+    }
 
-            if (!fs.existsSync(seriesFix)) {
-                return cb(`${seriesFix} not found!`);
-            }
+    console.log("Timings:");
 
-            console.log();
-            console.log(`Fixing TV series mappings view ${seriesFix}`);
+    summary.timings.forEach(function(timing) {
+        console.log(`\t${timing.name}: ${(timing.ms / 1000).toFixed(1)}s`);
+    });
 
-            var seriesFixJson = JSON.parse(fs.readFileSync(seriesFix, "utf-8"));
+    console.log(`\tTotal: ${((Date.now() - runStart) / 1000).toFixed(1)}s`);
 
-            // match up via file
-            for (var seriesName in seriesFixJson) {
-                for (var plexSeriesName in plexSeries) {
-                    if (plexSeries[plexSeriesName].key === seriesFixJson[seriesName]) {
-                        plexSeries[seriesName] = plexSeries[plexSeriesName];
-                    }
-                }
+    console.log("Done!");
+}
 
-                console.log(`\t${seriesName} -> ${seriesFixJson[seriesName]}`);
+/**
+ * Asks the user a question on stdin.  Answers that were typed (or piped) ahead
+ * of the question are used in order.
+ *
+ * @param {string} question Question
+ * @param {function} callback Callback with the answer
+ *
+ * @returns {undefined}
+ */
+function ask(question, callback) {
+    if (!prompt) {
+        prompt = {
+            rl: readline.createInterface({ input: process.stdin }),
+            answers: [],
+            waiting: null,
+            closed: false
+        };
+
+        prompt.rl.on("line", function(line) {
+            if (prompt.waiting) {
+                const waiting = prompt.waiting;
+                prompt.waiting = null;
+                return waiting(line);
             }
 
-            return cb(null, episodes, filteredSections, plexSeries);
-        },
-
-        //
-        // 6. Look for TV series that don't match
-        //
-        function(episodes, filteredSections, plexSeries, cb) {
-            console.log();
-            console.log("Checking that Plex TV Series names match...");
-
-            let seriesNotMatched = [];
-
-            const series = [...new Set(episodes.map(episode => episode.series))];
-
-            series.forEach(function(seriesName) {
-                if (!plexSeries[seriesName]) {
-                    seriesNotMatched.push(seriesName);
-                }
-            });
-
-            if (seriesNotMatched.length) {
-                console.error(`${seriesNotMatched.length} TV Series not matched.`);
-                console.error("Use series.json to fix matchings. Example:");
-                console.error();
-                console.error("{");
-                seriesNotMatched.forEach(function(seriesName) {
-                    console.error(`    "${seriesName}": "/library/metadata/n/children",`);
-                });
-                console.error("}");
-                console.error();
-
-                console.error("Use these Plex TV series keys: ");
+            return prompt.answers.push(line);
+        });
 
-                for (var seriesName in plexSeries) {
-                    console.error(`\t${seriesName}: ${plexSeries[seriesName].key}`);
-                }
+        prompt.rl.on("close", function() {
+            prompt.closed = true;
 
-                return cb("Could not match all series!");
+            if (prompt.waiting) {
+                const waiting = prompt.waiting;
+                prompt.waiting = null;
+                waiting("");
             }
+        });
+    }
 
-            console.error("\tAll good!");
-
-            return cb(null, episodes, filteredSections, plexSeries);
-        },
-
-        //
-        // 7. Mark TV Shows in each Section as Watched/Unwatched
-        //
-        function(episodes, filteredSections, plexSeries, cb) {
-            console.log();
+    // with --json, stdout only has the summary
+    const out = argv.json ? process.stderr : process.stdout;
 
-            let watchedEpisodes = episodes.filter(function(title) {
-                return title.watched;
-            });
+    out.write(question);
 
-            let unWatchedEpisodes = episodes.filter(function(title) {
-                return !title.watched;
-            });
+    if (prompt.answers.length) {
+        const answer = prompt.answers.shift();
+        out.write(answer + "\n");
+        return callback(answer);
+    }
 
-            if (setWatched) {
-                console.log(`Marking ${watchedEpisodes.length} watched.`);
-            }
+    if (prompt.closed) {
+        out.write("\n");
+        return callback("");
+    }
 
-            if (setUnwatched) {
-                console.log(`Marking ${unWatchedEpisodes.length} unwatched.`);
-            }
+    prompt.waiting = callback;
 
-            console.log("Marking...");
-
-            // eposides we could not set Watched status on
-            let episodesNotSet = [];
-
-            // loop over all titles
-            async.eachSeries(episodes, function(episode, cbEachTitle) {
-                console.log(`\t${episode.series}: Season ${episode.season} ` +
-                    `Episode ${episode.episode}: ${episode.title}: ` +
-                    `${episode.watched ? "watched" : "unwatched"}`);
-
-                if (!plexSeries[episode.series] ||
-                    !plexSeries[episode.series].seasons[episode.season] ||
-                    !plexSeries[episode.series].seasons[episode.season][episode.episode]) {
-                    episodesNotSet.push(episode);
-                    return cbEachTitle();
-                }
-
-                if (pretend) {
-                    return cbEachTitle();
-                }
-
-                let plexKey = plexSeries[episode.series].seasons[episode.season][episode.episode];
-
-                // Mark as Watched
-                if (setWatched && episode.watched) {
-                    client.query("/:/scrobble?identifier=com.plexapp.plugins.library&key=" +
-                        plexKey)
-                        .then(function() {
-                            cbEachTitle();
-                        }, cbEachTitle);
-                } else if (setUnwatched && !episode.watched) {
-                    client.query("/:/unscrobble?identifier=com.plexapp.plugins.library&key=" +
-                        plexKey)
-                        .then(function() {
-                            cbEachTitle();
-                        }, cbEachTitle);
-                }
-
-                return undefined;
-            },
-            function(err) {
-                cb(err, episodesNotSet);
-            });
-        }
-    ],
-    callback);
+    return undefined;
 }
@@ -0,0 +1,281 @@
+//
+// Imports
+//
+const async = require("async");
+const fs = require("fs");
+const plexClient = require("./plex-client");
+
+//
+// Constants
+//
+
+// Plex metadata type for movies
+const TYPE_MOVIE = 1;
+
+// placeholder for each field value in a collection title
+const VALUE_PLACEHOLDER = "{value}";
+
+/**
+ * Loads a collections mapping file, which maps DiscTitle fields (element paths,
+ * optionally ending in an @attribute) to Plex collection titles, e.g.:
+ *   {
+ *     "Genres/Genre": "{value}",
+ *     "BoxSet/@Name": "Box Set: {value}"
+ *   }
+ *
+ * @param {string} fileName Mapping file name
+ *
+ * @returns {object} Mapping
+ */
+function loadMapping(fileName) {
+    const mapping = JSON.parse(fs.readFileSync(fileName, "utf-8"));
+
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+        throw new Error("Mapping must be an object of field: collection title");
+    }
+
+    Object.keys(mapping).forEach(function(field) {
+        if (typeof mapping[field] !== "string" || !mapping[field].trim()) {
+            throw new Error(`${field} needs a collection title`);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Gets the values of a field of a parsed XML node
+ *
+ * @param {object} node Parsed XML element (in xml2js form)
+ * @param {string} field Element path, optionally ending in an @attribute
+ *
+ * @returns {string[]} Values
+ */
+function fieldValues(node, field) {
+    let nodes = [node];
+    let values = [];
+
+    field.split("/").forEach(function(part, i, parts) {
+        if (part.charAt(0) === "@" && i === parts.length - 1) {
+            values = nodes.map(child => child && child.$ && child.$[part.substring(1)]);
+            nodes = [];
+            return;
+        }
+
+        nodes = nodes.reduce((children, child) => children.concat((child && child[part]) || []), []);
+    });
+
+    if (nodes.length) {
+        // elements with attributes have their text in _
+        values = nodes.map(function(child) {
+            return typeof child === "string" ? child : child && child._;
+        });
+    }
+
+    return values
+        .filter(value => typeof value === "string" && value.trim())
+        .map(value => value.trim());
+}
+
+/**
+ * Gets the Plex collections a DiscTitle belongs in
+ *
+ * @param {object} mapping Mapping
+ * @param {object} title Parsed DiscTitle (in xml2js form)
+ *
+ * @returns {string[]} Collection titles
+ */
+function titleCollections(mapping, title) {
+    let collections = [];
+
+    Object.keys(mapping).forEach(function(field) {
+        fieldValues(title, field).forEach(function(value) {
+            const collection = mapping[field].split(VALUE_PLACEHOLDER).join(value);
+
+            if (collections.indexOf(collection) === -1) {
+                collections.push(collection);
+            }
+        });
+    });
+
+    return collections;
+}
+
+/**
+ * Loads the list of collections this tool created (and so manages)
+ *
+ * @param {string} fileName Managed collections file name
+ *
+ * @returns {object} Collection titles, by ratingKey
+ */
+function loadManaged(fileName) {
+    return fs.existsSync(fileName) ? JSON.parse(fs.readFileSync(fileName, "utf-8")) : {};
+}
+
+/**
+ * Saves the list of collections this tool created
+ *
+ * @param {string} fileName Managed collections file name
+ * @param {object} managed Collection titles, by ratingKey
+ */
+function saveManaged(fileName, managed) {
+    fs.writeFileSync(fileName, JSON.stringify(managed, null, 2), "utf-8");
+}
+
+/**
+ * Loads the collections (and their items) in Plex sections
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {object[]} sections Plex sections
+ * @param {function} callback Callback with the collections ({ ratingKey, title, sectionKey, items })
+ */
+function loadExisting(client, sections, callback) {
+    let collections = [];
+
+    async.eachSeries(sections, function(section, cb) {
+        plexClient.queryAll(client, `/library/sections/${section.key}/collections`, function(err, items) {
+            if (err) {
+                return cb(err);
+            }
+
+            return async.eachSeries(items, function(item, cbItem) {
+                const uri = `/library/collections/${item.ratingKey}/children`;
+
+                plexClient.queryAll(client, uri, function(errItems, children) {
+                    if (errItems) {
+                        return cbItem(errItems);
+                    }
+
+                    collections.push({
+                        ratingKey: String(item.ratingKey),
+                        title: item.title,
+                        sectionKey: section.key,
+                        items: children.map(child => String(child.ratingKey))
+                    });
+
+                    return cbItem();
+                });
+            }, cb);
+        });
+    }, function(err) {
+        callback(err, collections);
+    });
+}
+
+/**
+ * Works out the collection changes needed.  Items are only removed from
+ * collections this tool manages, and only if prune is set.
+ *
+ * @param {object} wanted Wanted items: { sectionKey: { collection title: [ratingKey, ...] } }
+ * @param {object[]} existing Existing collections
+ * @param {object} managed Managed collection titles, by ratingKey
+ * @param {boolean} prune Whether to remove items that no longer qualify
+ *
+ * @returns {object[]} Changes ({ action: create|add|remove, sectionKey, title, collection, items })
+ */
+function diff(wanted, existing, managed, prune) {
+    let changes = [];
+
+    Object.keys(wanted).forEach(function(sectionKey) {
+        Object.keys(wanted[sectionKey]).forEach(function(title) {
+            const items = wanted[sectionKey][title];
+            const collection = existing.find(c => c.sectionKey === sectionKey && c.title === title);
+
+            if (!collection) {
+                changes.push({ action: "create", sectionKey: sectionKey, title: title, items: items });
+                return;
+            }
+
+            const missing = items.filter(item => collection.items.indexOf(item) === -1);
+
+            if (missing.length) {
+                changes.push({
+                    action: "add",
+                    sectionKey: sectionKey,
+                    title: title,
+                    collection: collection,
+                    items: missing
+                });
+            }
+        });
+    });
+
+    if (prune) {
+        existing.filter(collection => managed[collection.ratingKey]).forEach(function(collection) {
+            const items = (wanted[collection.sectionKey] && wanted[collection.sectionKey][collection.title]) || [];
+            const extra = collection.items.filter(item => items.indexOf(item) === -1);
+
+            if (extra.length) {
+                changes.push({
+                    action: "remove",
+                    sectionKey: collection.sectionKey,
+                    title: collection.title,
+                    collection: collection,
+                    items: extra
+                });
+            }
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Makes collection changes in Plex.  Collections that are created are added to
+ * the managed list.
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {string} machineIdentifier Plex server's machineIdentifier
+ * @param {object[]} changes Changes
+ * @param {object} managed Managed collection titles, by ratingKey
+ * @param {function} callback Callback
+ */
+function apply(client, machineIdentifier, changes, managed, callback) {
+    const serverUri = `server://${machineIdentifier}/com.plexapp.plugins.library/library/metadata/`;
+
+    async.eachSeries(changes, function(change, cb) {
+        const uri = encodeURIComponent(serverUri + change.items.join(","));
+
+        if (change.action === "create") {
+            return plexClient.send(client, "POST", `/library/collections?type=${TYPE_MOVIE}` +
+                `&title=${encodeURIComponent(change.title)}&smart=0&sectionId=${change.sectionKey}&uri=${uri}`,
+            function(err, result) {
+                if (err) {
+                    return cb(err);
+                }
+
+                const created = result && result.MediaContainer && result.MediaContainer.Metadata &&
+                    result.MediaContainer.Metadata[0];
+
+                if (created) {
+                    managed[String(created.ratingKey)] = change.title;
+                }
+
+                return cb();
+            });
+        } else if (change.action === "add") {
+            return plexClient.send(client, "PUT",
+                `/library/collections/${change.collection.ratingKey}/items?uri=${uri}`,
+                err => cb(err));
+        }
+
+        return async.eachSeries(change.items, function(item, cbItem) {
+            plexClient.send(client, "DELETE",
+                `/library/collections/${change.collection.ratingKey}/items/${item}`,
+                err => cbItem(err));
+        }, cb);
+    }, callback);
+}
+
+//
+// Exports
+//
+module.exports = {
+    loadMapping: loadMapping,
+    titleCollections: titleCollections,
+    loadManaged: loadManaged,
+    saveManaged: saveManaged,
+    loadExisting: loadExisting,
+    diff: diff,
+    apply: apply
+};
@@ -0,0 +1,145 @@
+//
+// Imports
+//
+const fs = require("fs");
+
+//
+// Constants
+//
+
+// keys a profile can have
+const PROFILE_KEYS = ["host", "tokenEnv", "tokenFile", "file", "movies", "tv", "options"];
+
+/**
+ * Picks the profile to use from a config file
+ *
+ * @param {object} config Config file contents
+ * @param {string} [name] Profile name (defaults to defaultProfile, or the only profile)
+ *
+ * @returns {object} Profile
+ */
+function pickProfile(config, name) {
+    const names = Object.keys(config.profiles || {});
+
+    name = name || config.defaultProfile || (names.length === 1 ? names[0] : undefined);
+
+    if (!name) {
+        throw new Error(`--profile must be set (profiles: ${names.join(", ") || "none"})`);
+    }
+
+    if (!config.profiles || !config.profiles[name]) {
+        throw new Error(`No profile "${name}" (profiles: ${names.join(", ") || "none"})`);
+    }
+
+    return config.profiles[name];
+}
+
+/**
+ * Reads a profile's Plex token from its environment variable or file, so it
+ * isn't in the config file, shell history or process list
+ *
+ * @param {object} profile Profile
+ *
+ * @returns {string} Token, if the profile has a token source
+ */
+function readToken(profile) {
+    if (profile.tokenEnv) {
+        if (!process.env[profile.tokenEnv]) {
+            throw new Error(`Environment variable ${profile.tokenEnv} is not set`);
+        }
+
+        return process.env[profile.tokenEnv];
+    }
+
+    if (profile.tokenFile) {
+        return fs.readFileSync(profile.tokenFile, "utf-8").trim();
+    }
+
+    return undefined;
+}
+
+/**
+ * Adds a profile's movies or tv options, e.g. { sections: ["TV"], "series-fix": "series.json" }
+ *
+ * @param {object} options Command-line option values
+ * @param {string} type movies or tv
+ * @param {boolean|object} settings Profile's movies or tv value
+ */
+function addType(options, type, settings) {
+    if (!settings) {
+        return;
+    }
+
+    options[type] = true;
+
+    if (typeof settings !== "object") {
+        return;
+    }
+
+    Object.keys(settings).forEach(function(key) {
+        if (key === "sections") {
+            options[type === "movies" ? "movie-section" : "tv-section"] = [].concat(settings.sections);
+        } else {
+            options[key] = settings[key];
+        }
+    });
+}
+
+/**
+ * Loads a profile from a config file, as command-line option values (which
+ * options given on the command line override).  The config file is:
+ *   {
+ *     "defaultProfile": "home",
+ *     "profiles": {
+ *       "home": {
+ *         "host": "plexhost",
+ *         "tokenEnv": "PLEX_TOKEN",
+ *         "file": "Collection.xml",
+ *         "movies": { "sections": ["Movies"] },
+ *         "tv": { "sections": ["TV"], "series-fix": "series.json" },
+ *         "options": { "watched": true, "unwatched": true }
+ *       }
+ *     }
+ *   }
+ *
+ * @param {string} fileName Config file name
+ * @param {string} [name] Profile name
+ * @param {boolean} [skipToken] Don't read the token (e.g. it was given on the command line)
+ *
+ * @returns {object} Command-line option values
+ */
+function load(fileName, name, skipToken) {
+    const profile = pickProfile(JSON.parse(fs.readFileSync(fileName, "utf-8")), name);
+
+    Object.keys(profile).forEach(function(key) {
+        if (PROFILE_KEYS.indexOf(key) === -1) {
+            throw new Error(`Unknown profile setting "${key}" (use ${PROFILE_KEYS.join(", ")})`);
+        }
+    });
+
+    let options = Object.assign({}, profile.options);
+
+    ["host", "file"].forEach(function(key) {
+        if (profile[key]) {
+            options[key] = profile[key];
+        }
+    });
+
+    const token = skipToken ? undefined : readToken(profile);
+
+    if (token) {
+        options.token = token;
+    }
+
+    addType(options, "movies", profile.movies);
+    addType(options, "tv", profile.tv);
+
+    return options;
+}
+
+//
+// Exports
+//
+module.exports = {
+    load: load
+};
@@ -0,0 +1,112 @@
+//
+// Imports
+//
+const match = require("./match");
+
+//
+// Constants
+//
+
+// --duplicates: which Plex copies of a movie to update
+const COPIES_ALL = "all";
+const COPIES_FIRST = "first";
+
+// --watched-policy: when a title with several copies counts as watched
+const WATCHED_ANY = "any";
+const WATCHED_ALL = "all";
+
+/**
+ * Gets the key that identifies a My Movies title across its discs: its IMDB ID,
+ * or its title and year if it doesn't have one
+ *
+ * @param {object} title My Movies title ({ imdb, title, year })
+ *
+ * @returns {string} Key
+ */
+function titleKey(title) {
+    return title.imdb || `${match.normalizeTitle(title.title)} (${title.year || "?"})`;
+}
+
+/**
+ * Groups My Movies titles that are the same film (e.g. a DVD and a Blu-ray)
+ *
+ * @param {object[]} titles My Movies titles
+ *
+ * @returns {Array[]} Groups of titles, in the order they were first seen
+ */
+function groupTitles(titles) {
+    let groups = [];
+    let byKey = {};
+
+    titles.forEach(function(title) {
+        const key = titleKey(title);
+
+        if (!byKey[key]) {
+            byKey[key] = [];
+            groups.push(byKey[key]);
+        }
+
+        byKey[key].push(title);
+    });
+
+    return groups;
+}
+
+/**
+ * Combines the Watched status of several copies of a title
+ *
+ * @param {boolean[]} values Watched status of each copy
+ * @param {string} policy WATCHED_ANY or WATCHED_ALL
+ *
+ * @returns {boolean} Whether the title is watched
+ */
+function combineWatched(values, policy) {
+    return policy === WATCHED_ALL ? values.every(Boolean) : values.some(Boolean);
+}
+
+/**
+ * Combines several copies of a title into one.  The first copy with a rating
+ * gives the rating (undefined if none are rated).  Copies without a watched
+ * status (from sources that only have a rating) are left out of its watched
+ * status, which is undefined if none have one.
+ *
+ * @param {object[]} copies Copies ({ watched, rating })
+ * @param {string} policy WATCHED_ANY or WATCHED_ALL
+ *
+ * @returns {object} { watched, rating, conflicts }, where conflicts are the
+ *   fields the copies disagree on
+ */
+function combine(copies, policy) {
+    const watched = copies
+        .filter(copy => typeof copy.watched !== "undefined")
+        .map(copy => Boolean(copy.watched));
+    const ratings = copies.map(copy => copy.rating)
+        .filter(rating => typeof rating !== "undefined" && rating !== null);
+
+    let conflicts = [];
+
+    if (watched.some(Boolean) && !watched.every(Boolean)) {
+        conflicts.push("watched");
+    }
+
+    if (ratings.some(rating => rating !== ratings[0])) {
+        conflicts.push("rating");
+    }
+
+    return {
+        watched: watched.length ? combineWatched(watched, policy) : undefined,
+        rating: ratings[0],
+        conflicts: conflicts
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    COPIES: [COPIES_ALL, COPIES_FIRST],
+    COPIES_FIRST: COPIES_FIRST,
+    WATCHED_POLICIES: [WATCHED_ANY, WATCHED_ALL],
+    groupTitles: groupTitles,
+    combine: combine
+};
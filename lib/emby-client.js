@@ -0,0 +1,170 @@
+//
+// Imports
+//
+const async = require("async");
+const http = require("http");
+const https = require("https");
+const url = require("url");
+const plexClient = require("./plex-client");
+
+//
+// Constants
+//
+
+// Jellyfin and Emby's default port
+const DEFAULT_PORT = 8096;
+
+// retries after the first attempt
+const RETRIES = 4;
+
+// first retry delay (ms), doubled for each retry after
+const BACKOFF = 500;
+
+// items per page when listing a whole library
+const PAGE_SIZE = 500;
+
+/**
+ * Creates a Jellyfin or Emby client
+ *
+ * @param {string} host Host, optionally with a scheme and port (e.g. https://jellyfin:8920)
+ * @param {string} token API key or user access token
+ *
+ * @returns {object} Client
+ */
+function create(host, token) {
+    const parsed = url.parse(/^https?:\/\//.test(host) ? host : `http://${host}`);
+
+    return {
+        protocol: parsed.protocol,
+        hostname: parsed.hostname,
+        port: parsed.port || (parsed.protocol === "https:" ? 443 : DEFAULT_PORT),
+        basePath: (parsed.pathname || "").replace(/\/$/, ""),
+        token: token
+    };
+}
+
+/**
+ * Sends one request.  HTTP errors are reported the way plex-api reports them
+ * ("response code: 404"), so they can be handled the same way.
+ *
+ * @param {object} client Client
+ * @param {string} method HTTP method
+ * @param {string} uri URI
+ * @param {function} callback Callback with the parsed JSON response, if any
+ */
+function request(client, method, uri, callback) {
+    const req = (client.protocol === "https:" ? https : http).request({
+        method: method,
+        hostname: client.hostname,
+        port: client.port,
+        path: client.basePath + uri,
+        headers: {
+            "Accept": "application/json",
+            "X-Emby-Token": client.token
+        }
+    }, function(res) {
+        let body = "";
+
+        res.setEncoding("utf8");
+
+        res.on("data", chunk => (body += chunk));
+
+        res.on("end", function() {
+            if (res.statusCode < 200 || res.statusCode >= 300) {
+                return callback(new Error(`response code: ${res.statusCode}`));
+            }
+
+            if (!body) {
+                return callback(null, undefined);
+            }
+
+            try {
+                return callback(null, JSON.parse(body));
+            } catch (e) {
+                return callback(new Error(`Invalid response from ${uri}: ${e.message}`));
+            }
+        });
+    });
+
+    req.on("error", callback);
+
+    req.end();
+}
+
+/**
+ * Sends a request, retrying with backoff on transient errors.  POSTs aren't
+ * retried, as they may have been done even if they failed.
+ *
+ * @param {object} client Client
+ * @param {string} method HTTP method (GET, POST or DELETE)
+ * @param {string} uri URI
+ * @param {function} callback Callback with the result
+ */
+function send(client, method, uri, callback) {
+    async.retry({
+        times: RETRIES + 1,
+        // async counts the first attempt, so the first retry is attempt 2
+        interval: attempt => BACKOFF * Math.pow(2, attempt - 2),
+        errorFilter: err => method !== "POST" && plexClient.isTransient(err)
+    }, function(cb) {
+        request(client, method, uri, cb);
+    }, callback);
+}
+
+/**
+ * Queries the server, retrying with backoff on transient errors
+ *
+ * @param {object} client Client
+ * @param {string} uri URI
+ * @param {function} callback Callback with the result
+ */
+function query(client, uri, callback) {
+    send(client, "GET", uri, callback);
+}
+
+/**
+ * Queries all of the Items of a listing, a page at a time
+ *
+ * @param {object} client Client
+ * @param {string} uri URI
+ * @param {function} callback Callback with all Items
+ */
+function queryAll(client, uri, callback) {
+    const separator = uri.indexOf("?") === -1 ? "?" : "&";
+
+    let items = [];
+    let done = false;
+
+    async.whilst(
+        () => !done,
+        function(cb) {
+            query(client, `${uri}${separator}StartIndex=${items.length}&Limit=${PAGE_SIZE}`, function(err, result) {
+                if (err) {
+                    return cb(err);
+                }
+
+                const page = result.Items || [];
+
+                items = items.concat(page);
+
+                done = !page.length ||
+                    typeof result.TotalRecordCount === "undefined" ||
+                    items.length >= result.TotalRecordCount;
+
+                return cb();
+            });
+        },
+        function(err) {
+            callback(err, items);
+        });
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create,
+    send: send,
+    query: query,
+    queryAll: queryAll
+};
@@ -0,0 +1,329 @@
+//
+// Imports
+//
+const async = require("async");
+const embyClient = require("./emby-client");
+const plexClient = require("./plex-client");
+const plexIndex = require("./plex-index");
+const plexSections = require("./sections");
+const syncRun = require("./sync-run");
+
+//
+// Constants
+//
+
+// library collection types, as section types
+const SECTION_TYPES = {
+    movies: plexSections.TYPE_MOVIE,
+    tvshows: plexSections.TYPE_SHOW
+};
+
+// provider IDs, by external ID type
+const PROVIDERS = {
+    imdb: "Imdb",
+    tmdb: "Tmdb",
+    tvdb: "Tvdb"
+};
+
+// fields to list with each item
+const FIELDS = "ProviderIds,OriginalTitle,ProductionYear";
+
+/**
+ * Gets the external IDs of a Jellyfin or Emby item
+ *
+ * @param {object} item Item
+ *
+ * @returns {object} External IDs by type, e.g. { imdb: "tt0111161", tmdb: "278" }
+ */
+function externalIds(item) {
+    const providerIds = item.ProviderIds || {};
+
+    let ids = {};
+
+    for (const type in PROVIDERS) {
+        if (providerIds[PROVIDERS[type]]) {
+            ids[type] = String(providerIds[PROVIDERS[type]]);
+        }
+    }
+
+    return ids;
+}
+
+/**
+ * Gets the state of a Jellyfin or Emby item, from its user data
+ *
+ * @param {object} item Item
+ *
+ * @returns {object} State ({ watched, rating })
+ */
+function itemState(item) {
+    const userData = item.UserData || {};
+
+    return {
+        watched: Boolean(userData.Played),
+        rating: typeof userData.Rating === "number" ? userData.Rating : null
+    };
+}
+
+/**
+ * Creates a Jellyfin or Emby target.  Their APIs are the same for everything
+ * that's synced.  Played state is per user: the token's user, or the user
+ * named by targetUser.
+ *
+ * @param {object} options { host, token, targetUser }
+ * @param {string} label Jellyfin or Emby
+ *
+ * @returns {object} Target (see targets.create)
+ */
+function create(options, label) {
+    const client = embyClient.create(options.host, options.token);
+
+    // the user whose played state is synced, found on connecting
+    let userId;
+
+    /**
+     * Finds the user whose played state is synced
+     *
+     * @param {function} callback Callback with the user ID
+     *
+     * @returns {undefined}
+     */
+    function findUser(callback) {
+        if (!options.targetUser) {
+            return embyClient.query(client, "/Users/Me", function(err, user) {
+                if (err) {
+                    return callback(new Error(`Could not find the ${label} token's user ` +
+                        `(${err.message}), set --target-user`));
+                }
+
+                return callback(null, user.Id);
+            });
+        }
+
+        return embyClient.query(client, "/Users", function(err, users) {
+            if (err) {
+                return callback(err);
+            }
+
+            const name = options.targetUser.toLowerCase();
+            const user = users.find(u => u.Name.toLowerCase() === name);
+
+            if (!user) {
+                return callback(syncRun.classify(`No ${label} user "${options.targetUser}" ` +
+                    `(users: ${users.map(u => u.Name).join(", ")})`, syncRun.ERROR_CONFIG));
+            }
+
+            return callback(null, user.Id);
+        });
+    }
+
+    /**
+     * Lists a library's items of a type
+     *
+     * @param {object} section Library section
+     * @param {string} type Movie, Series or Episode
+     * @param {function} callback Callback with the items
+     */
+    function listItems(section, type, callback) {
+        embyClient.queryAll(client, `/Users/${userId}/Items?ParentId=${encodeURIComponent(section.key)}` +
+            `&Recursive=true&IncludeItemTypes=${type}&Fields=${FIELDS}`, callback);
+    }
+
+    return {
+        label: label,
+
+        /**
+         * Connects to the server, and finds the user
+         *
+         * @param {function} callback Callback with the server version
+         */
+        connect: function(callback) {
+            async.waterfall([
+                cb => embyClient.query(client, "/System/Info", cb),
+                function(info, cb) {
+                    findUser(function(err, id) {
+                        userId = id;
+
+                        cb(err, info.Version);
+                    });
+                }
+            ], callback);
+        },
+
+        /**
+         * Lists the libraries, as sections
+         *
+         * @param {function} callback Callback with the sections ({ key, title, type })
+         */
+        sections: function(callback) {
+            embyClient.query(client, `/Users/${userId}/Views`, function(err, result) {
+                if (err) {
+                    return callback(err);
+                }
+
+                return callback(null, (result.Items || []).map(view => ({
+                    key: view.Id,
+                    title: view.Name,
+                    type: SECTION_TYPES[view.CollectionType] || view.CollectionType
+                })));
+            });
+        },
+
+        /**
+         * Loads every movie in the libraries into an index keyed by external ID,
+         * with the Plex fields that are synced
+         *
+         * @param {object[]} sections Library sections
+         * @param {function} callback Callback with the index
+         */
+        loadMovies: function(sections, callback) {
+            let index = plexIndex.create();
+
+            async.eachSeries(sections, function(section, cb) {
+                listItems(section, "Movie", function(err, items) {
+                    if (err) {
+                        return cb(err);
+                    }
+
+                    items.forEach(function(item) {
+                        const state = itemState(item);
+
+                        plexIndex.add(index, {
+                            ratingKey: item.Id,
+                            title: item.Name,
+                            originalTitle: item.OriginalTitle,
+                            year: item.ProductionYear,
+                            ids: externalIds(item),
+                            viewCount: state.watched ? 1 : 0,
+                            userRating: state.rating === null ? undefined : state.rating,
+                            sectionKey: section.key,
+                            sectionTitle: section.title
+                        });
+                    });
+
+                    return cb();
+                });
+            }, function(err) {
+                callback(err, index);
+            });
+        },
+
+        /**
+         * Loads every TV series and episode in the libraries into an index keyed
+         * by external ID, plus a byTitle map, like plexIndex.loadShows
+         *
+         * @param {object[]} sections Library sections
+         * @param {function} callback Callback with the index
+         */
+        loadShows: function(sections, callback) {
+            let index = plexIndex.create();
+
+            index.byTitle = {};
+
+            async.eachSeries(sections, function(section, cb) {
+                let byId = {};
+
+                async.waterfall([
+                    cbWaterfall => listItems(section, "Series", cbWaterfall),
+
+                    function(shows, cbWaterfall) {
+                        shows.forEach(function(show) {
+                            const series = {
+                                key: show.Id,
+                                ratingKey: show.Id,
+                                title: show.Name,
+                                year: show.ProductionYear,
+                                ids: externalIds(show),
+                                seasons: []
+                            };
+
+                            plexIndex.add(index, series);
+
+                            index.byTitle[series.title] = series;
+                            byId[series.key] = series;
+                        });
+
+                        listItems(section, "Episode", cbWaterfall);
+                    },
+
+                    function(episodes, cbWaterfall) {
+                        plexIndex.addEpisodes(byId, episodes.map(function(episode) {
+                            const state = itemState(episode);
+
+                            let numbers = [];
+
+                            // multi-episode files have the last episode number too
+                            for (let number = episode.IndexNumber; number <= episode.IndexNumberEnd; number++) {
+                                numbers.push(number);
+                            }
+
+                            return {
+                                show: episode.SeriesId,
+                                key: episode.Id,
+                                season: episode.ParentIndexNumber,
+                                index: episode.IndexNumber,
+                                numbers: numbers,
+                                title: episode.Name,
+                                watched: state.watched,
+                                rating: state.rating === null ? undefined : state.rating,
+                                viewCount: state.watched ? 1 : 0
+                            };
+                        }));
+
+                        cbWaterfall();
+                    }
+                ], cb);
+            }, function(err) {
+                callback(err, index);
+            });
+        },
+
+        /**
+         * Reads the current state of an item
+         *
+         * @param {string} ratingKey Item ID
+         * @param {function} callback Callback with the state ({ watched, rating }), or
+         *   nothing if it's gone
+         */
+        readState: function(ratingKey, callback) {
+            embyClient.query(client, `/Users/${userId}/Items/${encodeURIComponent(ratingKey)}`, function(err, item) {
+                if (err) {
+                    return callback(plexClient.isNotFound(err) ? null : err);
+                }
+
+                return callback(null, item ? itemState(item) : undefined);
+            });
+        },
+
+        /**
+         * Sets the played state of an item.  Ratings can't be set.
+         *
+         * @param {string} ratingKey Item ID
+         * @param {object} state Fields to set ({ watched })
+         * @param {function} callback Callback
+         *
+         * @returns {undefined}
+         */
+        setState: function(ratingKey, state, callback) {
+            if (typeof state.rating !== "undefined") {
+                return callback(new Error(`${label} ratings can't be set`));
+            }
+
+            if (typeof state.watched === "undefined") {
+                return callback();
+            }
+
+            return embyClient.send(client, state.watched ? "POST" : "DELETE",
+                `/Users/${userId}/PlayedItems/${encodeURIComponent(ratingKey)}`, function(err) {
+                    callback(err);
+                });
+        }
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create
+};
@@ -0,0 +1,257 @@
+//
+// Imports
+//
+const match = require("./match");
+
+//
+// Constants
+//
+
+// episode orderings a series can use.  Plex only lists a series in the ordering
+// set for it in Plex, so one numbered another way in My Movies (such as DVD
+// order) is matched by title.
+const ORDER_AIRED = "aired";
+const ORDER_ABSOLUTE = "absolute";
+const ORDER_TITLE = "title";
+
+// episode ranges, e.g. 1-2, E01-E02 or 1-E2
+const RANGE_REGEX = /^\s*E?(\d+)\s*[-–]\s*E?(\d+)\s*$/i;
+
+// multi-episode file names, e.g. Show - S01E01-E02.mkv or Show.s01e01e02.mkv
+const FILE_RANGE_REGEX = /S(\d+)E(\d+)(?:-?E(\d+))+/i;
+
+/**
+ * Parses a My Movies season number.  Specials may not have a number.
+ *
+ * @param {string} value SeasonNumber
+ *
+ * @returns {number} Season number (0 for specials)
+ */
+function parseSeason(value) {
+    const season = parseInt(value, 10);
+
+    return isNaN(season) ? 0 : season;
+}
+
+/**
+ * Parses a My Movies episode number, which may be a range (1-2) or list (1,2)
+ * for multi-episode discs
+ *
+ * @param {string} value EpisodeNumber
+ *
+ * @returns {number[]} Episode numbers
+ */
+function parseNumbers(value) {
+    let numbers = [];
+
+    String(value || "").split(",").forEach(function(part) {
+        const range = RANGE_REGEX.exec(part);
+
+        if (!range) {
+            const episode = parseInt(part, 10);
+
+            if (!isNaN(episode)) {
+                numbers.push(episode);
+            }
+
+            return;
+        }
+
+        for (let episode = parseInt(range[1], 10); episode <= parseInt(range[2], 10); episode++) {
+            numbers.push(episode);
+        }
+    });
+
+    return numbers;
+}
+
+/**
+ * Gets the episode range of a Plex multi-episode file
+ *
+ * @param {object} episode Plex episode metadata
+ *
+ * @returns {number[]} Episode numbers, or nothing if it's not a multi-episode file
+ */
+function fileNumbers(episode) {
+    const part = episode.Media && episode.Media[0] && episode.Media[0].Part && episode.Media[0].Part[0];
+    const range = part && part.file && FILE_RANGE_REGEX.exec(part.file.split(/[\\/]/).pop());
+
+    if (!range || parseInt(range[1], 10) !== episode.parentIndex) {
+        return [];
+    }
+
+    const first = parseInt(range[2], 10);
+    const last = parseInt(range[3], 10);
+
+    let numbers = [];
+
+    for (let number = first; number <= last; number++) {
+        numbers.push(number);
+    }
+
+    return numbers;
+}
+
+/**
+ * Works out each My Movies episode's absolute number, counting every episode of
+ * the series (except specials) in season and episode order
+ *
+ * @param {object[]} episodes My Movies episodes of one series ({ seasonNumber, numbers })
+ *
+ * @returns {Map} Absolute episode numbers, by My Movies episode
+ */
+function absoluteNumbers(episodes) {
+    let absolute = new Map();
+    let next = 1;
+
+    episodes
+        .filter(episode => episode.seasonNumber !== 0 && episode.numbers.length)
+        .sort((a, b) => (a.seasonNumber - b.seasonNumber) || (a.numbers[0] - b.numbers[0]))
+        .forEach(function(episode) {
+            absolute.set(episode, episode.numbers.map(() => next++));
+        });
+
+    return absolute;
+}
+
+/**
+ * Gets every Plex episode of a series once (multi-episode items are listed
+ * under each of their numbers)
+ *
+ * @param {object} show Plex series
+ *
+ * @returns {object[]} Plex episodes
+ */
+function all(show) {
+    let episodes = [];
+
+    show.seasons.forEach(function(season) {
+        (season || []).forEach(function(episode) {
+            if (episode && episodes.indexOf(episode) === -1) {
+                episodes.push(episode);
+            }
+        });
+    });
+
+    return episodes;
+}
+
+/**
+ * Finds the Plex episodes with the given numbers
+ *
+ * @param {object} show Plex series
+ * @param {number} season Season number
+ * @param {number[]} numbers Episode numbers
+ *
+ * @returns {object[]} Plex episodes
+ */
+function findByNumber(show, season, numbers) {
+    let episodes = [];
+
+    numbers.forEach(function(number) {
+        const episode = show.seasons[season] && show.seasons[season][number];
+
+        if (episode && episodes.indexOf(episode) === -1) {
+            episodes.push(episode);
+        }
+    });
+
+    return episodes;
+}
+
+/**
+ * Finds the Plex episode of a series whose title best matches
+ *
+ * @param {object} show Plex series
+ * @param {string} title Episode title
+ * @param {number} threshold Minimum confidence
+ *
+ * @returns {object|undefined} { item, score }
+ */
+function findByTitle(show, title, threshold) {
+    return title ? match.pickBest(match.rankTitles(title, null, all(show)), threshold) : undefined;
+}
+
+/**
+ * Describes a Plex episode's number, for logging
+ *
+ * @param {object} episode Plex episode
+ *
+ * @returns {string} e.g. S01E02
+ */
+function describe(episode) {
+    const pad = number => (number < 10 ? "0" : "") + number;
+
+    return `S${pad(episode.season)}E${pad(episode.index)}` +
+        `${episode.last && episode.last !== episode.index ? "-E" + pad(episode.last) : ""}`;
+}
+
+/**
+ * Matches a My Movies episode to Plex episodes.  The episode's numbers are used
+ * (translated by the series' ordering), with its title as a cross-check: if the
+ * numbered Plex episode has a different title and another episode's title
+ * matches, that episode is used instead.  If the numbers don't match anything,
+ * the title is used.
+ *
+ * @param {object} episode My Movies episode ({ seasonNumber, numbers, title })
+ * @param {object} show Plex series
+ * @param {object} options { order, absolute (number[]), threshold }
+ *
+ * @returns {object} { episodes, method, warning }
+ */
+function find(episode, show, options) {
+    let season = episode.seasonNumber;
+    let numbers = episode.numbers;
+
+    if (options.order === ORDER_ABSOLUTE && season !== 0) {
+        // absolute ordering is shown by Plex as one long season
+        season = 1;
+        numbers = options.absolute || [];
+    }
+
+    const byNumber = options.order === ORDER_TITLE ? [] : findByNumber(show, season, numbers);
+
+    // numbers agree, or there's no title to check
+    if (byNumber.length && (!episode.title ||
+            byNumber.some(plexEpisode => !plexEpisode.title ||
+                match.similarity(episode.title, plexEpisode.title) >= options.threshold))) {
+        return { episodes: byNumber, method: "number" };
+    }
+
+    const byTitle = findByTitle(show, episode.title, options.threshold);
+
+    if (byNumber.length && byTitle && byNumber.indexOf(byTitle.item) === -1) {
+        return {
+            episodes: [byTitle.item],
+            method: "title",
+            warning: `numbers point to ${describe(byNumber[0])} "${byNumber[0].title}"`
+        };
+    } else if (byNumber.length) {
+        return {
+            episodes: byNumber,
+            method: "number",
+            warning: `title differs from "${byNumber[0].title}"`
+        };
+    } else if (byTitle) {
+        return { episodes: [byTitle.item], method: "title" };
+    }
+
+    return { episodes: [] };
+}
+
+//
+// Exports
+//
+module.exports = {
+    ORDERS: [ORDER_AIRED, ORDER_ABSOLUTE, ORDER_TITLE],
+    ORDER_AIRED: ORDER_AIRED,
+    ORDER_ABSOLUTE: ORDER_ABSOLUTE,
+    ORDER_TITLE: ORDER_TITLE,
+    parseSeason: parseSeason,
+    parseNumbers: parseNumbers,
+    fileNumbers: fileNumbers,
+    absoluteNumbers: absoluteNumbers,
+    all: all,
+    describe: describe,
+    find: find
+};
@@ -0,0 +1,131 @@
+//
+// Imports
+//
+const records = require("./source-records");
+
+//
+// Constants
+//
+
+// the columns read, and the headings they can have (compared in lower case,
+// without spaces, dashes or underscores)
+const COLUMNS = {
+    imdb: ["imdb", "imdbid"],
+    tmdb: ["tmdb", "tmdbid"],
+    tvdb: ["tvdb", "tvdbid"],
+    title: ["title", "name"],
+    year: ["year"],
+    series: ["series", "show"],
+    season: ["season"],
+    episode: ["episode"],
+    watched: ["watched"],
+    rating: ["rating"]
+};
+
+/**
+ * Gets a row's values by column
+ *
+ * @param {object} row Row, by heading
+ *
+ * @returns {object} Values, by column (see COLUMNS)
+ */
+function columnValues(row) {
+    let values = {};
+
+    Object.keys(row).forEach(function(heading) {
+        const name = heading.toLowerCase().replace(/[\s_-]/g, "");
+
+        for (const column in COLUMNS) {
+            if (COLUMNS[column].indexOf(name) !== -1 && typeof values[column] === "undefined") {
+                values[column] = row[heading];
+            }
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Turns generic rows into collection rows.  A row with a series (or a season
+ * and episode) is an episode, with its IDs being the series'.  Otherwise it's
+ * a movie.  Rows are watched unless their Watched column says they're not.
+ *
+ * @param {object[]} rows Rows, by heading
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function fromRows(rows) {
+    return records.toCollection(rows.map(function(row, i) {
+        const values = columnValues(row || {});
+        const watched = records.parseBoolean(values.watched, true);
+        const episode = values.series || (values.season !== "" && typeof values.season !== "undefined" &&
+            values.episode !== "" && typeof values.episode !== "undefined");
+
+        if (!episode && !values.title && !values.imdb && !values.tmdb) {
+            throw new Error(`Row ${i + 1} needs a title, imdb or tmdb, or a series, season and episode`);
+        }
+
+        if (episode) {
+            if (!values.series) {
+                throw new Error(`Row ${i + 1} needs a series`);
+            }
+
+            return {
+                series: values.series,
+                seriesIds: { imdb: values.imdb, tmdb: values.tmdb, tvdb: values.tvdb },
+                season: values.season,
+                episode: values.episode,
+                title: values.title,
+                watched: watched,
+                rating: values.rating
+            };
+        }
+
+        return {
+            title: values.title,
+            year: values.year,
+            imdb: values.imdb,
+            tmdb: values.tmdb,
+            watched: watched,
+            rating: values.rating
+        };
+    }));
+}
+
+/**
+ * Reads a generic CSV file, with columns for imdb, tmdb, tvdb, title, year,
+ * series, season, episode, watched and rating
+ *
+ * @param {string} text CSV
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function parseCsv(text) {
+    return fromRows(records.parseCsv(text));
+}
+
+/**
+ * Reads a generic JSON file: a list of objects, with the same keys as the
+ * generic CSV's columns
+ *
+ * @param {string} text JSON
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function parseJson(text) {
+    const rows = JSON.parse(text);
+
+    if (!Array.isArray(rows)) {
+        throw new Error("JSON must be a list of movies and episodes");
+    }
+
+    return fromRows(rows);
+}
+
+//
+// Exports
+//
+module.exports = {
+    parseCsv: parseCsv,
+    parseJson: parseJson
+};
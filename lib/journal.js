@@ -0,0 +1,123 @@
+//
+// Imports
+//
+const fs = require("fs");
+const path = require("path");
+
+//
+// Constants
+//
+
+// journal file extension (one JSON object per line)
+const EXTENSION = ".jsonl";
+
+/**
+ * Starts a journal for this run.  The file isn't written until the first entry
+ * is recorded.
+ *
+ * @param {string} dir Journal directory
+ * @param {object} info What the run was ({ command, file, host, target, user })
+ *
+ * @returns {object} Journal
+ */
+function start(dir, info) {
+    const time = new Date().toISOString();
+
+    // the run ID is the start time, so journals sort by time
+    const id = time.replace(/[:.]/g, "-");
+
+    return {
+        id: id,
+        fileName: path.join(dir, id + EXTENSION),
+        dir: dir,
+        header: Object.assign({ run: id, time: time }, info),
+        entries: 0
+    };
+}
+
+/**
+ * Records a Plex change that was made
+ *
+ * @param {object} journal Journal
+ * @param {object} change Plex change ({ type, source, ratingKey, plexTitle, current, target })
+ */
+function record(journal, change) {
+    if (!journal.entries) {
+        if (!fs.existsSync(journal.dir)) {
+            fs.mkdirSync(journal.dir);
+        }
+
+        fs.writeFileSync(journal.fileName, JSON.stringify(journal.header) + "\n", "utf-8");
+    }
+
+    fs.appendFileSync(journal.fileName, JSON.stringify({
+        run: journal.id,
+        time: new Date().toISOString(),
+        type: change.type,
+        source: change.source,
+        ratingKey: change.ratingKey,
+        plexTitle: change.plexTitle,
+        before: change.current,
+        after: change.target
+    }) + "\n", "utf-8");
+
+    journal.entries++;
+}
+
+/**
+ * Loads a journal
+ *
+ * @param {string} dir Journal directory
+ * @param {string} name Journal file name, or run ID in the journal directory
+ *
+ * @returns {object} Journal ({ header, entries })
+ */
+function load(dir, name) {
+    const fileName = fs.existsSync(name) ? name : path.join(dir, name + EXTENSION);
+
+    const lines = fs.readFileSync(fileName, "utf-8")
+        .split("\n")
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+
+    if (!lines.length || !lines[0].run) {
+        throw new Error("Not a journal");
+    }
+
+    return {
+        header: lines[0],
+        entries: lines.slice(1)
+    };
+}
+
+/**
+ * Lists the journals of past runs, oldest first
+ *
+ * @param {string} dir Journal directory
+ *
+ * @returns {object[]} Journal headers, with their entry count
+ */
+function list(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(fileName => path.extname(fileName) === EXTENSION)
+        .sort()
+        .map(function(fileName) {
+            const loaded = load(dir, path.join(dir, fileName));
+
+            return Object.assign({ entries: loaded.entries.length }, loaded.header);
+        });
+}
+
+//
+// Exports
+//
+module.exports = {
+    start: start,
+    record: record,
+    load: load,
+    list: list
+};
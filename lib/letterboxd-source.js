@@ -0,0 +1,29 @@
+//
+// Imports
+//
+const records = require("./source-records");
+
+/**
+ * Reads a Letterboxd CSV export: watched.csv, or diary.csv or ratings.csv,
+ * which also have ratings (from 0.5 to 5 stars).  Each film in it was watched.
+ * Letterboxd doesn't export IMDB IDs, so films are matched by title and year.
+ *
+ * @param {string} text CSV
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function parse(text) {
+    return records.toCollection(records.parseCsv(text, ["Name"]).map(row => ({
+        title: row.Name,
+        year: row.Year,
+        watched: true,
+        rating: row.Rating
+    })));
+}
+
+//
+// Exports
+//
+module.exports = {
+    parse: parse
+};
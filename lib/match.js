@@ -0,0 +1,174 @@
+//
+// Constants
+//
+
+// leading articles that are often dropped or moved
+const ARTICLES = /^(the|a|an|der|die|das|le|la|les|el|los|las) /;
+
+/**
+ * Normalizes a title for comparison: lower-case, no accents, punctuation,
+ * leading articles or year suffixes such as "(2005)"
+ *
+ * @param {string} title Title
+ *
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+    return String(title || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/\s*[([]\d{4}[)\]]\s*$/, "")
+        .replace(/&/g, " and ")
+        .replace(/['\u2019.]/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .replace(ARTICLES, "");
+}
+
+/**
+ * Gets the year suffix of a title, e.g. 2005 for "Doctor Who (2005)"
+ *
+ * @param {string} title Title
+ *
+ * @returns {number|undefined} Year
+ */
+function titleYear(title) {
+    const match = /[([](\d{4})[)\]]\s*$/.exec(title || "");
+
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Gets the letter pairs of a string
+ *
+ * @param {string} str String
+ *
+ * @returns {string[]} Bigrams
+ */
+function bigrams(str) {
+    let pairs = [];
+
+    for (let i = 0; i < str.length - 1; i++) {
+        pairs.push(str.substring(i, i + 2));
+    }
+
+    return pairs;
+}
+
+/**
+ * Scores how alike two titles are, from 0 (nothing alike) to 1 (the same)
+ *
+ * @param {string} a Title
+ * @param {string} b Title
+ *
+ * @returns {number} Score
+ */
+function similarity(a, b) {
+    a = normalizeTitle(a);
+    b = normalizeTitle(b);
+
+    if (!a || !b) {
+        return 0;
+    }
+
+    if (a === b) {
+        return 1;
+    }
+
+    // Sørensen–Dice coefficient of the letter pairs
+    const pairsA = bigrams(a);
+    let pairsB = bigrams(b);
+    let common = 0;
+
+    pairsA.forEach(function(pair) {
+        const index = pairsB.indexOf(pair);
+
+        if (index !== -1) {
+            common++;
+            pairsB.splice(index, 1);
+        }
+    });
+
+    return (2 * common) / (pairsA.length + bigrams(b).length);
+}
+
+/**
+ * Scores a title (and year) against candidates, best first.
+ *
+ * Several titles (e.g. local and original) can be given, and candidates can
+ * have an originalTitle too; the best-scoring pair counts.  Years that are more
+ * than a year apart lower the score.
+ *
+ * @param {string|string[]} titles Title(s)
+ * @param {number} [year] Year
+ * @param {object[]} candidates Candidates, each with a title and optional originalTitle and year
+ *
+ * @returns {object[]} { item, score } for each candidate, best first
+ */
+function rankTitles(titles, year, candidates) {
+    titles = [].concat(titles).filter(Boolean);
+
+    year = year || titleYear(titles[0]);
+
+    return candidates
+        .map(function(item) {
+            const itemTitles = [item.title, item.originalTitle].filter(Boolean);
+
+            let score = 0;
+
+            titles.forEach(function(title) {
+                itemTitles.forEach(function(itemTitle) {
+                    score = Math.max(score, similarity(title, itemTitle));
+                });
+            });
+
+            const itemYear = item.year || titleYear(item.title);
+
+            if (year && itemYear && Math.abs(year - itemYear) > 1) {
+                score *= 0.8;
+            }
+
+            return {
+                item: item,
+                score: score
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Picks the best of ranked candidates, if it's good enough to use automatically.
+ *
+ * Two equally-good candidates (e.g. a remake with the same title) need a human
+ * to decide, so neither is picked.
+ *
+ * @param {object[]} ranked Candidates from rankTitles()
+ * @param {number} threshold Minimum score
+ *
+ * @returns {object|undefined} { item, score } of the best candidate
+ */
+function pickBest(ranked, threshold) {
+    const best = ranked[0];
+
+    if (!best || best.score < threshold) {
+        return undefined;
+    }
+
+    if (ranked.length > 1 && ranked[1].score >= best.score) {
+        return undefined;
+    }
+
+    return best;
+}
+
+//
+// Exports
+//
+module.exports = {
+    normalizeTitle: normalizeTitle,
+    titleYear: titleYear,
+    similarity: similarity,
+    rankTitles: rankTitles,
+    pickBest: pickBest
+};
@@ -0,0 +1,404 @@
+//
+// Imports
+//
+const sax = require("sax");
+const episodeMatch = require("./episode-match");
+const collections = require("./collections");
+
+//
+// Constants
+//
+const COLLECTION_PATH = "Collection";
+const DISC_TITLES_PATH = COLLECTION_PATH + "/DiscTitles";
+const MOVIE_PATH = DISC_TITLES_PATH + "/DiscTitle";
+const TV_SERIES_PATH = COLLECTION_PATH + "/TVSeries";
+const SERIES_PATH = TV_SERIES_PATH + "/Series";
+
+// external ID elements of a series, by type
+const SERIES_ID_NAMES = {
+    tvdb: ["TVDB", "TVDBID", "TheTVDB", "TheTVDBID"],
+    imdb: ["IMDB", "IMDBID"]
+};
+
+// the only DiscTitle fields read (plus any collections mapping fields), so
+// covers, backdrops and everything else are skipped
+const MOVIE_FIELDS = ["ID", "LocalTitle", "OriginalTitle", "IMDB", "ProductionYear", "PersonalData"];
+
+// the only Series fields read
+const SERIES_FIELDS = [
+    "LanguageSpecific/Title",
+    "Episodes/Episode/Global/SeasonNumber",
+    "Episodes/Episode/Global/EpisodeNumber",
+    "Episodes/Episode/Global/Owned",
+    "Episodes/Episode/LanguageSpecific/Title",
+    "Episodes/Episode/Personal/Watched",
+    "Episodes/Episode/Personal/Rating"
+].concat(Object.keys(SERIES_ID_NAMES)
+    .map(type => SERIES_ID_NAMES[type])
+    .reduce((all, names) => all.concat(names), [])
+    .reduce((all, name) => all.concat([name, `Global/${name}`]), []));
+
+/**
+ * Determines if an element of a DiscTitle or Series is read
+ *
+ * @param {string[]} fields Fields read (element paths)
+ * @param {string} path Element path, relative to the DiscTitle or Series
+ *
+ * @returns {boolean} True if it's a field, or on the way to or inside one
+ */
+function isRead(fields, path) {
+    return fields.some(function(field) {
+        return field === path || field.indexOf(path + "/") === 0 || path.indexOf(field + "/") === 0;
+    });
+}
+
+/**
+ * Gets the value of a parsed element, in the form xml2js gives: its text if it
+ * only has text, otherwise an object of child element arrays, with its
+ * attributes in $ and its text in _
+ *
+ * @param {object} element Element ({ attributes, children, text })
+ *
+ * @returns {string|object} Value
+ */
+function elementValue(element) {
+    const hasAttributes = Object.keys(element.attributes).length > 0;
+    const hasText = element.text.trim() !== "";
+
+    if (!hasAttributes && !Object.keys(element.children).length) {
+        return element.text;
+    }
+
+    let value = Object.assign({}, element.children);
+
+    if (hasAttributes) {
+        value.$ = element.attributes;
+    }
+
+    if (hasText) {
+        value._ = element.text;
+    }
+
+    return value;
+}
+
+/**
+ * Reads a My Movies Collection.xml as it streams in, keeping only the fields
+ * that are synced.  Nothing else (e.g. embedded images) is kept in memory.
+ *
+ * @param {string|Stream} source Collection.xml contents, or a readable stream of it
+ * @param {object} options { movies, tv, mapping, onProgress }, where movies and
+ *   tv choose what's read, mapping is a collections mapping, and onProgress is
+ *   called with the number of bytes read from a stream
+ * @param {function} callback Callback with the collection ({ discTitles, tvSeries,
+ *   titles, series }), where discTitles and tvSeries are whether it has them
+ */
+function read(source, options, callback) {
+    const parser = sax.createStream(true);
+
+    const movieFields = MOVIE_FIELDS.concat(Object.keys(options.mapping || {})
+        .map(field => field.replace(/\/?@[^/]*$/, ""))
+        .filter(Boolean));
+
+    let collection = {
+        discTitles: false,
+        tvSeries: false,
+        titles: [],
+        series: []
+    };
+
+    let isCollection = false;
+    let finished = false;
+
+    // names of the open elements
+    let stack = [];
+
+    // DiscTitle or Series being read, its open elements, and the depth of any skipped element
+    let item = null;
+    let elements = [];
+    let skipping = 0;
+
+    let movieIndex = -1;
+    let seriesIndex = -1;
+
+    parser.on("opentag", function(node) {
+        stack.push(node.name);
+
+        if (skipping) {
+            skipping++;
+            return;
+        }
+
+        if (item) {
+            if (!isRead(item.fields, stack.slice(item.depth).join("/"))) {
+                skipping = 1;
+                return;
+            }
+
+            elements.push({ attributes: node.attributes, children: {}, text: "" });
+            return;
+        }
+
+        const path = stack.join("/");
+
+        if (path === COLLECTION_PATH) {
+            isCollection = true;
+        } else if (path === DISC_TITLES_PATH) {
+            collection.discTitles = true;
+        } else if (path === TV_SERIES_PATH) {
+            collection.tvSeries = true;
+        } else if (path === MOVIE_PATH) {
+            movieIndex++;
+
+            if (options.movies) {
+                item = { movie: true, index: movieIndex, fields: movieFields, depth: stack.length };
+            }
+        } else if (path === SERIES_PATH) {
+            seriesIndex++;
+
+            if (options.tv) {
+                item = { movie: false, index: seriesIndex, fields: SERIES_FIELDS, depth: stack.length };
+            }
+        }
+
+        if (item) {
+            elements.push({ attributes: node.attributes, children: {}, text: "" });
+        }
+    });
+
+    parser.on("closetag", function(name) {
+        stack.pop();
+
+        if (skipping) {
+            skipping--;
+            return;
+        }
+
+        if (!item) {
+            return;
+        }
+
+        const value = elementValue(elements.pop());
+
+        if (elements.length) {
+            const parent = elements[elements.length - 1];
+
+            parent.children[name] = (parent.children[name] || []).concat([value]);
+
+            return;
+        }
+
+        if (item.movie) {
+            collection.titles.push(titleData(value, item.index, options.mapping));
+        } else {
+            collection.series.push(seriesData(value, item.index));
+        }
+
+        item = null;
+    });
+
+    parser.on("text", addText);
+    parser.on("cdata", addText);
+
+    parser.on("error", function(err) {
+        finish(err.message);
+    });
+
+    parser.on("end", function() {
+        if (!isCollection || (!collection.discTitles && !collection.tvSeries)) {
+            return finish("XML does not have DiscTitles or TVSeries!");
+        }
+
+        return finish(null, collection);
+    });
+
+    if (typeof source === "string") {
+        parser.end(source);
+        return;
+    }
+
+    let bytes = 0;
+
+    source.on("data", function(chunk) {
+        bytes += chunk.length;
+
+        if (options.onProgress) {
+            options.onProgress(bytes);
+        }
+    });
+
+    source.on("error", finish);
+
+    source.pipe(parser);
+
+    /**
+     * Adds text to the element being read
+     *
+     * @param {string} text Text
+     */
+    function addText(text) {
+        if (item && !skipping) {
+            elements[elements.length - 1].text += text;
+        }
+    }
+
+    /**
+     * Calls back once, and stops reading on errors
+     *
+     * @param {string|Error} err Error
+     * @param {object} [result] Collection
+     */
+    function finish(err, result) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+
+        if (err && typeof source !== "string") {
+            source.unpipe(parser);
+
+            if (source.destroy) {
+                source.destroy();
+            }
+        }
+
+        callback(err, result);
+    }
+}
+
+/**
+ * Gets the trimmed text of an XML element's first child element
+ *
+ * @param {object} node Parsed element
+ * @param {string} name Child element name
+ *
+ * @returns {string|undefined} Text
+ */
+function firstText(node, name) {
+    const value = node && node[name] && node[name][0];
+
+    return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Parses a My Movies rating
+ *
+ * @param {string} [value] Rating attribute or element value
+ *
+ * @returns {number} Rating, or undefined if it's not rated
+ */
+function rating(value) {
+    const parsed = parseFloat(value);
+
+    return parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Gets the external IDs that My Movies stores for a TV series.  Depending on
+ * the My Movies version, they're on the Series or its Global element.
+ *
+ * @param {object} series My Movies Series
+ *
+ * @returns {object} External IDs by type, e.g. { tvdb: "73545", imdb: "tt0407362" }
+ */
+function seriesIds(series) {
+    const nodes = [series].concat(series.Global || []);
+
+    let ids = {};
+
+    for (const type in SERIES_ID_NAMES) {
+        nodes.forEach(function(node) {
+            SERIES_ID_NAMES[type].forEach(function(name) {
+                const value = node && node[name] && typeof node[name][0] === "string" && node[name][0].trim();
+
+                if (value && !ids[type]) {
+                    ids[type] = value;
+                }
+            });
+        });
+    }
+
+    return ids;
+}
+
+/**
+ * Gets the movie title of a DiscTitle
+ *
+ * @param {object} title Parsed DiscTitle
+ * @param {number} index DiscTitle index
+ * @param {object} [mapping] Collections mapping, to find the title's Plex collections
+ *
+ * @returns {object} Title ({ index, id, title, originalTitle, imdb, year, watched, rating, collections })
+ */
+function titleData(title, index, mapping) {
+    // Watched and Rating are attributes on PersonalData
+    const personal = (title.PersonalData && title.PersonalData[0] && title.PersonalData[0].$) || {};
+
+    let data = {
+        index: index,
+        title: firstText(title, "LocalTitle") || "",
+        originalTitle: firstText(title, "OriginalTitle"),
+        imdb: firstText(title, "IMDB"),
+        year: parseInt(firstText(title, "ProductionYear"), 10) || undefined,
+        watched: personal.Watched === "True",
+        rating: rating(personal.Rating)
+    };
+
+    // My Movies' title ID, for movie fixes
+    data.id = firstText(title, "ID") || data.imdb || data.title;
+
+    if (mapping) {
+        data.collections = collections.titleCollections(mapping, title);
+    }
+
+    return data;
+}
+
+/**
+ * Gets the TV series of a Series, and its episodes
+ *
+ * @param {object} series Parsed Series
+ * @param {number} seriesIndex Series index
+ *
+ * @returns {object} Series ({ title, ids, episodes }), where each episode is
+ *   { seriesIndex, episodeIndex, series, season, episode, seasonNumber, numbers,
+ *   title, owned, watched, rating }
+ */
+function seriesData(series, seriesIndex) {
+    const seriesTitle = series.LanguageSpecific[0].Title[0];
+    const episodes = (series.Episodes && series.Episodes[0].Episode) || [];
+
+    return {
+        title: seriesTitle,
+        ids: seriesIds(series),
+        episodes: episodes.map(function(episode, episodeIndex) {
+            const seasonNum = episode.Global[0].SeasonNumber[0];
+            const episodeNum = episode.Global[0].EpisodeNumber[0];
+
+            return {
+                seriesIndex: seriesIndex,
+                episodeIndex: episodeIndex,
+                series: seriesTitle,
+                season: seasonNum,
+                episode: episodeNum,
+                seasonNumber: episodeMatch.parseSeason(seasonNum),
+                numbers: episodeMatch.parseNumbers(episodeNum),
+                title: episode.LanguageSpecific[0].Title[0],
+                owned: Boolean(episode.Global[0].Owned && episode.Global[0].Owned[0] === "True"),
+                watched: Boolean(episode.Personal &&
+                    episode.Personal[0] &&
+                    episode.Personal[0].Watched &&
+                    episode.Personal[0].Watched[0] === "True"),
+                rating: rating(episode.Personal && firstText(episode.Personal[0], "Rating"))
+            };
+        })
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    read: read
+};
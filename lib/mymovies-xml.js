@@ -0,0 +1,287 @@
+//
+// Imports
+//
+const sax = require("sax");
+
+//
+// Constants
+//
+const MOVIE_PATH = "Collection/DiscTitles/DiscTitle";
+const MOVIE_PERSONAL_PATH = MOVIE_PATH + "/PersonalData";
+const SERIES_PATH = "Collection/TVSeries/Series";
+const EPISODE_PATH = SERIES_PATH + "/Episodes/Episode";
+const EPISODE_PERSONAL_PATH = EPISODE_PATH + "/Personal";
+
+// Personal fields that can be changed, and their attribute (movies) or element (episodes) name
+const FIELDS = {
+    watched: "Watched",
+    rating: "Rating"
+};
+
+const BOM = "\uFEFF";
+
+/**
+ * Finds where the personal data (Watched flag, Rating) of every DiscTitle and
+ * TV Episode lives in the Collection.xml text.
+ *
+ * Movies are indexed the same as Collection.DiscTitles[0].DiscTitle, and
+ * episodes the same as Collection.TVSeries[0].Series[n].Episodes[0].Episode.
+ *
+ * @param {string} xml Collection.xml contents (without a BOM)
+ *
+ * @returns {object} Movie and Series locations
+ */
+function locatePersonal(xml) {
+    const parser = sax.parser(true);
+
+    const movies = [];
+    const series = [];
+
+    let stack = [];
+    let movie = null;
+    let episode = null;
+
+    parser.onopentag = function(node) {
+        stack.push(node.name);
+
+        const path = stack.join("/");
+        const start = parser.startTagPosition - 1;
+        const end = parser.position;
+
+        if (path === MOVIE_PATH) {
+            movie = {};
+            movies.push(movie);
+        } else if (path === MOVIE_PERSONAL_PATH && movie && !movie.personal) {
+            movie.personal = { start, end };
+        } else if (path === SERIES_PATH) {
+            series.push([]);
+        } else if (path === EPISODE_PATH) {
+            episode = {};
+            series[series.length - 1].push(episode);
+        } else if (path === EPISODE_PERSONAL_PATH && episode && !episode.personal) {
+            episode.personal = { start, end, selfClosing: node.isSelfClosing };
+            episode.fields = {};
+        } else if (path === `${EPISODE_PERSONAL_PATH}/${node.name}` && episode && episode.personal &&
+            !episode.fields[node.name]) {
+            episode.fields[node.name] = { start: end, selfClosing: node.isSelfClosing, tagStart: start };
+        }
+    };
+
+    parser.onclosetag = function(name) {
+        const path = stack.join("/");
+        const start = parser.startTagPosition - 1;
+
+        if (path === MOVIE_PATH && movie) {
+            movie.close = start;
+            movie = null;
+        } else if (path === EPISODE_PATH && episode) {
+            episode.close = start;
+            episode = null;
+        } else if (path === EPISODE_PERSONAL_PATH && episode && episode.personal && !episode.personal.selfClosing) {
+            episode.personal.close = start;
+        } else if (path === `${EPISODE_PERSONAL_PATH}/${name}` && episode && episode.fields &&
+            episode.fields[name] && !episode.fields[name].selfClosing &&
+            typeof episode.fields[name].end === "undefined") {
+            episode.fields[name].end = start;
+        }
+
+        stack.pop();
+    };
+
+    parser.write(xml).close();
+
+    return {
+        movies: movies,
+        series: series
+    };
+}
+
+/**
+ * Gets the XML edit that sets a DiscTitle's PersonalData attributes
+ *
+ * @param {string} xml Collection.xml contents
+ * @param {object} movie Movie location
+ * @param {object} values Attribute values, by name
+ *
+ * @returns {object} Edit
+ */
+function movieEdit(xml, movie, values) {
+    const names = Object.keys(values);
+
+    if (!movie.personal) {
+        return {
+            start: movie.close,
+            end: movie.close,
+            text: `<PersonalData ${names.map(name => `${name}="${values[name]}"`).join(" ")} />`
+        };
+    }
+
+    let tag = xml.substring(movie.personal.start, movie.personal.end);
+
+    names.forEach(function(name) {
+        const attr = new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`);
+
+        if (attr.test(tag)) {
+            tag = tag.replace(attr, `$1$2${values[name]}$2`);
+        } else {
+            tag = tag.replace(/(\s*)(\/?>)$/, ` ${name}="${values[name]}"$1$2`);
+        }
+    });
+
+    return {
+        start: movie.personal.start,
+        end: movie.personal.end,
+        text: tag
+    };
+}
+
+/**
+ * Gets the XML edits that set an Episode's Personal elements
+ *
+ * @param {object} episode Episode location
+ * @param {object} values Element values, by name
+ *
+ * @returns {object[]} Edits
+ */
+function episodeEdits(episode, values) {
+    const personal = episode.personal;
+    const names = Object.keys(values);
+    const elements = names.map(name => `<${name}>${values[name]}</${name}>`).join("");
+
+    if (!personal) {
+        return [{
+            start: episode.close,
+            end: episode.close,
+            text: `<Personal>${elements}</Personal>`
+        }];
+    } else if (personal.selfClosing) {
+        return [{
+            start: personal.start,
+            end: personal.end,
+            text: `<Personal>${elements}</Personal>`
+        }];
+    }
+
+    return names.map(function(name) {
+        const field = episode.fields[name];
+
+        if (field && field.selfClosing) {
+            return {
+                start: field.tagStart,
+                end: field.start,
+                text: `<${name}>${values[name]}</${name}>`
+            };
+        } else if (field) {
+            return {
+                start: field.start,
+                end: field.end,
+                text: String(values[name])
+            };
+        }
+
+        return {
+            start: personal.close,
+            end: personal.close,
+            text: `<${name}>${values[name]}</${name}>`
+        };
+    });
+}
+
+/**
+ * Gets the XML values of a change's personal fields
+ *
+ * @param {object} change Change
+ *
+ * @returns {object} Values, by attribute or element name
+ */
+function changeValues(change) {
+    let values = {};
+
+    if (typeof change.watched !== "undefined") {
+        values[FIELDS.watched] = change.watched ? "True" : "False";
+    }
+
+    if (typeof change.rating !== "undefined") {
+        values[FIELDS.rating] = String(change.rating);
+    }
+
+    return values;
+}
+
+/**
+ * Sets the Watched flags and Ratings of movies and episodes in a My Movies
+ * Collection.xml, leaving the rest of the document untouched.
+ *
+ * Each change is either:
+ *   { type: "movie", index: n, watched: true, rating: 8 }
+ *   { type: "episode", seriesIndex: n, episodeIndex: m, watched: true, rating: 8 }
+ *
+ * (watched and rating are both optional)
+ *
+ * @param {string} xml Collection.xml contents
+ * @param {object[]} changes Changes
+ *
+ * @returns {string} Updated Collection.xml contents
+ */
+function setPersonal(xml, changes) {
+    const hasBom = xml.charAt(0) === BOM;
+
+    if (hasBom) {
+        xml = xml.substring(1);
+    }
+
+    const locations = locatePersonal(xml);
+
+    // one change for each item, with all of its fields
+    let merged = {};
+
+    changes.forEach(function(change) {
+        const key = change.type === "movie" ? `movie/${change.index}` :
+            `episode/${change.seriesIndex}/${change.episodeIndex}`;
+
+        merged[key] = Object.assign(merged[key] || {}, change);
+    });
+
+    let edits = [];
+
+    Object.keys(merged).map(key => merged[key]).forEach(function(change) {
+        const values = changeValues(change);
+
+        if (change.type === "movie") {
+            const movie = locations.movies[change.index];
+
+            if (!movie || typeof movie.close === "undefined") {
+                throw new Error(`DiscTitle ${change.index} not found`);
+            }
+
+            edits.push(movieEdit(xml, movie, values));
+
+            return;
+        }
+
+        const episode = locations.series[change.seriesIndex] &&
+            locations.series[change.seriesIndex][change.episodeIndex];
+
+        if (!episode || typeof episode.close === "undefined") {
+            throw new Error(`Series ${change.seriesIndex} Episode ${change.episodeIndex} not found`);
+        }
+
+        edits = edits.concat(episodeEdits(episode, values));
+    });
+
+    // apply from the end of the document so earlier offsets stay valid
+    edits.sort((a, b) => b.start - a.start);
+
+    edits.forEach(function(edit) {
+        xml = xml.substring(0, edit.start) + edit.text + xml.substring(edit.end);
+    });
+
+    return (hasBom ? BOM : "") + xml;
+}
+
+//
+// Exports
+//
+module.exports = {
+    setPersonal: setPersonal
+};
@@ -0,0 +1,87 @@
+//
+// Imports
+//
+const fs = require("fs");
+
+//
+// Constants
+//
+
+// plan file format version
+const VERSION = 1;
+
+/**
+ * Creates a plan of Plex changes
+ *
+ * @param {object} info Where the plan came from ({ file, host, snapshot, target, direction })
+ * @param {object[]} changes Plex changes
+ *
+ * @returns {object} Plan
+ */
+function create(info, changes) {
+    return Object.assign({
+        version: VERSION,
+        created: new Date().toISOString()
+    }, info, {
+        changes: changes
+    });
+}
+
+/**
+ * Saves a plan file
+ *
+ * @param {string} fileName Plan file name
+ * @param {object} plan Plan
+ */
+function save(fileName, plan) {
+    fs.writeFileSync(fileName, JSON.stringify(plan, null, 2), "utf-8");
+}
+
+/**
+ * Loads and validates a plan file
+ *
+ * @param {string} fileName Plan file name
+ *
+ * @returns {object} Plan
+ */
+function load(fileName) {
+    const plan = JSON.parse(fs.readFileSync(fileName, "utf-8"));
+
+    if (plan.version !== VERSION) {
+        throw new Error(`Unsupported plan version ${plan.version}`);
+    }
+
+    if (!Array.isArray(plan.changes)) {
+        throw new Error("Plan does not have a changes list");
+    }
+
+    plan.changes.forEach(function(change, i) {
+        if (!change.ratingKey || !change.current || !change.target) {
+            throw new Error(`Change ${i + 1} needs a ratingKey, current and target state`);
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Finds the fields of a change's recorded state that Plex no longer agrees with
+ *
+ * @param {object} change Plex change
+ * @param {object} plexState Current Plex state
+ *
+ * @returns {string[]} Field names that differ
+ */
+function staleFields(change, plexState) {
+    return Object.keys(change.current).filter(field => change.current[field] !== plexState[field]);
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create,
+    save: save,
+    load: load,
+    staleFields: staleFields
+};
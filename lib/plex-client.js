@@ -0,0 +1,175 @@
+//
+// Imports
+//
+const async = require("async");
+
+//
+// Constants
+//
+
+// network errors worth retrying
+const TRANSIENT_CODES = ["ECONNRESET", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EAI_AGAIN"];
+
+// HTTP status codes worth retrying
+const TRANSIENT_STATUS = [429, 500, 502, 503, 504];
+
+// retries after the first attempt
+const RETRIES = 4;
+
+// first retry delay (ms), doubled for each retry after
+const BACKOFF = 500;
+
+// items per page when listing a whole section
+const PAGE_SIZE = 500;
+
+// plex-api function for each HTTP method
+const METHODS = {
+    GET: "query",
+    POST: "postQuery",
+    PUT: "putQuery",
+    DELETE: "deleteQuery"
+};
+
+/**
+ * Gets the HTTP status code of a Plex error.  plex-api only reports it at the
+ * end of the message ("... response code: 404").
+ *
+ * @param {Error} [err] Error
+ *
+ * @returns {number} Status code, or undefined if it's not an HTTP error
+ */
+function statusCode(err) {
+    const match = /response code: (\d+)$/.exec((err && err.message) || "");
+
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+/**
+ * Determines if a Plex error is worth retrying
+ *
+ * @param {Error} err Error
+ *
+ * @returns {boolean} True if the error is transient
+ */
+function isTransient(err) {
+    if (!err) {
+        return false;
+    }
+
+    if (TRANSIENT_CODES.indexOf(err.code) !== -1) {
+        return true;
+    }
+
+    return TRANSIENT_STATUS.indexOf(statusCode(err)) !== -1;
+}
+
+/**
+ * Determines if a Plex error is because the item isn't there (HTTP 404)
+ *
+ * @param {Error} err Error
+ *
+ * @returns {boolean} True if it's not found
+ */
+function isNotFound(err) {
+    return statusCode(err) === 404;
+}
+
+/**
+ * Sends a request to Plex, retrying with backoff on transient errors.  POSTs
+ * aren't retried, as they may have been done even if they failed.
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {string} method HTTP method (GET, POST, PUT or DELETE)
+ * @param {string} uri URI
+ * @param {function} callback Callback with the result
+ */
+function send(client, method, uri, callback) {
+    async.retry({
+        times: RETRIES + 1,
+        // async counts the first attempt, so the first retry is attempt 2
+        interval: attempt => BACKOFF * Math.pow(2, attempt - 2),
+        errorFilter: err => method !== "POST" && isTransient(err)
+    }, function(cb) {
+        client[METHODS[method]](uri).then(function(result) {
+            cb(null, result);
+        }, cb);
+    }, callback);
+}
+
+/**
+ * Queries Plex, retrying with backoff on transient errors
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {string} uri URI
+ * @param {function} callback Callback with the result
+ */
+function query(client, uri, callback) {
+    send(client, "GET", uri, callback);
+}
+
+/**
+ * Makes a change through one of Plex's GET endpoints (/:/scrobble, /:/unscrobble
+ * or /:/rate).  These aren't retried, as a request that timed out may still have
+ * been done, and a second scrobble counts as a second view.
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {string} uri URI
+ * @param {function} callback Callback with the result
+ */
+function write(client, uri, callback) {
+    client.query(uri).then(function(result) {
+        callback(null, result);
+    }, callback);
+}
+
+/**
+ * Queries all of the Metadata of a Plex listing, a page at a time
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {string} uri URI
+ * @param {function} callback Callback with all Metadata items
+ */
+function queryAll(client, uri, callback) {
+    const separator = uri.indexOf("?") === -1 ? "?" : "&";
+
+    let items = [];
+    let done = false;
+
+    async.whilst(
+        () => !done,
+        function(cb) {
+            query(client, `${uri}${separator}X-Plex-Container-Start=${items.length}` +
+                `&X-Plex-Container-Size=${PAGE_SIZE}`, function(err, result) {
+                if (err) {
+                    return cb(err);
+                }
+
+                const page = result.MediaContainer.Metadata || [];
+                const totalSize = result.MediaContainer.totalSize;
+
+                items = items.concat(page);
+
+                // servers that don't page send everything (and no totalSize) at once
+                done = !page.length ||
+                    typeof totalSize === "undefined" ||
+                    items.length >= totalSize;
+
+                return cb();
+            });
+        },
+        function(err) {
+            callback(err, items);
+        });
+}
+
+//
+// Exports
+//
+module.exports = {
+    isTransient: isTransient,
+    isNotFound: isNotFound,
+    send: send,
+    query: query,
+    write: write,
+    queryAll: queryAll
+};
@@ -0,0 +1,91 @@
+//
+// Constants
+//
+
+// legacy Plex agents, and which external ID their GUIDs hold
+const LEGACY_AGENTS = {
+    "com.plexapp.agents.imdb": "imdb",
+    "com.plexapp.agents.themoviedb": "tmdb",
+    "com.plexapp.agents.thetvdb": "tvdb",
+    "com.plexapp.agents.thetvdbdvdorder": "tvdb"
+};
+
+// new Plex agent Guid array schemes
+const SCHEMES = ["imdb", "tmdb", "tvdb"];
+
+/**
+ * Parses a single GUID, e.g.:
+ *   com.plexapp.agents.imdb://tt0111161?lang=en
+ *   com.plexapp.agents.thetvdb://73545/1/2?lang=en
+ *   imdb://tt0111161
+ *   plex://movie/5d776825880197001ec967c1
+ *
+ * @param {string} guid GUID
+ *
+ * @returns {object|undefined} { type: imdb|tmdb|tvdb|plex, id: ID }
+ */
+function parse(guid) {
+    const match = /^([a-z0-9.]+):\/\/([^?]+)/i.exec(guid || "");
+
+    if (!match) {
+        return undefined;
+    }
+
+    const scheme = match[1].toLowerCase();
+    let id = match[2];
+
+    if (scheme === "plex") {
+        return { type: "plex", id: id };
+    }
+
+    // legacy GUIDs may have /season/episode after the ID
+    id = id.split("/")[0];
+
+    // IMDB IDs are recognizable no matter which agent found them
+    if (/^tt\d+$/.test(id)) {
+        return { type: "imdb", id: id };
+    }
+
+    const type = LEGACY_AGENTS[scheme] || (SCHEMES.indexOf(scheme) !== -1 ? scheme : undefined);
+
+    return type ? { type: type, id: id } : undefined;
+}
+
+/**
+ * Gets the external IDs (IMDB, TMDB, TVDB) of a Plex item.
+ *
+ * Items on legacy agents have them in their guid, while items on the new Plex
+ * agents have a plex:// guid and list them in a Guid array (when queried with
+ * includeGuids=1).
+ *
+ * @param {object} item Plex metadata item
+ *
+ * @returns {object} External IDs by type, e.g. { imdb: "tt0111161", tmdb: "278" }
+ */
+function externalIds(item) {
+    let ids = {};
+
+    let guids = [item.guid];
+
+    if (Array.isArray(item.Guid)) {
+        guids = guids.concat(item.Guid.map(guid => guid.id));
+    }
+
+    guids.forEach(function(guid) {
+        const parsed = parse(guid);
+
+        if (parsed && !ids[parsed.type]) {
+            ids[parsed.type] = parsed.id;
+        }
+    });
+
+    return ids;
+}
+
+//
+// Exports
+//
+module.exports = {
+    parse: parse,
+    externalIds: externalIds
+};
@@ -0,0 +1,255 @@
+//
+// Imports
+//
+const async = require("async");
+const plexClient = require("./plex-client");
+const plexGuids = require("./plex-guids");
+const episodeMatch = require("./episode-match");
+
+//
+// Constants
+//
+
+// Plex metadata type for episodes
+const TYPE_EPISODE = 4;
+
+/**
+ * Creates an empty index
+ *
+ * @returns {object} Index
+ */
+function create() {
+    return {
+        items: [],
+        byId: {
+            imdb: {},
+            tmdb: {},
+            tvdb: {},
+            plex: {}
+        }
+    };
+}
+
+/**
+ * Adds an item to an index, by each of its external IDs.  Items that don't
+ * have their ids yet have them read from their Plex GUIDs.
+ *
+ * @param {object} index Index
+ * @param {object} item Plex metadata item, or another target's item with ids
+ */
+function add(index, item) {
+    item.ids = item.ids || plexGuids.externalIds(item);
+
+    index.items.push(item);
+
+    for (const type in item.ids) {
+        const byType = index.byId[type];
+
+        byType[item.ids[type]] = byType[item.ids[type]] || [];
+        byType[item.ids[type]].push(item);
+    }
+}
+
+/**
+ * Finds items by external ID
+ *
+ * @param {object} index Index
+ * @param {string} type ID type (imdb, tmdb, tvdb or plex)
+ * @param {string} id ID
+ *
+ * @returns {object[]} Matching items
+ */
+function find(index, type, id) {
+    return (index.byId[type] && index.byId[type][id]) || [];
+}
+
+/**
+ * Finds every copy of an item, i.e. items that share one of its external IDs
+ * (e.g. the same movie in an HD and a 4K section)
+ *
+ * @param {object} index Index
+ * @param {object} item Plex metadata item
+ *
+ * @returns {object[]} Copies, starting with the item
+ */
+function copies(index, item) {
+    let found = [item];
+
+    for (const type in item.ids) {
+        find(index, type, item.ids[type]).forEach(function(copy) {
+            if (found.indexOf(copy) === -1) {
+                found.push(copy);
+            }
+        });
+    }
+
+    return found;
+}
+
+/**
+ * Loads every movie in the Plex sections into an index keyed by external ID
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {object[]} sections Plex sections
+ * @param {function} callback Callback with the index
+ */
+function loadMovies(client, sections, callback) {
+    let index = create();
+
+    async.eachSeries(sections, function(section, cb) {
+        plexClient.queryAll(client, `/library/sections/${section.key}/all?includeGuids=1`, function(err, items) {
+            if (err) {
+                return cb(err);
+            }
+
+            items.forEach(function(item) {
+                // for collections, which are per-section
+                item.sectionKey = section.key;
+                item.sectionTitle = section.title;
+
+                add(index, item);
+            });
+
+            return cb();
+        });
+    }, function(err) {
+        callback(err, index);
+    });
+}
+
+/**
+ * Loads every TV series and episode in the Plex sections into an index keyed
+ * by external ID, plus a byTitle map.  Each series is:
+ *   {
+ *     key: "/library/metadata/n/children",
+ *     ratingKey: "n",
+ *     title: "Series Title",
+ *     year: 2005,
+ *     ids: { tvdb: "...", ... },
+ *     seasons: [season][episode] = { key: ratingKey, season, index, last, title, watched, rating, viewCount }
+ *   }
+ *
+ * Episodes are loaded a whole section at a time, rather than series by series.
+ * A multi-episode file (e.g. S01E01-E02) that Plex has as one item is listed
+ * under each of its episode numbers, unless Plex has a separate item for it.
+ *
+ * @param {PlexAPI} client Plex client
+ * @param {object[]} sections Plex sections
+ * @param {function} callback Callback with the index
+ */
+function loadShows(client, sections, callback) {
+    let index = create();
+
+    index.byTitle = {};
+
+    async.eachSeries(sections, function(section, cb) {
+        let byRatingKey = {};
+
+        async.waterfall([
+            function(cbWaterfall) {
+                plexClient.queryAll(client, `/library/sections/${section.key}/all?includeGuids=1`, cbWaterfall);
+            },
+
+            function(shows, cbWaterfall) {
+                shows.forEach(function(show) {
+                    const series = {
+                        key: show.key,
+                        ratingKey: show.ratingKey,
+                        title: show.title,
+                        year: show.year,
+                        guid: show.guid,
+                        Guid: show.Guid,
+                        seasons: []
+                    };
+
+                    add(index, series);
+
+                    index.byTitle[series.title] = series;
+                    byRatingKey[series.ratingKey] = series;
+                });
+
+                plexClient.queryAll(client, `/library/sections/${section.key}/all?type=${TYPE_EPISODE}`, cbWaterfall);
+            },
+
+            function(plexEpisodes, cbWaterfall) {
+                addEpisodes(byRatingKey, plexEpisodes.map(episode => ({
+                    show: episode.grandparentRatingKey,
+                    key: episode.ratingKey,
+                    season: episode.parentIndex,
+                    index: episode.index,
+                    numbers: episodeMatch.fileNumbers(episode),
+                    title: episode.title,
+                    watched: episode.viewCount > 0,
+                    rating: episode.userRating,
+                    viewCount: episode.viewCount
+                })));
+
+                cbWaterfall();
+            }
+        ], cb);
+    }, function(err) {
+        callback(err, index);
+    });
+}
+
+/**
+ * Adds episodes to the seasons of their series.  A multi-episode item is listed
+ * under each of its episode numbers, unless there's a separate item for it.
+ *
+ * @param {object} shows Series, by key
+ * @param {object[]} episodes Episodes ({ show, key, season, index, numbers, title,
+ *   watched, rating, viewCount }), where show is their series' key and numbers are all of
+ *   their episode numbers (if they're a multi-episode item)
+ */
+function addEpisodes(shows, episodes) {
+    // the other episode numbers of multi-episode items, filled in after all items
+    let extraNumbers = [];
+
+    episodes.forEach(function(episode) {
+        const show = shows[episode.show];
+
+        if (!show ||
+            typeof episode.season === "undefined" ||
+            typeof episode.index === "undefined") {
+            return;
+        }
+
+        const numbers = episode.numbers || [];
+
+        const season = show.seasons[episode.season] = show.seasons[episode.season] || [];
+
+        season[episode.index] = {
+            key: episode.key,
+            season: episode.season,
+            index: episode.index,
+            last: numbers.length ? numbers[numbers.length - 1] : episode.index,
+            title: episode.title,
+            watched: episode.watched,
+            rating: episode.rating,
+            viewCount: episode.viewCount
+        };
+
+        numbers
+            .filter(number => number !== episode.index)
+            .forEach(function(number) {
+                extraNumbers.push({ season: season, number: number, episode: season[episode.index] });
+            });
+    });
+
+    extraNumbers.forEach(function(extra) {
+        extra.season[extra.number] = extra.season[extra.number] || extra.episode;
+    });
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create,
+    add: add,
+    addEpisodes: addEpisodes,
+    find: find,
+    copies: copies,
+    loadMovies: loadMovies,
+    loadShows: loadShows
+};
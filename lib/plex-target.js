@@ -0,0 +1,111 @@
+//
+// Imports
+//
+const async = require("async");
+const PlexAPI = require("plex-api");
+const plexClient = require("./plex-client");
+const plexIndex = require("./plex-index");
+
+/**
+ * Creates the Plex target
+ *
+ * @param {object} options { host, token, client }, where client is a PlexAPI
+ *   client to use instead of host and token
+ *
+ * @returns {object} Target (see targets.create)
+ */
+function create(options) {
+    const client = options.client || new PlexAPI({
+        hostname: options.host,
+        token: options.token
+    });
+
+    return {
+        label: "Plex",
+        client: client,
+
+        /**
+         * Connects to the server
+         *
+         * @param {function} callback Callback with the server version
+         */
+        connect: function(callback) {
+            client.query("/").then(function(result) {
+                callback(null, result.MediaContainer.version);
+            }, callback);
+        },
+
+        /**
+         * Lists the library sections
+         *
+         * @param {function} callback Callback with the sections ({ key, title, type })
+         */
+        sections: function(callback) {
+            client.query("/library/sections").then(function(result) {
+                callback(null, result.MediaContainer.Directory);
+            }, callback);
+        },
+
+        loadMovies: (sections, callback) => plexIndex.loadMovies(client, sections, callback),
+
+        loadShows: (sections, callback) => plexIndex.loadShows(client, sections, callback),
+
+        /**
+         * Reads the current state of an item
+         *
+         * @param {string} ratingKey Item key
+         * @param {function} callback Callback with the state ({ watched, rating }), or
+         *   nothing if it's gone
+         */
+        readState: function(ratingKey, callback) {
+            plexClient.query(client, `/library/metadata/${ratingKey}`, function(err, result) {
+                if (err) {
+                    return callback(plexClient.isNotFound(err) ? null : err);
+                }
+
+                const item = result.MediaContainer.Metadata && result.MediaContainer.Metadata[0];
+
+                return callback(null, item ? {
+                    watched: item.viewCount > 0,
+                    rating: typeof item.userRating === "number" ? item.userRating : null
+                } : undefined);
+            });
+        },
+
+        /**
+         * Sets the state of an item
+         *
+         * @param {string} ratingKey Item key
+         * @param {object} state Fields to set ({ watched, rating }), where a null
+         *   rating clears it
+         * @param {function} callback Callback
+         */
+        setState: function(ratingKey, state, callback) {
+            let uris = [];
+
+            if (typeof state.watched !== "undefined") {
+                uris.push(`/:/${state.watched ? "scrobble" : "unscrobble"}` +
+                    `?identifier=com.plexapp.plugins.library&key=${ratingKey}`);
+            }
+
+            if (typeof state.rating !== "undefined") {
+                // -1 clears the rating
+                uris.push("/:/rate?identifier=com.plexapp.plugins.library" +
+                    `&key=${ratingKey}&rating=${state.rating === null ? -1 : state.rating}`);
+            }
+
+            async.eachSeries(uris, function(uri, cb) {
+                plexClient.write(client, uri, function(err) {
+                    cb(err);
+                });
+            }, callback);
+        }
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create
+};
@@ -0,0 +1,191 @@
+//
+// Imports
+//
+const async = require("async");
+const fs = require("fs");
+const PlexAPI = require("plex-api");
+const syncRun = require("./sync-run");
+
+//
+// Constants
+//
+
+// plex.tv, which has the Plex Home users and their tokens
+const PLEX_TV = "plex.tv";
+
+// keys a user can have
+const USER_KEYS = ["file", "pin", "pinEnv"];
+
+// plex.tv's XML responses, which plex-api parses (its JSON ones aren't)
+const XML_HEADERS = { Accept: "application/xml" };
+
+/**
+ * Loads a users file.  Each user is a Plex Home or managed user, by title or
+ * username, with their My Movies Collection.xml (instead of --file) and their
+ * PIN (or the environment variable it's in), if they have them:
+ *   {
+ *     "Alice": {},
+ *     "Kids": { "file": "kids-Collection.xml", "pinEnv": "KIDS_PIN" }
+ *   }
+ *
+ * @param {string} fileName Users file name
+ *
+ * @returns {object[]} Users ({ name, file, pin })
+ */
+function load(fileName) {
+    const users = JSON.parse(fs.readFileSync(fileName, "utf-8"));
+
+    if (!users || typeof users !== "object" || Array.isArray(users) || !Object.keys(users).length) {
+        throw new Error("Users file must be an object of users");
+    }
+
+    return Object.keys(users).map(function(name) {
+        const user = users[name] || {};
+
+        Object.keys(user).forEach(function(key) {
+            if (USER_KEYS.indexOf(key) === -1) {
+                throw new Error(`Unknown setting "${key}" for user "${name}" (use ${USER_KEYS.join(", ")})`);
+            }
+        });
+
+        if (user.pinEnv && !process.env[user.pinEnv]) {
+            throw new Error(`Environment variable ${user.pinEnv} is not set`);
+        }
+
+        return {
+            name: name,
+            file: user.file,
+            pin: user.pinEnv ? process.env[user.pinEnv] : user.pin
+        };
+    });
+}
+
+/**
+ * Creates a plex.tv client
+ *
+ * @param {string} token Plex account token
+ *
+ * @returns {PlexAPI} Client
+ */
+function plexTv(token) {
+    return new PlexAPI({
+        hostname: PLEX_TV,
+        port: 443,
+        https: true,
+        token: token
+    });
+}
+
+/**
+ * Gets the attributes of each parsed XML element
+ *
+ * @param {object[]} [elements] Elements
+ *
+ * @returns {object[]} Attributes
+ */
+function attributes(elements) {
+    return (elements || []).map(element => element.attributes || {});
+}
+
+/**
+ * Finds a Plex Home user
+ *
+ * @param {string} adminToken Plex Home admin's token
+ * @param {string} name User's title or username
+ * @param {function} callback Callback with the user ({ id, title, admin, protected, ... }),
+ *   or an error with kind "config" if there's no such user
+ */
+function findUser(adminToken, name, callback) {
+    plexTv(adminToken).query({ uri: "/api/home/users", extraHeaders: XML_HEADERS }).then(function(result) {
+        const users = attributes(result.MediaContainer && result.MediaContainer.User);
+        const lowerName = String(name).toLowerCase();
+
+        const user = users.find(u => [u.title, u.username]
+            .filter(Boolean)
+            .some(userName => userName.toLowerCase() === lowerName));
+
+        if (!user) {
+            return callback(syncRun.classify(`No Plex Home user "${name}" ` +
+                `(users: ${users.map(u => u.title).join(", ")})`, syncRun.ERROR_CONFIG));
+        }
+
+        return callback(null, user);
+    }, callback);
+}
+
+/**
+ * Gets the token a Plex Home or managed user uses on a Plex server, by
+ * switching to the user on plex.tv, then finding the server in their resources
+ *
+ * @param {string} adminToken Plex Home admin's token
+ * @param {string} machineIdentifier Plex server's machine identifier
+ * @param {object} user User ({ name, pin })
+ * @param {function} callback Callback with the token
+ */
+function serverToken(adminToken, machineIdentifier, user, callback) {
+    async.waterfall([
+        function(cb) {
+            findUser(adminToken, user.name, cb);
+        },
+
+        function(homeUser, cb) {
+            // the admin's own token is already theirs
+            if (homeUser.admin === "1") {
+                return cb(null, adminToken, true);
+            }
+
+            if (homeUser.protected === "1" && !user.pin) {
+                return cb(syncRun.classify(`Plex Home user "${user.name}" has a PIN, set their pin or pinEnv`,
+                    syncRun.ERROR_CONFIG));
+            }
+
+            const pin = user.pin ? `?pin=${encodeURIComponent(user.pin)}` : "";
+
+            return plexTv(adminToken)
+                .postQuery({ uri: `/api/home/users/${homeUser.id}/switch${pin}`, extraHeaders: XML_HEADERS })
+                .then(function(result) {
+                    const switched = result.user && result.user.attributes;
+
+                    if (!switched || !switched.authenticationToken) {
+                        return cb(`Could not switch to Plex Home user "${user.name}"`);
+                    }
+
+                    return cb(null, switched.authenticationToken, false);
+                }, function(err) {
+                    // plex.tv refuses a wrong PIN as unauthorized
+                    cb(/denied request/.test(err.message) ?
+                        syncRun.classify(`Plex Home user "${user.name}"'s PIN was not accepted`,
+                            syncRun.ERROR_CONFIG) : err);
+                });
+        },
+
+        function(userToken, isAdmin, cb) {
+            if (isAdmin) {
+                return cb(null, userToken);
+            }
+
+            return plexTv(userToken)
+                .query({ uri: "/api/resources?includeHttps=1", extraHeaders: XML_HEADERS })
+                .then(function(result) {
+                    const server = attributes(result.MediaContainer && result.MediaContainer.Device)
+                        .find(device => device.clientIdentifier === machineIdentifier);
+
+                    if (!server || !server.accessToken) {
+                        return cb(syncRun.classify(
+                            `Plex Home user "${user.name}" doesn't have access to this Plex server`,
+                            syncRun.ERROR_CONFIG));
+                    }
+
+                    return cb(null, server.accessToken);
+                }, cb);
+        }
+    ], callback);
+}
+
+//
+// Exports
+//
+module.exports = {
+    load: load,
+    serverToken: serverToken
+};
@@ -0,0 +1,233 @@
+//
+// Imports
+//
+const fs = require("fs");
+const path = require("path");
+
+//
+// Constants
+//
+
+// report categories
+const MISSING_FROM_PLEX = "missing-from-plex";
+const MISSING_FROM_MYMOVIES = "missing-from-mymovies";
+const UNOWNED_IN_MYMOVIES = "unowned-in-mymovies";
+const DUPLICATE_IN_MYMOVIES = "duplicate-in-mymovies";
+const DUPLICATE_IN_PLEX = "duplicate-in-plex";
+
+const CATEGORY_TITLES = {
+    [MISSING_FROM_PLEX]: "In My Movies, missing from Plex",
+    [MISSING_FROM_MYMOVIES]: "In Plex, missing from My Movies",
+    [UNOWNED_IN_MYMOVIES]: "In Plex, unowned in My Movies",
+    [DUPLICATE_IN_MYMOVIES]: "More than one disc in My Movies",
+    [DUPLICATE_IN_PLEX]: "More than one copy in Plex"
+};
+
+const COLUMNS = ["category", "type", "series", "season", "episode", "title", "year", "imdb", "ratingKey"];
+
+/**
+ * Counts the items in each category
+ *
+ * @param {object[]} items Report items
+ *
+ * @returns {object} Counts by category
+ */
+function summarize(items) {
+    let summary = {};
+
+    Object.keys(CATEGORY_TITLES).forEach(function(category) {
+        summary[category] = items.filter(item => item.category === category).length;
+    });
+
+    return summary;
+}
+
+/**
+ * Gets the columns of a report, with the Plex Home user first if it's of --users
+ *
+ * @param {object[]} items Report items
+ *
+ * @returns {string[]} Columns
+ */
+function columnsOf(items) {
+    return items.some(item => item.user) ? ["user"].concat(COLUMNS) : COLUMNS;
+}
+
+/**
+ * Formats a report as JSON
+ *
+ * @param {object[]} items Report items
+ * @param {Date} generated Generation date
+ *
+ * @returns {string} JSON
+ */
+function toJson(items, generated) {
+    return JSON.stringify({
+        generated: generated.toISOString(),
+        summary: summarize(items),
+        items: items
+    }, null, 2);
+}
+
+/**
+ * Escapes a CSV value
+ *
+ * @param {*} value Value
+ *
+ * @returns {string} CSV value
+ */
+function csvValue(value) {
+    if (typeof value === "undefined" || value === null) {
+        return "";
+    }
+
+    value = String(value);
+
+    if (/[",\r\n]/.test(value)) {
+        return "\"" + value.replace(/"/g, "\"\"") + "\"";
+    }
+
+    return value;
+}
+
+/**
+ * Formats a report as CSV
+ *
+ * @param {object[]} items Report items
+ *
+ * @returns {string} CSV
+ */
+function toCsv(items) {
+    const columns = columnsOf(items);
+
+    let lines = [columns.join(",")];
+
+    items.forEach(function(item) {
+        lines.push(columns.map(column => csvValue(item[column])).join(","));
+    });
+
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Escapes HTML
+ *
+ * @param {*} value Value
+ *
+ * @returns {string} Escaped HTML
+ */
+function htmlValue(value) {
+    if (typeof value === "undefined" || value === null) {
+        return "";
+    }
+
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats a report as a standalone HTML page
+ *
+ * @param {object[]} items Report items
+ * @param {Date} generated Generation date
+ *
+ * @returns {string} HTML
+ */
+function toHtml(items, generated) {
+    const columns = columnsOf(items).filter(column => column !== "category");
+
+    let html = [
+        "<!DOCTYPE html>",
+        "<html>",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<title>mymovies2plex reconciliation</title>",
+        "<style>",
+        "body { font-family: sans-serif; margin: 2em; }",
+        "table { border-collapse: collapse; margin-bottom: 2em; }",
+        "th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; text-align: left; }",
+        "th { background: #eee; }",
+        "</style>",
+        "</head>",
+        "<body>",
+        "<h1>mymovies2plex reconciliation</h1>",
+        `<p>Generated ${htmlValue(generated.toISOString())}</p>`
+    ];
+
+    Object.keys(CATEGORY_TITLES).forEach(function(category) {
+        const categoryItems = items.filter(item => item.category === category);
+
+        html.push(`<h2>${htmlValue(CATEGORY_TITLES[category])} (${categoryItems.length})</h2>`);
+
+        if (!categoryItems.length) {
+            html.push("<p>None</p>");
+            return;
+        }
+
+        html.push("<table>");
+        html.push("<tr>" + columns.map(column => `<th>${htmlValue(column)}</th>`).join("") + "</tr>");
+
+        categoryItems.forEach(function(item) {
+            html.push("<tr>" + columns.map(column => `<td>${htmlValue(item[column])}</td>`).join("") + "</tr>");
+        });
+
+        html.push("</table>");
+    });
+
+    html.push("</body>");
+    html.push("</html>");
+
+    return html.join("\n") + "\n";
+}
+
+/**
+ * Writes a report.  The format (JSON, CSV or HTML) comes from the file extension.
+ *
+ * Each item has a category (MISSING_FROM_PLEX, MISSING_FROM_MYMOVIES, UNOWNED_IN_MYMOVIES,
+ * DUPLICATE_IN_MYMOVIES or DUPLICATE_IN_PLEX),
+ * a type (movie, series or episode) and whichever of series, season, episode, title, year,
+ * imdb and ratingKey are known, plus the Plex Home user with --users.
+ *
+ * @param {string} fileName Report file name
+ * @param {object[]} items Report items
+ */
+function write(fileName, items) {
+    const generated = new Date();
+    let contents;
+
+    switch (path.extname(fileName).toLowerCase()) {
+        case ".json":
+            contents = toJson(items, generated);
+            break;
+
+        case ".csv":
+            contents = toCsv(items);
+            break;
+
+        case ".html":
+        case ".htm":
+            contents = toHtml(items, generated);
+            break;
+
+        default:
+            throw new Error(`${fileName}: report must be a .json, .csv or .html file`);
+    }
+
+    fs.writeFileSync(fileName, contents, "utf-8");
+}
+
+//
+// Exports
+//
+module.exports = {
+    MISSING_FROM_PLEX: MISSING_FROM_PLEX,
+    MISSING_FROM_MYMOVIES: MISSING_FROM_MYMOVIES,
+    UNOWNED_IN_MYMOVIES: UNOWNED_IN_MYMOVIES,
+    DUPLICATE_IN_MYMOVIES: DUPLICATE_IN_MYMOVIES,
+    DUPLICATE_IN_PLEX: DUPLICATE_IN_PLEX,
+    summarize: summarize,
+    write: write
+};
@@ -0,0 +1,83 @@
+//
+// Constants
+//
+
+// Plex section types
+const TYPE_MOVIE = "movie";
+const TYPE_SHOW = "show";
+
+/**
+ * Whether a section is the one named, by exact title or section key
+ *
+ * @param {object} section Plex section
+ * @param {string} name Section title or key
+ *
+ * @returns {boolean} True if it's the named section
+ */
+function isNamed(section, name) {
+    return section.title === String(name) || String(section.key) === String(name);
+}
+
+/**
+ * Finds the named sections
+ *
+ * @param {object[]} sections Plex sections
+ * @param {string[]} names Section titles or keys
+ *
+ * @returns {object[]} Named sections
+ */
+function findNamed(sections, names) {
+    return names.map(function(name) {
+        const found = sections.filter(section => isNamed(section, name));
+
+        if (!found.length) {
+            throw new Error(`No Plex section "${name}" (sections: ` +
+                `${sections.map(section => `${section.title} #${section.key}`).join(", ")})`);
+        }
+
+        return found;
+    }).reduce((all, found) => all.concat(found), []);
+}
+
+/**
+ * Picks the Plex sections to sync.  With no included sections, every section of
+ * the type is used.  Included sections must be of the type, or of another type
+ * being synced in the same run (which are left for that part of the run).
+ *
+ * @param {object[]} sections Plex sections
+ * @param {object} options { type, include, exclude, types }, where include and
+ *   exclude are section titles or keys, and types are all types being synced
+ *
+ * @returns {object[]} Sections
+ */
+function select(sections, options) {
+    const types = options.types || [options.type];
+
+    let selected = sections.filter(section => section.type === options.type);
+
+    if (options.include && options.include.length) {
+        const named = findNamed(sections, options.include);
+
+        named.forEach(function(section) {
+            if (types.indexOf(section.type) === -1) {
+                throw new Error(`Plex section "${section.title}" is a ${section.type} section, ` +
+                    `not ${options.type === TYPE_MOVIE ? "a movie" : "a TV"} section`);
+            }
+        });
+
+        selected = named.filter((section, i) => section.type === options.type && named.indexOf(section) === i);
+    }
+
+    const excluded = findNamed(sections, options.exclude || []);
+
+    return selected.filter(section => excluded.indexOf(section) === -1);
+}
+
+//
+// Exports
+//
+module.exports = {
+    TYPE_MOVIE: TYPE_MOVIE,
+    TYPE_SHOW: TYPE_SHOW,
+    select: select
+};
@@ -0,0 +1,208 @@
+//
+// Imports
+//
+const plexIndex = require("./plex-index");
+const snapshot = require("./snapshot");
+const syncRun = require("./sync-run");
+
+/**
+ * Creates a target that reads a library snapshot (from --export-snapshot)
+ * instead of a server, so matching, reports and plans can be made offline.
+ * It can't be changed.
+ *
+ * @param {object} options { plexSnapshot, target }
+ * @param {string} label Label of the snapshot's target (e.g. Plex)
+ *
+ * @returns {object} Target (see targets.create), plus the snapshot's created
+ *   time and host once connected
+ */
+function create(options, label) {
+    const fileName = options.plexSnapshot;
+
+    // the snapshot, read on connecting
+    let loaded;
+
+    // each movie and episode's state, by rating key
+    let states = {};
+
+    /**
+     * Loads the snapshot
+     *
+     * @returns {Error} Error, if it couldn't be loaded
+     */
+    function load() {
+        try {
+            loaded = snapshot.load(fileName);
+        } catch (e) {
+            return syncRun.classify(`${fileName}: ${e.message}`, syncRun.ERROR_CONFIG);
+        }
+
+        const snapshotTarget = loaded.target || "plex";
+
+        if (snapshotTarget !== options.target) {
+            return syncRun.classify(`${fileName}: snapshot of --target ${snapshotTarget}, not ${options.target}`,
+                syncRun.ERROR_CONFIG);
+        }
+
+        loaded.movies.forEach(function(movie) {
+            states[movie.ratingKey] = movieState(movie);
+        });
+
+        loaded.shows.forEach(function(series) {
+            snapshot.episodes(series).forEach(function(episode) {
+                states[episode.key] = {
+                    watched: episode.watched,
+                    rating: typeof episode.rating === "number" ? episode.rating : null
+                };
+            });
+        });
+
+        return null;
+    }
+
+    /**
+     * Gets the snapshot's items that are in the sections
+     *
+     * @param {object[]} list Movies or shows
+     * @param {object[]} sections Sections
+     *
+     * @returns {object[]} Copies of the items, with their section's key and title
+     */
+    function inSections(list, sections) {
+        let items = [];
+
+        sections.forEach(function(section) {
+            list.filter(item => item.sectionKey === section.key).forEach(function(item) {
+                items.push(Object.assign({}, item, {
+                    sectionKey: section.key,
+                    sectionTitle: section.title
+                }));
+            });
+        });
+
+        return items;
+    }
+
+    let target = {
+        label: label,
+        created: undefined,
+        host: undefined,
+
+        /**
+         * Reads the snapshot
+         *
+         * @param {function} callback Callback with the server's version when the
+         *   snapshot was taken
+         *
+         * @returns {undefined}
+         */
+        connect: function(callback) {
+            const err = load();
+
+            if (err) {
+                return callback(err);
+            }
+
+            target.created = loaded.created;
+            target.host = loaded.host;
+
+            return callback(null, loaded.serverVersion);
+        },
+
+        /**
+         * Lists the snapshot's sections
+         *
+         * @param {function} callback Callback with the sections ({ key, title, type })
+         */
+        sections: function(callback) {
+            callback(null, loaded.sections);
+        },
+
+        /**
+         * Loads the snapshot's movies in the sections into an index, like
+         * plexIndex.loadMovies
+         *
+         * @param {object[]} sections Sections
+         * @param {function} callback Callback with the index
+         */
+        loadMovies: function(sections, callback) {
+            let index = plexIndex.create();
+
+            inSections(loaded.movies, sections).forEach(item => plexIndex.add(index, item));
+
+            callback(null, index);
+        },
+
+        /**
+         * Loads the snapshot's TV series and episodes in the sections into an
+         * index, like plexIndex.loadShows
+         *
+         * @param {object[]} sections Sections
+         * @param {function} callback Callback with the index
+         */
+        loadShows: function(sections, callback) {
+            let index = plexIndex.create();
+            let byRatingKey = {};
+
+            index.byTitle = {};
+
+            inSections(loaded.shows, sections).forEach(function(show) {
+                const series = Object.assign({}, show, { seasons: [] });
+
+                plexIndex.add(index, series);
+
+                index.byTitle[series.title] = series;
+                byRatingKey[series.ratingKey] = series;
+
+                plexIndex.addEpisodes(byRatingKey, snapshot.episodes(show));
+            });
+
+            callback(null, index);
+        },
+
+        /**
+         * Reads an item's state in the snapshot
+         *
+         * @param {string} ratingKey Item key
+         * @param {function} callback Callback with the state ({ watched, rating }), or
+         *   nothing if it's not in the snapshot
+         */
+        readState: function(ratingKey, callback) {
+            callback(null, states[ratingKey]);
+        },
+
+        /**
+         * Refuses to change a snapshot
+         *
+         * @param {string} ratingKey Item key
+         * @param {object} state Fields to set
+         * @param {function} callback Callback
+         */
+        setState: function(ratingKey, state, callback) {
+            callback(new Error(`${fileName} is a snapshot, which can't be changed`));
+        }
+    };
+
+    return target;
+}
+
+/**
+ * Gets the state of a snapshot's movie
+ *
+ * @param {object} movie Movie
+ *
+ * @returns {object} State ({ watched, rating })
+ */
+function movieState(movie) {
+    return {
+        watched: movie.viewCount > 0,
+        rating: typeof movie.userRating === "number" ? movie.userRating : null
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create
+};
@@ -0,0 +1,216 @@
+//
+// Imports
+//
+const fs = require("fs");
+const plexSections = require("./sections");
+
+//
+// Constants
+//
+
+// snapshot file format version
+const VERSION = 1;
+
+// the fields of each movie that matching and syncing use
+const MOVIE_FIELDS = ["ratingKey", "key", "type", "title", "originalTitle", "year", "guid", "Guid", "ids",
+    "viewCount", "userRating"];
+
+// the fields of each TV series that matching uses
+const SERIES_FIELDS = ["ratingKey", "key", "title", "year", "guid", "Guid", "ids"];
+
+/**
+ * Copies some fields of an object
+ *
+ * @param {object} from Object
+ * @param {string[]} fields Fields
+ *
+ * @returns {object} Copy
+ */
+function pick(from, fields) {
+    let to = {};
+
+    fields.forEach(function(field) {
+        if (typeof from[field] !== "undefined") {
+            to[field] = from[field];
+        }
+    });
+
+    return to;
+}
+
+/**
+ * Gets the snapshot of a TV series: its seasons, and their episodes
+ *
+ * @param {object} series Series, from a plex-index index
+ * @param {string} sectionKey Section key
+ *
+ * @returns {object} Series
+ */
+function seriesSnapshot(series, sectionKey) {
+    let seasons = [];
+
+    series.seasons.forEach(function(seasonEpisodes, season) {
+        if (!seasonEpisodes) {
+            return;
+        }
+
+        // multi-episode items are listed under each of their numbers, but only saved once
+        let saved = [];
+
+        seasonEpisodes.forEach(function(episode) {
+            if (episode && saved.indexOf(episode) === -1) {
+                saved.push(episode);
+            }
+        });
+
+        seasons.push({
+            index: season,
+            episodes: saved.map(episode => ({
+                ratingKey: episode.key,
+                index: episode.index,
+                last: episode.last,
+                title: episode.title,
+                viewCount: episode.viewCount || 0,
+                userRating: episode.rating
+            }))
+        });
+    });
+
+    return Object.assign(pick(series, SERIES_FIELDS), {
+        sectionKey: sectionKey,
+        seasons: seasons
+    });
+}
+
+/**
+ * Creates a snapshot of library sections
+ *
+ * @param {object} info Where the snapshot came from ({ target, host, serverVersion })
+ * @param {object[]} loaded Each section, with its plex-index index ({ section, index })
+ *
+ * @returns {object} Snapshot
+ */
+function create(info, loaded) {
+    let movies = [];
+    let shows = [];
+
+    loaded.forEach(function(entry) {
+        const section = entry.section;
+
+        entry.index.items.forEach(function(item) {
+            if (section.type === plexSections.TYPE_MOVIE) {
+                movies.push(Object.assign(pick(item, MOVIE_FIELDS), { sectionKey: section.key }));
+            } else {
+                shows.push(seriesSnapshot(item, section.key));
+            }
+        });
+    });
+
+    return Object.assign({
+        version: VERSION,
+        created: new Date().toISOString()
+    }, info, {
+        sections: loaded.map(entry => pick(entry.section, ["key", "title", "type"])),
+        movies: movies,
+        shows: shows
+    });
+}
+
+/**
+ * Counts the episodes in a snapshot
+ *
+ * @param {object} snapshot Snapshot
+ *
+ * @returns {number} Episodes
+ */
+function episodeCount(snapshot) {
+    return snapshot.shows.reduce((count, series) =>
+        count + series.seasons.reduce((seasonCount, season) => seasonCount + season.episodes.length, 0), 0);
+}
+
+/**
+ * Saves a snapshot file
+ *
+ * @param {string} fileName Snapshot file name
+ * @param {object} snapshot Snapshot
+ */
+function save(fileName, snapshot) {
+    fs.writeFileSync(fileName, JSON.stringify(snapshot, null, 2), "utf-8");
+}
+
+/**
+ * Loads and validates a snapshot file
+ *
+ * @param {string} fileName Snapshot file name
+ *
+ * @returns {object} Snapshot
+ */
+function load(fileName) {
+    const snapshot = JSON.parse(fs.readFileSync(fileName, "utf-8"));
+
+    if (snapshot.version !== VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version}`);
+    }
+
+    ["sections", "movies", "shows"].forEach(function(list) {
+        if (!Array.isArray(snapshot[list])) {
+            throw new Error(`Snapshot does not have a ${list} list`);
+        }
+    });
+
+    snapshot.shows.forEach(function(series) {
+        if (!series.ratingKey || !Array.isArray(series.seasons)) {
+            throw new Error(`TV series "${series.title}" needs a ratingKey and seasons`);
+        }
+    });
+
+    return snapshot;
+}
+
+/**
+ * Gets the episodes of a snapshot's series, as plexIndex.addEpisodes takes them
+ *
+ * @param {object} series Series
+ *
+ * @returns {object[]} Episodes ({ show, key, season, index, numbers, title, watched,
+ *   rating, viewCount })
+ */
+function episodes(series) {
+    let all = [];
+
+    series.seasons.forEach(function(season) {
+        season.episodes.forEach(function(episode) {
+            let numbers = [];
+
+            // multi-episode items have all of their numbers
+            for (let number = episode.index; episode.last > episode.index && number <= episode.last; number++) {
+                numbers.push(number);
+            }
+
+            all.push({
+                show: series.ratingKey,
+                key: episode.ratingKey,
+                season: season.index,
+                index: episode.index,
+                numbers: numbers,
+                title: episode.title,
+                watched: episode.viewCount > 0,
+                rating: episode.userRating,
+                viewCount: episode.viewCount
+            });
+        });
+    });
+
+    return all;
+}
+
+//
+// Exports
+//
+module.exports = {
+    create: create,
+    episodeCount: episodeCount,
+    save: save,
+    load: load,
+    episodes: episodes
+};
@@ -0,0 +1,295 @@
+//
+// Imports
+//
+const episodeMatch = require("./episode-match");
+const match = require("./match");
+
+//
+// Constants
+//
+
+// values that mean yes (e.g. in a Watched column)
+const YES_REGEX = /^\s*(1|true|yes|y|x)\s*$/i;
+
+/**
+ * Parses CSV text (RFC 4180: quoted values can have commas, quotes as "" and
+ * line breaks) into rows, each keyed by its column heading
+ *
+ * @param {string} text CSV text
+ * @param {string[]} [required] Column headings it must have
+ *
+ * @returns {object[]} Rows
+ */
+function parseCsv(text, required) {
+    let lines = [];
+    let line = [];
+    let value = "";
+    let quoted = false;
+
+    // without a byte order mark
+    text = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === "\"" && text[i + 1] === "\"") {
+                value += c;
+                i++;
+            } else if (c === "\"") {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c === "\"") {
+            quoted = true;
+        } else if (c === ",") {
+            line.push(value);
+            value = "";
+        } else if (c === "\n" || c === "\r") {
+            line.push(value);
+            lines.push(line);
+            line = [];
+            value = "";
+
+            if (c === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+        } else {
+            value += c;
+        }
+    }
+
+    if (value || line.length) {
+        line.push(value);
+        lines.push(line);
+    }
+
+    // skipping blank lines
+    lines = lines.filter(values => values.some(v => v.trim() !== ""));
+
+    const headings = lines.length ? lines[0].map(heading => heading.trim()) : [];
+
+    (required || []).forEach(function(heading) {
+        if (headings.indexOf(heading) === -1) {
+            throw new Error(`CSV must have a ${heading} column`);
+        }
+    });
+
+    return lines.slice(1).map(function(values) {
+        let row = {};
+
+        headings.forEach(function(heading, i) {
+            row[heading] = typeof values[i] === "undefined" ? "" : values[i].trim();
+        });
+
+        return row;
+    });
+}
+
+/**
+ * Parses a yes or no value
+ *
+ * @param {string|boolean|number} [value] Value
+ * @param {boolean} defaultValue Value if it's blank
+ *
+ * @returns {boolean} True for 1, true, yes, y or x
+ */
+function parseBoolean(value, defaultValue) {
+    if (typeof value === "undefined" || value === null || value === "") {
+        return defaultValue;
+    }
+
+    return value === true || YES_REGEX.test(String(value));
+}
+
+/**
+ * Parses a rating
+ *
+ * @param {string|number} [value] Value
+ *
+ * @returns {number} Rating, or undefined if it's not rated
+ */
+function parseRating(value) {
+    const parsed = parseFloat(value);
+
+    return parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Parses a year
+ *
+ * @param {string|number} [value] Value
+ *
+ * @returns {number} Year, or undefined if there isn't one
+ */
+function parseYear(value) {
+    return parseInt(value, 10) || undefined;
+}
+
+/**
+ * Gets an ID, if there is one
+ *
+ * @param {string|number} [value] Value
+ *
+ * @returns {string} ID, or undefined
+ */
+function parseId(value) {
+    return value === null || typeof value === "undefined" || String(value).trim() === "" ?
+        undefined :
+        String(value).trim();
+}
+
+/**
+ * Turns watch history rows into the movie titles and TV series that
+ * mymovies-collection reads from a Collection.xml, so they can be matched and
+ * synced the same way.  The same movie or episode in several rows (e.g.
+ * rewatches) is one title or episode, watched if any row is, with the last
+ * rating.  Episodes are owned, as history only lists what was there to watch.
+ * A row whose watched status is undefined (e.g. only a rating) says nothing
+ * about it, so a title or episode with only such rows has no watched status,
+ * and its watched status isn't synced.
+ *
+ * @param {object[]} rows Rows, each a movie ({ title, year, imdb, tmdb, watched,
+ *   rating }) or an episode ({ series, seriesIds, season, episode, title,
+ *   watched, rating }), where seriesIds are the series' { tvdb, imdb, tmdb }
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function toCollection(rows) {
+    let titles = [];
+    let titlesByKey = {};
+    let series = [];
+    let seriesByTitle = {};
+    let episodesByKey = {};
+
+    rows.forEach(function(row) {
+        if (typeof row.series !== "undefined") {
+            return addEpisode(row);
+        }
+
+        return addMovie(row);
+    });
+
+    return {
+        titles: titles,
+        series: series
+    };
+
+    /**
+     * Adds a movie row
+     *
+     * @param {object} row Row
+     */
+    function addMovie(row) {
+        const imdb = parseId(row.imdb);
+        const tmdb = parseId(row.tmdb);
+        const year = parseYear(row.year);
+        const key = imdb || (tmdb && `tmdb:${tmdb}`) || `${match.normalizeTitle(row.title)} (${year || "?"})`;
+
+        let title = titlesByKey[key];
+
+        if (!title) {
+            title = titlesByKey[key] = {
+                index: titles.length,
+                id: imdb || (tmdb && `tmdb:${tmdb}`) || `${row.title} (${year || "?"})`,
+                title: row.title || "",
+                originalTitle: undefined,
+                imdb: imdb,
+                tmdb: tmdb,
+                year: year,
+                watched: undefined,
+                rating: undefined
+            };
+
+            titles.push(title);
+        }
+
+        merge(title, row);
+    }
+
+    /**
+     * Adds an episode row
+     *
+     * @param {object} row Row
+     */
+    function addEpisode(row) {
+        const seriesTitle = String(row.series).trim();
+
+        let oneSeries = seriesByTitle[seriesTitle];
+
+        if (!oneSeries) {
+            oneSeries = seriesByTitle[seriesTitle] = {
+                title: seriesTitle,
+                ids: {},
+                episodes: []
+            };
+
+            series.push(oneSeries);
+        }
+
+        const ids = row.seriesIds || {};
+
+        for (const type in ids) {
+            if (parseId(ids[type]) && !oneSeries.ids[type]) {
+                oneSeries.ids[type] = parseId(ids[type]);
+            }
+        }
+
+        const season = String(row.season === null || typeof row.season === "undefined" ? "" : row.season).trim();
+        const number = String(row.episode === null || typeof row.episode === "undefined" ? "" : row.episode).trim();
+
+        const key = `${seriesTitle}/${season}/${number}`;
+
+        let episode = episodesByKey[key];
+
+        if (!episode) {
+            episode = episodesByKey[key] = {
+                seriesIndex: series.indexOf(oneSeries),
+                episodeIndex: oneSeries.episodes.length,
+                series: seriesTitle,
+                season: season,
+                episode: number,
+                seasonNumber: episodeMatch.parseSeason(season),
+                numbers: episodeMatch.parseNumbers(number),
+                title: row.title || `Episode ${number}`,
+                owned: true,
+                watched: undefined,
+                rating: undefined
+            };
+
+            oneSeries.episodes.push(episode);
+        }
+
+        merge(episode, row);
+    }
+
+    /**
+     * Merges a row's watched status and rating into its title or episode
+     *
+     * @param {object} item Title or episode
+     * @param {object} row Row
+     */
+    function merge(item, row) {
+        const rating = parseRating(row.rating);
+
+        if (typeof row.watched !== "undefined") {
+            item.watched = item.watched || Boolean(row.watched);
+        }
+
+        if (rating) {
+            item.rating = rating;
+        }
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    parseCsv: parseCsv,
+    parseBoolean: parseBoolean,
+    parseYear: parseYear,
+    parseId: parseId,
+    toCollection: toCollection
+};
@@ -0,0 +1,198 @@
+//
+// Imports
+//
+const fs = require("fs");
+const path = require("path");
+const mymoviesCollection = require("./mymovies-collection");
+const traktSource = require("./trakt-source");
+const letterboxdSource = require("./letterboxd-source");
+const genericSource = require("./generic-source");
+
+//
+// Constants
+//
+const FORMAT_MYMOVIES = "mymovies";
+const FORMAT_TRAKT = "trakt";
+const FORMAT_LETTERBOXD = "letterboxd";
+const FORMAT_CSV = "csv";
+const FORMAT_JSON = "json";
+
+const FORMATS = [FORMAT_MYMOVIES, FORMAT_TRAKT, FORMAT_LETTERBOXD, FORMAT_CSV, FORMAT_JSON];
+
+// names, for logging
+const LABELS = {
+    [FORMAT_MYMOVIES]: "XML",
+    [FORMAT_TRAKT]: "Trakt export",
+    [FORMAT_LETTERBOXD]: "Letterboxd CSV",
+    [FORMAT_CSV]: "CSV",
+    [FORMAT_JSON]: "JSON"
+};
+
+// what only some formats can do: be written back to (for --direction
+// plex-to-mymovies and two-way), and have fields for --collections
+const FEATURES = {
+    write: [FORMAT_MYMOVIES],
+    collections: [FORMAT_MYMOVIES]
+};
+
+// parsers of the formats other than My Movies', which are read whole
+const PARSERS = {
+    [FORMAT_TRAKT]: traktSource.parse,
+    [FORMAT_LETTERBOXD]: letterboxdSource.parse,
+    [FORMAT_CSV]: genericSource.parseCsv,
+    [FORMAT_JSON]: genericSource.parseJson
+};
+
+/**
+ * Whether a source format supports a feature
+ *
+ * @param {string} format Source format
+ * @param {string} feature write or collections
+ *
+ * @returns {boolean} True if it does
+ */
+function supports(format, feature) {
+    return FEATURES[feature].indexOf(format) !== -1;
+}
+
+/**
+ * Opens a source file.  A Trakt export can also be the directory it unzips to,
+ * whose JSON files are read as one list.
+ *
+ * @param {string} format Source format
+ * @param {string} fileName File (or directory) name
+ * @param {function} callback Callback with a readable stream of the file (or
+ *   its contents), and its size
+ */
+function open(format, fileName, callback) {
+    fs.stat(fileName, function(err, stats) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!stats.isDirectory()) {
+            return callback(null, fs.createReadStream(fileName), stats.size);
+        }
+
+        if (format !== FORMAT_TRAKT) {
+            return callback(`${fileName} is a directory`);
+        }
+
+        let entries = [];
+
+        try {
+            fs.readdirSync(fileName)
+                .filter(name => path.extname(name).toLowerCase() === ".json")
+                .sort()
+                .forEach(function(name) {
+                    const list = JSON.parse(fs.readFileSync(path.join(fileName, name), "utf-8"));
+
+                    // e.g. a user's profile or settings, which aren't synced
+                    if (Array.isArray(list)) {
+                        entries = entries.concat(list);
+                    }
+                });
+        } catch (e) {
+            return callback(e.message);
+        }
+
+        const text = JSON.stringify(entries);
+
+        return callback(null, text, text.length);
+    });
+}
+
+/**
+ * Reads a source's movie titles and TV series, as My Movies records
+ * (see mymovies-collection)
+ *
+ * @param {string} format Source format
+ * @param {string|Stream} source Contents, or a readable stream of them
+ * @param {object} options { movies, tv, mapping, onProgress } (see mymoviesCollection.read)
+ * @param {function} callback Callback with the collection ({ titles, series })
+ *
+ * @returns {undefined}
+ */
+function read(format, source, options, callback) {
+    if (format === FORMAT_MYMOVIES) {
+        return mymoviesCollection.read(source, options, function(err, parsed) {
+            if (err) {
+                return callback(err);
+            }
+
+            if (options.movies && !parsed.discTitles) {
+                return callback("XML does not have DiscTitles!");
+            }
+
+            if (options.tv && !parsed.tvSeries) {
+                return callback("XML does not have TVSeries!");
+            }
+
+            return callback(null, parsed);
+        });
+    }
+
+    return readText(source, options.onProgress, function(err, text) {
+        if (err) {
+            return callback(err);
+        }
+
+        let parsed;
+
+        try {
+            parsed = PARSERS[format](text);
+        } catch (e) {
+            return callback(e.message);
+        }
+
+        return callback(null, {
+            titles: options.movies ? parsed.titles : [],
+            series: options.tv ? parsed.series : []
+        });
+    });
+}
+
+/**
+ * Reads all of a source
+ *
+ * @param {string|Stream} source Contents, or a readable stream of them
+ * @param {function} [onProgress] Called with the number of bytes read
+ * @param {function} callback Callback with the text
+ *
+ * @returns {undefined}
+ */
+function readText(source, onProgress, callback) {
+    if (typeof source === "string") {
+        return callback(null, source);
+    }
+
+    let chunks = [];
+    let bytes = 0;
+
+    source.on("data", function(chunk) {
+        chunks.push(chunk);
+        bytes += chunk.length;
+
+        if (onProgress) {
+            onProgress(bytes);
+        }
+    });
+
+    source.on("error", callback);
+
+    return source.on("end", function() {
+        callback(null, Buffer.concat(chunks).toString("utf8"));
+    });
+}
+
+//
+// Exports
+//
+module.exports = {
+    FORMAT_MYMOVIES: FORMAT_MYMOVIES,
+    FORMATS: FORMATS,
+    LABELS: LABELS,
+    supports: supports,
+    open: open,
+    read: read
+};
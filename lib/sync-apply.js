@@ -0,0 +1,278 @@
+//
+// Imports
+//
+const async = require("async");
+const fs = require("fs");
+const chalk = require("chalk");
+const mymoviesXml = require("./mymovies-xml");
+const syncState = require("./sync-state");
+const plan = require("./plan");
+const journal = require("./journal");
+const syncRun = require("./sync-run");
+const syncChanges = require("./sync-changes");
+
+/**
+ * Makes the changes of movie and/or TV change sets: marks Plex items (or writes
+ * the --plan), writes My Movies changes to --output and saves the two-way state
+ *
+ * @param {object} run Run
+ * @param {object[]} changeSets Change sets
+ * @param {function} callback Callback with the result ({ counts, timings, journal, notSet })
+ */
+function applyChangeSets(run, changeSets, callback) {
+    const options = run.options;
+
+    // what was changed, and what could not be
+    let changed = [];
+    let notSet = [];
+
+    // Plex changes that failed
+    let plexFailed = [];
+
+    syncRun.stage(run, "apply");
+
+    async.waterfall([
+        //
+        // 1. Mark Plex items as Watched/Unwatched
+        //
+        function(cb) {
+            const plexChanges = changeSets.reduce((all, changeSet) => all.concat(changeSet.plexChanges), []);
+
+            markPlexAll(run, plexChanges, function(err, failed) {
+                plexFailed = failed;
+
+                changeSets.forEach(function(changeSet) {
+                    const setFailed = failed.filter(change => changeSet.plexChanges.indexOf(change) !== -1);
+
+                    // a title or episode failed if any of its Plex items did
+                    run.sectionCounts[changeSet.section] = syncChanges.countFailed(changeSet.counts,
+                        new Set(setFailed.map(change => change.source)).size);
+
+                    changed = changed.concat(
+                        changeSet.plexChanges
+                            .filter(change => setFailed.indexOf(change) === -1)
+                            .map(change => syncChanges.changedItem(changeSet.section, "plex", change)),
+                        changeSet.xmlChanges.map(change =>
+                            syncChanges.changedItem(changeSet.section, "mymovies", change)));
+
+                    notSet = notSet.concat(
+                        changeSet.notSet,
+                        setFailed.map(change => syncChanges.plexChangeItem(change, "failed", change.error)))
+                        .map(item => Object.assign({ section: changeSet.section }, item));
+                });
+
+                cb(err);
+            });
+        },
+
+        //
+        // 2. Write Watched changes back to My Movies
+        //
+        function(cb) {
+            const xmlChanges = changeSets.reduce((all, changeSet) => all.concat(changeSet.xmlChanges), []);
+
+            if (!run.writesMyMovies) {
+                return cb();
+            }
+
+            syncRun.log(run);
+            syncRun.log(run, `Updating ${chalk.green(xmlChanges.length)} My Movies Watched flags...`);
+
+            if (options.pretend || !xmlChanges.length) {
+                return cb();
+            }
+
+            let updatedXml;
+
+            try {
+                const collection = changeSets[0].collection;
+
+                updatedXml = mymoviesXml.setPersonal(collection.xml || fs.readFileSync(collection.file, "utf-8"),
+                    xmlChanges);
+            } catch (e) {
+                return cb(e.message);
+            }
+
+            syncRun.log(run, `Writing ${chalk.green(options.output)}...`);
+
+            return fs.writeFile(options.output, updatedXml, "utf-8", function(err) {
+                if (!err) {
+                    // so a partial sync can change it (see syncAll)
+                    run.outputOf = run.fileVersion;
+                }
+
+                cb(err);
+            });
+        },
+
+        //
+        // 3. Save the two-way sync state
+        //
+        function(cb) {
+            if (!run.twoWay || options.pretend || !run.nextState) {
+                return cb();
+            }
+
+            syncRun.log(run, `Writing ${chalk.green(options.state)}...`);
+
+            // what failed is still as it was in Plex, so is tried again next run
+            syncState.keepFailed(run.nextState, run.lastState, plexFailed);
+
+            try {
+                syncState.save(options.state, run.nextState);
+            } catch (e) {
+                return cb(e.message);
+            }
+
+            return cb();
+        }
+    ],
+    function(err) {
+        callback(err, Object.assign(syncRun.runSummary(run), {
+            changed: changed,
+            notSet: notSet
+        }));
+    });
+}
+
+/**
+ * Marks a Plex item as Watched or Unwatched, and rates it, for each field of
+ * the change's target state that differs from its current state
+ *
+ * @param {object} run Run
+ * @param {object} change Change ({ ratingKey, current, target })
+ * @param {function} callback Callback
+ */
+function markPlex(run, change, callback) {
+    let state = {};
+
+    syncChanges.changedFields(change.current, change.target).forEach(function(field) {
+        state[field] = change.target[field];
+    });
+
+    run.target.setState(change.ratingKey, state, callback);
+}
+
+/**
+ * Marks Plex items as Watched or Unwatched, --concurrency at a time.  Items that
+ * fail don't stop the others.
+ *
+ * @param {object} run Run
+ * @param {object[]} plexChanges Changes ({ ratingKey, current, target, ... })
+ * @param {function} callback Callback with the changes that failed
+ *
+ * @returns {undefined}
+ */
+function markPlexAll(run, plexChanges, callback) {
+    const options = run.options;
+
+    if (options.plan) {
+        return writePlan(run, plexChanges, function(err) {
+            callback(err, []);
+        });
+    }
+
+    if (options.pretend || !plexChanges.length) {
+        return callback(null, []);
+    }
+
+    syncRun.log(run);
+    syncRun.log(run, `Marking ${chalk.green(plexChanges.length)} ${run.target.label} items, ` +
+        `${run.concurrency} at a time...`);
+
+    const stopTimer = syncRun.startTimer(run, "Marking");
+
+    if (!run.journal) {
+        run.journal = journal.start(options.journalDir, {
+            command: run.command,
+            file: run.commandFile,
+            host: options.host,
+            target: options.target,
+            user: run.user
+        });
+    }
+
+    let failed = [];
+    let marked = 0;
+
+    // an error that stops marking, after the changes already started finish
+    let fatal = null;
+
+    return async.eachLimit(plexChanges, run.concurrency, function(change, cb) {
+        if (fatal) {
+            return cb();
+        }
+
+        return markPlex(run, change, function(err) {
+            run.events.emit("change", change, err);
+            run.events.emit("progress", { stage: "apply", done: ++marked, total: plexChanges.length });
+
+            if (err) {
+                syncRun.log(run, chalk.red(`\t✖ #${change.ratingKey} ${change.plexTitle}: ${err.message || err}`));
+
+                change.error = err.message || String(err);
+
+                failed.push(change);
+
+                return cb();
+            }
+
+            try {
+                journal.record(run.journal, change);
+            } catch (e) {
+                // don't make changes that can't be undone
+                fatal = fatal || `${run.journal.fileName}: ${e.message}`;
+            }
+
+            return cb();
+        });
+    }, function() {
+        stopTimer();
+
+        if (run.journal.entries) {
+            syncRun.log(run, `Wrote ${chalk.green(run.journal.entries)} changes to ` +
+                `${chalk.green(run.journal.fileName)}`);
+        }
+
+        callback(fatal, failed);
+    });
+}
+
+/**
+ * Writes Plex changes to the --plan file, instead of making them
+ *
+ * @param {object} run Run
+ * @param {object[]} plexChanges Changes
+ * @param {function} callback Callback
+ *
+ * @returns {undefined}
+ */
+function writePlan(run, plexChanges, callback) {
+    const options = run.options;
+
+    syncRun.log(run);
+    syncRun.log(run, `Writing ${chalk.green(plexChanges.length)} ${run.target.label} changes ` +
+        `to ${chalk.green(options.plan)}...`);
+
+    try {
+        plan.save(options.plan, plan.create({
+            file: options.file,
+            host: options.host || run.target.host,
+            snapshot: options.plexSnapshot,
+            target: options.target,
+            direction: options.direction
+        }, plexChanges));
+    } catch (e) {
+        return callback(e.message);
+    }
+
+    return callback();
+}
+
+//
+// Exports
+//
+module.exports = {
+    applyChangeSets: applyChangeSets,
+    markPlexAll: markPlexAll
+};
@@ -0,0 +1,754 @@
+//
+// Imports
+//
+const async = require("async");
+const chalk = require("chalk");
+const syncState = require("./sync-state");
+const episodeMatch = require("./episode-match");
+const duplicates = require("./duplicates");
+const syncRun = require("./sync-run");
+const twoWaySync = require("./sync-two-way");
+
+//
+// Constants
+//
+
+// summary section of each type
+const SECTION_NAMES = {
+    movies: "Movies",
+    tv: "TV"
+};
+
+/**
+ * Decides which My Movies and Plex items to change
+ *
+ * @param {object} run Run
+ * @param {object} matches Matches
+ * @param {function} callback Callback with the change set ({ type, section, collection,
+ *   xmlChanges, plexChanges, notSet, counts })
+ */
+function findChanges(run, matches, callback) {
+    syncRun.stage(run, "changes", matches.type);
+
+    syncRun.log(run);
+
+    (matches.type === syncRun.TYPE_MOVIES ? movieChanges : tvChanges)(run, matches, function(err, changeSet) {
+        if (changeSet) {
+            changeSet.type = matches.type;
+            changeSet.section = SECTION_NAMES[matches.type];
+            changeSet.collection = matches.collection;
+        }
+
+        callback(err, changeSet);
+    });
+}
+
+/**
+ * Logs how many items will be marked watched and unwatched
+ *
+ * @param {object} run Run
+ * @param {object[]} items My Movies titles or episodes
+ * @param {string} noun titles or episodes
+ */
+function logMarking(run, items, noun) {
+    if (run.writesMyMovies) {
+        syncRun.log(run, `Reading ${run.target.label} status of ${items.length} ${noun}...`);
+
+        return;
+    }
+
+    if (run.options.watched) {
+        syncRun.log(run, `Marking ${items.filter(item => item.watched).length} watched...`);
+    }
+
+    if (run.options.unwatched) {
+        syncRun.log(run, `Marking ${items.filter(item => item.watched === false).length} unwatched...`);
+    }
+}
+
+/**
+ * Decides which movies to change
+ *
+ * @param {object} run Run
+ * @param {object} matches Movie matches
+ * @param {function} callback Callback with the change set
+ */
+function movieChanges(run, matches, callback) {
+    const options = run.options;
+    const items = matches.items.filter(matched => syncs(run, matched.title));
+
+    logMarking(run, items.map(matched => matched.title), "titles");
+
+    // titles we could not set Watched status on
+    let titlesNotSet = [];
+
+    // matched, changed, in sync, unmatched, skipped and failed counts
+    let counts = newCounts();
+
+    // My Movies Watched flags to change
+    let xmlChanges = [];
+
+    // Plex items to mark
+    let plexChanges = [];
+
+    // loop over all Watched titles
+    async.eachOfSeries(items, function(matched, i, cbEachTitle) {
+        const title = matched.title;
+        const movieMatch = matched.match;
+
+        run.events.emit("progress", { stage: "changes", done: i, total: items.length });
+
+        syncRun.log(run, `\t${title.title}:`);
+
+        // could not find any matches
+        if (!movieMatch.items) {
+            const closest = movieMatch.closest;
+            const closestText = closest ?
+                ` (closest is ${closest.item.title}, ${Math.round(closest.score * 100)}%)` :
+                "";
+
+            const reason = `no matches${title.imdb ? "" : ", no IMDB"}${closestText}`;
+
+            syncRun.log(run, chalk.yellow(`\t\t✖ ${reason}`));
+
+            titlesNotSet.push(notSetItem("movie", movieSource(title), title.watched, "unmatched", reason));
+            counts.unmatched++;
+
+            return cbEachTitle();
+        }
+
+        counts.matched++;
+
+        // the same movie can be in several sections (e.g. HD and 4K)
+        const plexCopies = options.duplicates === duplicates.COPIES_FIRST ?
+            movieMatch.items.slice(0, 1) :
+            movieMatch.items;
+
+        syncRun.log(run, `\t\t${chalk.green("✔ " + plexCopies.map(item => "#" + item.ratingKey).join(", "))} ` +
+            `via ${movieMatch.method}` +
+            `${movieMatch.confidence < 1 ? ", " + Math.round(movieMatch.confidence * 100) + "%" : ""}`);
+
+        if (movieMatch.items.length > 1) {
+            syncRun.log(run, chalk.yellow(`\t\t⚠ ${movieMatch.items.length} ${run.target.label} copies: ` +
+                movieMatch.items.map(item => `#${item.ratingKey} (${item.sectionTitle})`).join(", ") +
+                `${plexCopies.length < movieMatch.items.length ? ", only updating the first" : ""}`));
+        }
+
+        if (title.conflicts.length) {
+            counts.conflicts++;
+        }
+
+        const plexCombined = duplicates.combine(plexCopies.map(function(item) {
+            return {
+                watched: item.viewCount > 0,
+                rating: plexRating(item.userRating)
+            };
+        }), options.watchedPolicy);
+
+        const plexRatingValue = typeof plexCombined.rating === "undefined" ? null : plexCombined.rating;
+
+        // Plex copies only conflict if they're being synced back to My Movies
+        if (run.writesMyMovies && plexCombined.conflicts.length) {
+            syncRun.log(run, chalk.yellow(`\t\t⚠ ${run.target.label} copies have conflicting ` +
+                plexCombined.conflicts.join(", ")));
+
+            counts.conflicts++;
+        }
+
+        // the copies' changes share their source, so failures can be counted per title
+        const source = movieSource(title);
+
+        const copyChanges = plexCopies.map(function(plexTitle) {
+            return Object.assign({
+                type: "movie",
+                source: source,
+                ratingKey: plexTitle.ratingKey,
+                plexTitle: plexTitle.title,
+                method: movieMatch.method
+            }, plexStates(run, title, plexTitle.viewCount > 0, plexRating(plexTitle.userRating)));
+        }).filter(plexChange => changedFields(plexChange.current, plexChange.target).length);
+
+        if (run.twoWay) {
+            return twoWaySync.syncTwoWay(
+                run,
+                "movies",
+                title.imdb || title.id,
+                title.watched,
+                plexCombined.watched,
+                function(err, direction) {
+                    if (err) {
+                        return cbEachTitle(err);
+                    }
+
+                    if (direction === syncState.TO_MYMOVIES) {
+                        title.discs
+                            .filter(disc => disc.watched !== plexCombined.watched)
+                            .forEach(function(disc) {
+                                xmlChanges.push({
+                                    type: "movie",
+                                    index: disc.index,
+                                    source: movieSource(disc),
+                                    watched: plexCombined.watched
+                                });
+                            });
+                    } else if (direction === syncState.TO_PLEX) {
+                        plexChanges = plexChanges.concat(copyChanges);
+                    }
+
+                    countChange(counts, direction);
+
+                    return cbEachTitle();
+                });
+        }
+
+        if (run.toMyMovies) {
+            const discFields = title.discs.map(function(disc) {
+                const fields = myMoviesFields(run, disc, plexCombined.watched, plexRatingValue);
+
+                if (fields.changed) {
+                    xmlChanges.push(Object.assign({
+                        type: "movie",
+                        index: disc.index,
+                        source: movieSource(disc)
+                    }, fields.values));
+                }
+
+                return fields;
+            });
+
+            const changedDisc = discFields.find(fields => fields.changed);
+
+            counts[(changedDisc || discFields[0]).count]++;
+
+            return cbEachTitle();
+        }
+
+        if (!copyChanges.length) {
+            syncRun.log(run, "\t\t= already in sync");
+            counts.inSync++;
+
+            return cbEachTitle();
+        }
+
+        plexChanges = plexChanges.concat(copyChanges);
+
+        counts.changed++;
+
+        return cbEachTitle();
+    },
+    function(err) {
+        callback(err, {
+            xmlChanges: xmlChanges,
+            plexChanges: plexChanges,
+            notSet: titlesNotSet,
+            counts: counts
+        });
+    });
+}
+
+/**
+ * Decides which TV episodes to change
+ *
+ * @param {object} run Run
+ * @param {object} matches TV matches
+ * @param {function} callback Callback with the change set
+ *
+ * @returns {undefined}
+ */
+function tvChanges(run, matches, callback) {
+    const items = matches.items.filter(matched => syncs(run, matched.episode));
+    const plexSeries = matches.plexSeries;
+
+    //
+    // Look for TV series that don't match
+    //
+    syncRun.log(run, `Checking that ${run.target.label} TV Series names match...`);
+
+    const seriesNotMatched = [...new Set(items.map(matched => matched.episode.series))]
+        .filter(seriesName => !plexSeries[seriesName]);
+
+    if (seriesNotMatched.length && run.options.interactive) {
+        // skipped by the user, so just can't be set
+        syncRun.log(run, chalk.yellow(`\t${seriesNotMatched.length} TV Series skipped: ` +
+            seriesNotMatched.join(", ")));
+    } else if (seriesNotMatched.length) {
+        syncRun.log(run, `${seriesNotMatched.length} TV Series not matched.`, "error");
+        syncRun.log(run, "Use series.json to fix matchings. Example:", "error");
+        syncRun.log(run, "", "error");
+        syncRun.log(run, "{", "error");
+
+        seriesNotMatched.forEach(function(seriesName) {
+            // suggest the closest match, if there is one
+            const closest = matches.series.find(mySeries => mySeries.title === seriesName).match.closest;
+            const key = closest ? closest.item.key : "/library/metadata/n/children";
+
+            syncRun.log(run, `    "${seriesName}": "${key}",`, "error");
+        });
+
+        syncRun.log(run, "}", "error");
+        syncRun.log(run, "", "error");
+        syncRun.log(run, `Use these ${run.target.label} TV series keys: `, "error");
+
+        matches.index.items.forEach(function(plexShow) {
+            syncRun.log(run, `\t${plexShow.title}: ${plexShow.key}`, "error");
+        });
+
+        return callback(syncRun.classify("Could not match all series!", syncRun.ERROR_CONFIG));
+    } else {
+        syncRun.log(run, "\tAll good!");
+    }
+
+    syncRun.log(run);
+
+    logMarking(run, items.map(matched => matched.episode), "episodes");
+
+    // eposides we could not set Watched status on
+    let episodesNotSet = [];
+
+    // matched, changed, in sync, unmatched, skipped and failed counts
+    let counts = newCounts();
+
+    // My Movies Watched flags to change
+    let xmlChanges = [];
+
+    // Plex items to mark
+    let plexChanges = [];
+
+    // loop over all episodes
+    return async.eachOfSeries(items, function(matched, i, cbEachTitle) {
+        const episode = matched.episode;
+        const found = matched.found;
+
+        run.events.emit("progress", { stage: "changes", done: i, total: items.length });
+
+        syncRun.log(run, `\t${episode.series}: Season ${episode.season} ` +
+            `Episode ${episode.episode}: ${episode.title}: ` +
+            `${syncRun.watchedLabel(episode.watched, "watched", "unwatched")}`);
+
+        if (!found.episodes.length) {
+            syncRun.log(run, chalk.yellow("\t\t✖ no matches"));
+
+            episodesNotSet.push(notSetItem("episode", episodeSource(episode), episode.watched,
+                "unmatched", "no matches"));
+            counts.unmatched++;
+
+            return cbEachTitle();
+        }
+
+        counts.matched++;
+
+        syncRun.log(run, `\t\t${chalk.green("✔ " + found.episodes.map(episodeMatch.describe).join(", "))} ` +
+            `via ${found.method}${found.warning ? chalk.yellow(" (" + found.warning + ")") : ""}`);
+
+        // a multi-episode disc is only watched in Plex if all of its episodes are
+        const plexWatched = found.episodes.every(plexEpisode => plexEpisode.watched);
+        const plexRatingValue = plexRating(found.episodes[0].rating);
+
+        // the Plex episodes' changes share their source, so failures can be counted per episode
+        const source = episodeSource(episode);
+
+        const episodeChanges = found.episodes.map(function(plexEpisode) {
+            return Object.assign({
+                type: "episode",
+                source: source,
+                ratingKey: plexEpisode.key,
+                plexTitle: `${matched.show.title}: ${plexEpisode.title}`,
+                method: `${matches.seriesMethods[episode.series]}, episode ${found.method}`
+            }, plexStates(run, episode, plexEpisode.watched, plexRating(plexEpisode.rating)));
+        }).filter(plexChange => changedFields(plexChange.current, plexChange.target).length);
+
+        if (run.twoWay) {
+            return twoWaySync.syncTwoWay(
+                run,
+                "episodes",
+                syncState.episodeKey(episode),
+                episode.watched,
+                plexWatched,
+                function(err, direction) {
+                    if (err) {
+                        return cbEachTitle(err);
+                    }
+
+                    if (direction === syncState.TO_MYMOVIES) {
+                        xmlChanges.push({
+                            type: "episode",
+                            seriesIndex: episode.seriesIndex,
+                            episodeIndex: episode.episodeIndex,
+                            source: episodeSource(episode),
+                            watched: !episode.watched
+                        });
+                    } else if (direction === syncState.TO_PLEX) {
+                        plexChanges = plexChanges.concat(episodeChanges);
+                    }
+
+                    countChange(counts, direction);
+
+                    return cbEachTitle();
+                });
+        }
+
+        if (run.toMyMovies) {
+            const fields = myMoviesFields(run, episode, plexWatched, plexRatingValue);
+
+            if (fields.changed) {
+                xmlChanges.push(Object.assign({
+                    type: "episode",
+                    seriesIndex: episode.seriesIndex,
+                    episodeIndex: episode.episodeIndex,
+                    source: episodeSource(episode)
+                }, fields.values));
+            }
+
+            counts[fields.count]++;
+
+            return cbEachTitle();
+        }
+
+        if (!episodeChanges.length) {
+            syncRun.log(run, "\t\t= already in sync");
+            counts.inSync++;
+
+            return cbEachTitle();
+        }
+
+        plexChanges = plexChanges.concat(episodeChanges);
+
+        counts.changed++;
+
+        return cbEachTitle();
+    },
+    function(err) {
+        callback(err, {
+            xmlChanges: xmlChanges,
+            plexChanges: plexChanges,
+            notSet: episodesNotSet,
+            counts: counts
+        });
+    });
+}
+
+/**
+ * Determines if a My Movies item's Watched status should be set in Plex.  Items
+ * without a watched status (e.g. only rated in Trakt) never are.
+ *
+ * @param {object} run Run
+ * @param {object} item My Movies title or episode
+ *
+ * @returns {boolean} True if --watched or --unwatched apply to it
+ */
+function setsWatched(run, item) {
+    return (run.options.watched && item.watched === true) || (run.options.unwatched && item.watched === false);
+}
+
+/**
+ * Determines if anything about a My Movies item should be set in Plex
+ *
+ * @param {object} run Run
+ * @param {object} item My Movies title or episode
+ *
+ * @returns {boolean} True if its Watched status or rating should be set
+ */
+function setsPlex(run, item) {
+    return setsWatched(run, item) || (run.options.ratings && typeof item.rating !== "undefined");
+}
+
+/**
+ * Determines if a My Movies item is synced.  Unowned episodes are skipped, and
+ * when syncing back to My Movies, the Plex status decides.
+ *
+ * @param {object} run Run
+ * @param {object} item My Movies title or episode
+ *
+ * @returns {boolean} True if it's synced
+ */
+function syncs(run, item) {
+    return item.owned !== false && (run.writesMyMovies || setsPlex(run, item));
+}
+
+/**
+ * Gets a Plex item's userRating
+ *
+ * @param {number} [value] userRating
+ *
+ * @returns {number} Rating (0-10), or null if it's not rated
+ */
+function plexRating(value) {
+    return typeof value === "number" ? value : null;
+}
+
+/**
+ * Maps a My Movies rating (0 to --rating-scale) onto Plex's 0-10
+ *
+ * @param {object} run Run
+ * @param {number} rating My Movies rating
+ *
+ * @returns {number} Plex rating
+ */
+function toPlexRating(run, rating) {
+    return Math.min(10, Math.round(rating * 10 / run.options.ratingScale));
+}
+
+/**
+ * Maps a Plex rating (0-10) onto My Movies' 0 to --rating-scale
+ *
+ * @param {object} run Run
+ * @param {number} rating Plex rating
+ *
+ * @returns {number} My Movies rating
+ */
+function toMyMoviesRating(run, rating) {
+    return Math.round(rating * run.options.ratingScale / 10);
+}
+
+/**
+ * Gets the current and target Plex state of a My Movies item, for the fields
+ * being set (Watched status and/or rating)
+ *
+ * @param {object} run Run
+ * @param {object} item My Movies title or episode
+ * @param {boolean} plexWatched Plex Watched status
+ * @param {number} plexRatingValue Plex rating, or null
+ *
+ * @returns {object} { current, target }
+ */
+function plexStates(run, item, plexWatched, plexRatingValue) {
+    let current = {};
+    let target = {};
+
+    if (run.twoWay || setsWatched(run, item)) {
+        current.watched = plexWatched;
+        target.watched = item.watched;
+    }
+
+    if (run.options.ratings && typeof item.rating !== "undefined") {
+        current.rating = plexRatingValue;
+        target.rating = toPlexRating(run, item.rating);
+    }
+
+    return {
+        current: current,
+        target: target
+    };
+}
+
+/**
+ * Gets the fields of a My Movies item to change from Plex
+ *
+ * @param {object} run Run
+ * @param {object} item My Movies title or episode
+ * @param {boolean} plexWatched Plex Watched status
+ * @param {number} plexRatingValue Plex rating, or null
+ *
+ * @returns {object} { values, changed, count }, where count is the summary count
+ */
+function myMoviesFields(run, item, plexWatched, plexRatingValue) {
+    const options = run.options;
+
+    let values = {};
+    let skipped = false;
+
+    if (plexWatched !== item.watched) {
+        if ((options.watched && plexWatched) || (options.unwatched && !plexWatched)) {
+            values.watched = plexWatched;
+
+            syncRun.log(run, `\t\t→ ${plexWatched ? "watched" : "unwatched"} in My Movies`);
+        } else if (options.watched || options.unwatched) {
+            skipped = true;
+        }
+    }
+
+    if (options.ratings &&
+        plexRatingValue !== null &&
+        toMyMoviesRating(run, plexRatingValue) !== item.rating) {
+        values.rating = toMyMoviesRating(run, plexRatingValue);
+
+        syncRun.log(run, `\t\t→ rated ${values.rating} in My Movies`);
+    }
+
+    const changed = Object.keys(values).length > 0;
+
+    let count = "inSync";
+
+    if (changed) {
+        count = "changed";
+    } else if (skipped) {
+        count = "skipped";
+    }
+
+    return {
+        values: values,
+        changed: changed,
+        count: count
+    };
+}
+
+/**
+ * Gets the fields of a target state that differ from the current state
+ *
+ * @param {object} current Current state
+ * @param {object} target Target state
+ *
+ * @returns {string[]} Field names
+ */
+function changedFields(current, target) {
+    return Object.keys(target).filter(field => target[field] !== current[field]);
+}
+
+/**
+ * Creates an empty set of summary counts
+ *
+ * @returns {object} Counts
+ */
+function newCounts() {
+    return {
+        matched: 0,
+        changed: 0,
+        inSync: 0,
+        unmatched: 0,
+        skipped: 0,
+        conflicts: 0,
+        failed: 0
+    };
+}
+
+/**
+ * Counts a two-way sync decision
+ *
+ * @param {object} counts Counts
+ * @param {string} [direction] syncState direction, or nothing if skipped
+ */
+function countChange(counts, direction) {
+    if (direction === syncState.IN_SYNC) {
+        counts.inSync++;
+    } else if (direction) {
+        counts.changed++;
+    } else {
+        counts.skipped++;
+    }
+}
+
+/**
+ * Moves items that failed from the changed count to the failed count
+ *
+ * @param {object} counts Counts
+ * @param {number} failed Number of items (counted like the others) that failed
+ *
+ * @returns {object} Counts
+ */
+function countFailed(counts, failed) {
+    counts.changed -= failed;
+    counts.failed += failed;
+
+    return counts;
+}
+
+/**
+ * Gets what identifies a My Movies title, for listing
+ *
+ * @param {object} title My Movies title
+ *
+ * @returns {object} { id, title, year, imdb }
+ */
+function movieSource(title) {
+    return {
+        id: title.id,
+        title: title.title,
+        year: title.year,
+        imdb: title.imdb
+    };
+}
+
+/**
+ * Gets what identifies a My Movies episode, for listing
+ *
+ * @param {object} episode My Movies episode
+ *
+ * @returns {object} { series, season, episode, title }
+ */
+function episodeSource(episode) {
+    return {
+        series: episode.series,
+        season: episode.season,
+        episode: episode.episode,
+        title: episode.title
+    };
+}
+
+/**
+ * Gets the listing of something that was not set
+ *
+ * @param {string} type movie or episode
+ * @param {object} source What identifies it (see movieSource and episodeSource)
+ * @param {boolean} watched Watched status it should have had
+ * @param {string} status unmatched, skipped or failed
+ * @param {string} reason Why it was not set
+ *
+ * @returns {object} Item
+ */
+function notSetItem(type, source, watched, status, reason) {
+    return Object.assign({ type: type }, source, {
+        watched: watched,
+        status: status,
+        reason: reason
+    });
+}
+
+/**
+ * Gets the listing of a Plex change that wasn't made
+ *
+ * @param {object} change Plex change
+ * @param {string} status skipped or failed
+ * @param {string} reason Why it wasn't made
+ *
+ * @returns {object} Item
+ */
+function plexChangeItem(change, status, reason) {
+    return Object.assign(notSetItem(change.type, change.source, change.target.watched, status, reason), {
+        ratingKey: change.ratingKey
+    });
+}
+
+/**
+ * Gets the listing of a change that was made (or would be, when pretending)
+ *
+ * @param {string} section Summary section
+ * @param {string} side plex or mymovies
+ * @param {object} change Plex or My Movies change
+ *
+ * @returns {object} Item
+ */
+function changedItem(section, side, change) {
+    let item = Object.assign({
+        section: section,
+        side: side,
+        type: change.type
+    }, change.source);
+
+    if (side === "plex") {
+        item.ratingKey = change.ratingKey;
+        item.plexTitle = change.plexTitle;
+        item.before = change.current;
+        item.after = change.target;
+    } else {
+        item.after = {};
+
+        ["watched", "rating"]
+            .filter(field => typeof change[field] !== "undefined")
+            .forEach(field => (item.after[field] = change[field]));
+    }
+
+    return item;
+}
+
+//
+// Exports
+//
+module.exports = {
+    findChanges: findChanges,
+    syncs: syncs,
+    changedFields: changedFields,
+    newCounts: newCounts,
+    countFailed: countFailed,
+    plexChangeItem: plexChangeItem,
+    changedItem: changedItem
+};
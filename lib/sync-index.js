@@ -0,0 +1,300 @@
+//
+// Imports
+//
+const async = require("async");
+const chalk = require("chalk");
+const episodeMatch = require("./episode-match");
+const plexSections = require("./sections");
+const snapshot = require("./snapshot");
+const syncRun = require("./sync-run");
+
+/**
+ * Loads the Plex library index of movies or TV series
+ *
+ * @param {object} run Run
+ * @param {string} type movies or tv
+ * @param {function} callback Callback with the index
+ */
+function loadPlexIndex(run, type, callback) {
+    const movies = type === syncRun.TYPE_MOVIES;
+
+    syncRun.stage(run, "index", type);
+
+    async.waterfall([
+        //
+        // 1. Connect to the server
+        //
+        function(cb) {
+            connect(run, cb);
+        },
+
+        //
+        // 2. Find Sections that contain Movies or TV Shows
+        //
+        function(cb) {
+            syncRun.log(run);
+            syncRun.log(run, `Checking ${run.target.label} Library...`);
+
+            run.target.sections(function(err, sections) {
+                if (err) {
+                    return cb(err);
+                }
+
+                syncRun.log(run, `\tFound ${chalk.green(sections.length)} sections.`);
+
+                let filteredSections;
+
+                try {
+                    filteredSections = pickSections(run, sections,
+                        movies ? plexSections.TYPE_MOVIE : plexSections.TYPE_SHOW);
+                } catch (e) {
+                    return cb(syncRun.classify(e.message, syncRun.ERROR_CONFIG));
+                }
+
+                return cb(null, filteredSections);
+            });
+        },
+
+        //
+        // 3. Load all movies or TV series in the Sections
+        //
+        function(filteredSections, cb) {
+            syncRun.log(run);
+            syncRun.log(run, movies ?
+                `Loading ${run.target.label} movies...` :
+                `Finding ${run.target.label} TV Series...`);
+
+            const stopTimer = syncRun.startTimer(run, movies ?
+                `Loading ${run.target.label} movies` :
+                `Loading ${run.target.label} TV series`);
+
+            const load = movies ? run.target.loadMovies : run.target.loadShows;
+
+            load(filteredSections, function(err, index) {
+                stopTimer();
+
+                if (err) {
+                    return cb(err);
+                }
+
+                if (movies) {
+                    syncRun.log(run, `\tFound ${chalk.green(index.items.length)} movies.`);
+                } else {
+                    syncRun.log(run, `Found ${chalk.green(index.items.length)} TV shows.`);
+
+                    index.items.forEach(function(series) {
+                        syncRun.log(run, `\t${series.title}: ${describeSeasons(series)}`);
+                    });
+                }
+
+                return cb(null, index);
+            });
+        }
+    ],
+    function(err, index) {
+        callback(syncRun.classify(err, syncRun.ERROR_CONNECTION), index);
+    });
+}
+
+/**
+ * Connects to the --target server, or reads the --plex-snapshot
+ *
+ * @param {object} run Run
+ * @param {function} callback Callback
+ */
+function connect(run, callback) {
+    const label = run.target.label;
+    const snapshotFile = run.options.plexSnapshot;
+
+    syncRun.log(run);
+    syncRun.log(run, snapshotFile ?
+        `Reading ${label} snapshot ${chalk.green(snapshotFile)}...` :
+        `Connecting to ${label} server at ${run.options.host}...`);
+
+    run.target.connect(function(err, version) {
+        if (err) {
+            return callback(syncRun.classify(err, syncRun.ERROR_CONNECTION));
+        }
+
+        run.serverVersion = version;
+
+        syncRun.log(run, `\t${label} server version ${chalk.green(version)}` +
+            (snapshotFile ? `, snapshot taken ${run.target.created} from ${run.target.host}` : ""));
+
+        return callback();
+    });
+}
+
+/**
+ * Picks the Plex sections to sync movies or TV from, by --section (or
+ * --movie-section or --tv-section) and --exclude-section
+ *
+ * @param {object} run Run
+ * @param {object[]} allSections All Plex sections
+ * @param {string} type Section type (plexSections.TYPE_MOVIE or TYPE_SHOW)
+ *
+ * @returns {object[]} Sections
+ */
+function pickSections(run, allSections, type) {
+    const options = run.options;
+    const movies = type === plexSections.TYPE_MOVIE;
+
+    // --section is shared by movies and TV, so can list sections of either type being synced
+    const ownSections = movies ? options.movieSection : options.tvSection;
+    const syncedTypes = [options.movies && plexSections.TYPE_MOVIE, options.tv && plexSections.TYPE_SHOW]
+        .filter(Boolean);
+
+    const sections = plexSections.select(allSections, {
+        type: type,
+        include: [].concat(ownSections || options.section || []),
+        exclude: [].concat(options.excludeSection || []),
+        types: ownSections ? [type] : syncedTypes
+    });
+
+    if (!sections.length) {
+        throw new Error(`No ${run.target.label} ${movies ? "movie" : "TV"} sections to sync`);
+    }
+
+    syncRun.log(run, `\tUsing ${chalk.green(sections.length)} ${movies ? "movie" : "TV"} sections: ` +
+        sections.map(section => section.title).join(", "));
+
+    return sections;
+}
+
+/**
+ * Describes the seasons and episodes of a Plex series
+ *
+ * @param {object} series Plex series
+ *
+ * @returns {string} Description
+ */
+function describeSeasons(series) {
+    const seasons = series.seasons.filter(Boolean);
+
+    return `${seasons.length} seasons, ${episodeMatch.all(series).length} episodes`;
+}
+
+/**
+ * Exports the --target's movie and TV sections (picked like a sync's) to a
+ * snapshot file, for --plex-snapshot
+ *
+ * @param {object} run Run
+ * @param {string} fileName Snapshot file name
+ * @param {function} callback Callback with the result ({ counts, timings, file, movies, shows, episodes })
+ */
+function exportSnapshot(run, fileName, callback) {
+    const options = run.options;
+    const label = run.target.label;
+
+    syncRun.startCommand(run, "export", fileName);
+
+    async.waterfall([
+        //
+        // 1. Connect to the server
+        //
+        function(cb) {
+            connect(run, cb);
+        },
+
+        //
+        // 2. Find the Sections to export
+        //
+        function(cb) {
+            syncRun.log(run);
+            syncRun.log(run, `Checking ${label} Library...`);
+
+            run.target.sections(function(err, allSections) {
+                if (err) {
+                    return cb(syncRun.classify(err, syncRun.ERROR_CONNECTION));
+                }
+
+                syncRun.log(run, `\tFound ${chalk.green(allSections.length)} sections.`);
+
+                let sections = [];
+
+                try {
+                    if (options.movies) {
+                        sections = sections.concat(pickSections(run, allSections, plexSections.TYPE_MOVIE));
+                    }
+
+                    if (options.tv) {
+                        sections = sections.concat(pickSections(run, allSections, plexSections.TYPE_SHOW));
+                    }
+                } catch (e) {
+                    return cb(syncRun.classify(e.message, syncRun.ERROR_CONFIG));
+                }
+
+                return cb(null, sections);
+            });
+        },
+
+        //
+        // 3. Load each Section
+        //
+        function(sections, cb) {
+            syncRun.log(run);
+            syncRun.log(run, `Loading ${label} sections...`);
+
+            const stopTimer = syncRun.startTimer(run, "Loading sections");
+
+            async.mapSeries(sections, function(section, cbSection) {
+                const movies = section.type === plexSections.TYPE_MOVIE;
+                const load = movies ? run.target.loadMovies : run.target.loadShows;
+
+                load([section], function(err, index) {
+                    if (err) {
+                        return cbSection(err);
+                    }
+
+                    syncRun.log(run, `\t${section.title}: ${chalk.green(index.items.length)} ` +
+                        `${movies ? "movies" : "TV shows"}`);
+
+                    return cbSection(null, { section: section, index: index });
+                });
+            }, function(err, loaded) {
+                stopTimer();
+
+                cb(syncRun.classify(err, syncRun.ERROR_CONNECTION), loaded);
+            });
+        },
+
+        //
+        // 4. Write the snapshot
+        //
+        function(loaded, cb) {
+            const taken = snapshot.create({
+                target: options.target,
+                host: options.host,
+                serverVersion: run.serverVersion
+            }, loaded);
+
+            const counts = {
+                movies: taken.movies.length,
+                shows: taken.shows.length,
+                episodes: snapshot.episodeCount(taken)
+            };
+
+            syncRun.log(run);
+            syncRun.log(run, `Writing ${chalk.green(counts.movies)} movies, ${chalk.green(counts.shows)} TV shows ` +
+                `and ${chalk.green(counts.episodes)} episodes to ${chalk.green(fileName)}...`);
+
+            try {
+                snapshot.save(fileName, taken);
+            } catch (e) {
+                return cb(e.message);
+            }
+
+            return cb(null, Object.assign(syncRun.runSummary(run), { file: fileName }, counts));
+        }
+    ], callback);
+}
+
+//
+// Exports
+//
+module.exports = {
+    loadPlexIndex: loadPlexIndex,
+    connect: connect,
+    describeSeasons: describeSeasons,
+    exportSnapshot: exportSnapshot
+};
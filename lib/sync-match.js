@@ -0,0 +1,502 @@
+//
+// Imports
+//
+const async = require("async");
+const fs = require("fs");
+const chalk = require("chalk");
+const plexIndex = require("./plex-index");
+const match = require("./match");
+const episodeMatch = require("./episode-match");
+const syncRun = require("./sync-run");
+const syncIndex = require("./sync-index");
+const syncChanges = require("./sync-changes");
+
+//
+// Constants
+//
+// candidates to show when fixing matches interactively
+const FIX_CANDIDATES = 5;
+
+/**
+ * Matches My Movies titles or episodes to the Plex index
+ *
+ * @param {object} run Run
+ * @param {string} type movies or tv
+ * @param {object} collection Parsed My Movies collection
+ * @param {object} index Plex index
+ * @param {function} callback Callback with the matches ({ type, collection, index, items, ... })
+ */
+function matchCollection(run, type, collection, index, callback) {
+    syncRun.stage(run, "match", type);
+
+    const stopTimer = syncRun.startTimer(run, type === syncRun.TYPE_MOVIES ? "Matching movies" : "Matching TV");
+
+    (type === syncRun.TYPE_MOVIES ? matchMovies : matchTv)(run, collection, index, function(err, matches) {
+        stopTimer();
+
+        callback(syncRun.classify(err, syncRun.ERROR_CONFIG), matches);
+    });
+}
+
+/**
+ * Matches My Movies titles to Plex movies
+ *
+ * @param {object} run Run
+ * @param {object} collection Parsed My Movies collection
+ * @param {object} index Plex movie index
+ * @param {function} callback Callback with the matches ({ type, collection, index, fixes, items }),
+ *   where each item is { title, match }
+ */
+function matchMovies(run, collection, index, callback) {
+    const titles = collection.movies.titles;
+
+    async.waterfall([
+        //
+        // 1. Load movies.json, and fix unmatched titles interactively
+        //
+        function(cb) {
+            let movieFixJson;
+
+            try {
+                movieFixJson = readFixFile(run, run.movieFix, "movie");
+            } catch (e) {
+                return cb(e.message);
+            }
+
+            if (!run.options.interactive) {
+                return cb(null, movieFixJson);
+            }
+
+            const unmatched = titles
+                .filter(title => syncChanges.syncs(run, title))
+                .filter(title => !matchMovie(run, title, index, movieFixJson).items);
+
+            if (!unmatched.length) {
+                return cb(null, movieFixJson);
+            }
+
+            syncRun.log(run);
+            syncRun.log(run, `Fixing ${chalk.yellow(unmatched.length)} unmatched titles...`);
+
+            return async.eachSeries(unmatched, function(title, cbEachTitle) {
+                pickPlexItem(
+                    run,
+                    title.title,
+                    title.year,
+                    index.items,
+                    item => `${item.title} (${item.year || "?"}) #${item.ratingKey}`,
+                    function(item) {
+                        if (item) {
+                            movieFixJson[title.id] = item.ratingKey;
+                        }
+
+                        cbEachTitle();
+                    });
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+
+                syncRun.log(run, `Writing ${chalk.green(run.movieFix)}...`);
+
+                fs.writeFileSync(run.movieFix, JSON.stringify(movieFixJson, null, 2), "utf-8");
+
+                return cb(null, movieFixJson);
+            });
+        },
+
+        //
+        // 2. Match each title
+        //
+        function(movieFixJson, cb) {
+            cb(null, {
+                type: syncRun.TYPE_MOVIES,
+                collection: collection,
+                index: index,
+                fixes: movieFixJson,
+                items: titles.map(function(title) {
+                    return {
+                        title: title,
+                        match: matchMovie(run, title, index, movieFixJson)
+                    };
+                })
+            });
+        }
+    ],
+    callback);
+}
+
+/**
+ * Matches My Movies series and episodes to Plex
+ *
+ * @param {object} run Run
+ * @param {object} collection Parsed My Movies collection
+ * @param {object} index Plex TV index
+ * @param {function} callback Callback with the matches ({ type, collection, index, series,
+ *   plexSeries, items }), where each item is { episode, show, found }
+ */
+function matchTv(run, collection, index, callback) {
+    const allSeries = collection.tv.series;
+    const allEpisodes = collection.tv.episodes;
+
+    // Plex series for each My Movies series name, and how it was matched
+    let plexSeries = {};
+    let seriesMethods = {};
+
+    // episode ordering of each My Movies series
+    let seriesOrders = {};
+
+    // absolute episode numbers, for series in absolute order
+    let absoluteNumbers = new Map();
+
+    async.waterfall([
+        //
+        // 1. Match My Movies series to Plex series
+        //
+        function(cb) {
+            let seriesFixJson;
+
+            try {
+                seriesFixJson = readFixFile(run, run.seriesFix, "TV series");
+            } catch (e) {
+                return cb(e.message);
+            }
+
+            syncRun.log(run);
+            syncRun.log(run, "Matching TV series...");
+
+            for (const series of allSeries) {
+                const order = seriesFixOrder(seriesFixJson[series.title]);
+
+                if (episodeMatch.ORDERS.indexOf(order) === -1) {
+                    return cb(`${run.seriesFix}: ${series.title} has an unknown order "${order}"` +
+                        ` (use ${episodeMatch.ORDERS.join(", ")})`);
+                }
+
+                seriesOrders[series.title] = order;
+
+                if (order === episodeMatch.ORDER_ABSOLUTE) {
+                    episodeMatch.absoluteNumbers(series.episodes)
+                        .forEach((numbers, episode) => absoluteNumbers.set(episode, numbers));
+                }
+            }
+
+            allSeries.forEach(function(series) {
+                const seriesMatch = matchSeries(run, series, index, seriesFixJson);
+
+                series.match = seriesMatch;
+
+                if (seriesMatch.show) {
+                    plexSeries[series.title] = seriesMatch.show;
+                    seriesMethods[series.title] = seriesMatch.method;
+
+                    syncRun.log(run, `\t${series.title} → ${seriesMatch.show.title} (#${seriesMatch.show.ratingKey}) ` +
+                        `via ${seriesMatch.method}, ${chalk.green(Math.round(seriesMatch.confidence * 100) + "%")}` +
+                        `${seriesOrders[series.title] === episodeMatch.ORDER_AIRED ? "" : ", " +
+                            seriesOrders[series.title] + " order"}`);
+                } else if (seriesMatch.closest) {
+                    syncRun.log(run, chalk.yellow(`\t${series.title}: ✖ closest is ${seriesMatch.closest.item.title} ` +
+                        `(#${seriesMatch.closest.item.ratingKey}), ${Math.round(seriesMatch.closest.score * 100)}%`));
+                } else {
+                    syncRun.log(run, chalk.yellow(`\t${series.title}: ✖ no match`));
+                }
+            });
+
+            return cb(null, seriesFixJson);
+        },
+
+        //
+        // 2. Fix unmatched series interactively
+        //
+        function(seriesFixJson, cb) {
+            const unmatched = [...new Set(allEpisodes
+                .filter(episode => syncChanges.syncs(run, episode))
+                .map(episode => episode.series))]
+                .filter(seriesName => !plexSeries[seriesName]);
+
+            if (!run.options.interactive || !unmatched.length) {
+                return cb();
+            }
+
+            syncRun.log(run);
+            syncRun.log(run, `Fixing ${chalk.yellow(unmatched.length)} unmatched TV series...`);
+
+            return async.eachSeries(unmatched, function(seriesName, cbEachSeries) {
+                pickPlexItem(
+                    run,
+                    seriesName,
+                    null,
+                    index.items,
+                    item => `${item.title} #${item.ratingKey}: ${syncIndex.describeSeasons(item)}`,
+                    function(item) {
+                        if (item && seriesFixJson[seriesName] && typeof seriesFixJson[seriesName] === "object") {
+                            // keep its order
+                            seriesFixJson[seriesName].key = item.key;
+                        } else if (item) {
+                            seriesFixJson[seriesName] = item.key;
+                        }
+
+                        if (item) {
+                            plexSeries[seriesName] = item;
+                            seriesMethods[seriesName] = "series-fix";
+                        }
+
+                        cbEachSeries();
+                    });
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+
+                syncRun.log(run, `Writing ${chalk.green(run.seriesFix)}...`);
+
+                fs.writeFileSync(run.seriesFix, JSON.stringify(seriesFixJson, null, 2), "utf-8");
+
+                return cb();
+            });
+        },
+
+        //
+        // 3. Match each episode
+        //
+        function(cb) {
+            cb(null, {
+                type: syncRun.TYPE_TV,
+                collection: collection,
+                index: index,
+                series: allSeries,
+                plexSeries: plexSeries,
+                seriesMethods: seriesMethods,
+                items: allEpisodes.map(function(episode) {
+                    const plexShow = plexSeries[episode.series];
+
+                    return {
+                        episode: episode,
+                        show: plexShow,
+                        found: plexShow ? episodeMatch.find(episode, plexShow, {
+                            order: seriesOrders[episode.series],
+                            absolute: absoluteNumbers.get(episode),
+                            threshold: run.options.matchThreshold
+                        }) : { episodes: [] }
+                    };
+                })
+            });
+        }
+    ],
+    callback);
+}
+
+/**
+ * Loads a series.json or movies.json fix file.  When fixing interactively, a
+ * missing file is created later.
+ *
+ * @param {object} run Run
+ * @param {string} fixFile File name
+ * @param {string} type What's being fixed, for logging
+ *
+ * @returns {object} Fixes
+ */
+function readFixFile(run, fixFile, type) {
+    if (!fixFile || (run.options.interactive && !fs.existsSync(fixFile))) {
+        return {};
+    }
+
+    if (!fs.existsSync(fixFile)) {
+        throw new Error(`${fixFile} not found!`);
+    }
+
+    syncRun.log(run);
+    syncRun.log(run, `Fixing ${type} mappings view ${fixFile}`);
+
+    const fixJson = JSON.parse(fs.readFileSync(fixFile, "utf-8"));
+
+    for (const name in fixJson) {
+        const fix = fixJson[name];
+
+        syncRun.log(run, `\t${name} -> ${fix && typeof fix === "object" ? JSON.stringify(fix) : fix}`);
+    }
+
+    return fixJson;
+}
+
+/**
+ * Asks the user to pick the Plex item for something that didn't match, from the
+ * closest candidates by title.  The user can also search by another title.
+ *
+ * @param {object} run Run
+ * @param {string} title Title that didn't match
+ * @param {number} [year] Year
+ * @param {object[]} items Plex items
+ * @param {function} describe Describes a Plex item
+ * @param {function} callback Callback with the picked item, or nothing if skipped
+ */
+function pickPlexItem(run, title, year, items, describe, callback) {
+    let search = title;
+
+    showCandidates();
+
+    /**
+     * Shows the candidates for the current search, and asks for a pick
+     */
+    function showCandidates() {
+        const normalizedSearch = match.normalizeTitle(search);
+
+        // titles containing the search come first
+        const contains = candidate => match.normalizeTitle(candidate.item.title).indexOf(normalizedSearch) !== -1;
+
+        const candidates = match.rankTitles(search, year, items)
+            .filter(candidate => candidate.score > 0 || contains(candidate))
+            .sort((a, b) => contains(b) - contains(a))
+            .slice(0, FIX_CANDIDATES);
+
+        syncRun.log(run);
+        syncRun.log(run, `\t${chalk.yellow(title)}${search === title ? "" : ` (searching for "${search}")`}:`);
+
+        if (!candidates.length) {
+            syncRun.log(run, "\t\tNo candidates");
+        }
+
+        candidates.forEach(function(candidate, i) {
+            syncRun.log(run, `\t\t${i + 1}) ${describe(candidate.item)}, ${Math.round(candidate.score * 100)}%`);
+        });
+
+        const pick = candidates.length ? `Pick 1-${candidates.length}, ` : "";
+
+        run.ask(`\t\t${pick}[s]kip, or type a title to search: `, function(answer) {
+            answer = answer.trim();
+
+            if (!answer || answer.toLowerCase() === "s") {
+                return callback();
+            }
+
+            if (/^\d+$/.test(answer) && candidates[parseInt(answer, 10) - 1]) {
+                return callback(candidates[parseInt(answer, 10) - 1].item);
+            }
+
+            // search by another title, without the original year
+            search = answer;
+            year = null;
+
+            return showCandidates();
+        });
+    }
+}
+
+/**
+ * Matches a My Movies title to Plex movies, via (in order):
+ *   movies.json, IMDB ID, TMDB ID (which other sources can have), then the best title match (local or original title,
+ *   and production year) if it's at least --match-threshold.  Every Plex copy of
+ *   the matched movie is returned, first match first.
+ *
+ * @param {object} run Run
+ * @param {object} title My Movies title
+ * @param {object} index Plex movie index
+ * @param {object} movieFixJson movies.json contents
+ *
+ * @returns {object} { items, method, confidence } or { closest } if there's no match
+ */
+function matchMovie(run, title, index, movieFixJson) {
+    if (movieFixJson[title.id]) {
+        const items = index.items.filter(item => item.ratingKey === String(movieFixJson[title.id]));
+
+        if (items.length) {
+            return { items: plexIndex.copies(index, items[0]), method: "movie-fix", confidence: 1 };
+        }
+    }
+
+    for (const type of ["imdb", "tmdb"]) {
+        const items = title[type] ? plexIndex.find(index, type, title[type]) : [];
+
+        if (items.length) {
+            return { items: plexIndex.copies(index, items[0]), method: type, confidence: 1 };
+        }
+    }
+
+    const ranked = match.rankTitles([title.title, title.originalTitle], title.year, index.items);
+
+    // copies of the same movie (e.g. in a 4K section) aren't a tie
+    const bestCopies = ranked.length ? plexIndex.copies(index, ranked[0].item) : [];
+    const best = match.pickBest(ranked.filter((rank, i) => i === 0 || bestCopies.indexOf(rank.item) === -1),
+        run.options.matchThreshold);
+
+    if (best) {
+        return { items: plexIndex.copies(index, best.item), method: "title", confidence: best.score };
+    }
+
+    return { closest: ranked[0] && ranked[0].score > 0 ? ranked[0] : undefined };
+}
+
+/**
+ * Gets the Plex series key of a series.json entry, which is either the key, or
+ * { key, order }
+ *
+ * @param {string|object} [fix] series.json entry
+ *
+ * @returns {string} Plex series key, if any
+ */
+function seriesFixKey(fix) {
+    return fix && typeof fix === "object" ? fix.key : fix;
+}
+
+/**
+ * Gets the episode ordering of a series.json entry
+ *
+ * @param {string|object} [fix] series.json entry
+ *
+ * @returns {string} Episode ordering
+ */
+function seriesFixOrder(fix) {
+    return (fix && typeof fix === "object" && fix.order) || episodeMatch.ORDER_AIRED;
+}
+
+/**
+ * Matches a My Movies series to a Plex series, via (in order):
+ *   series.json, TVDB ID, IMDB ID, TMDB ID, exact title, then the best fuzzy title match
+ *   if it's at least --match-threshold.
+ *
+ * @param {object} run Run
+ * @param {object} series My Movies series ({ title, ids })
+ * @param {object} index Plex TV index
+ * @param {object} seriesFixJson series.json contents
+ *
+ * @returns {object} { show, method, confidence } or { closest } if there's no match
+ */
+function matchSeries(run, series, index, seriesFixJson) {
+    const fixKey = seriesFixKey(seriesFixJson[series.title]);
+
+    if (fixKey) {
+        const show = index.items.find(item => item.key === fixKey);
+
+        if (show) {
+            return { show: show, method: "series-fix", confidence: 1 };
+        }
+    }
+
+    for (const type of ["tvdb", "imdb", "tmdb"]) {
+        const shows = series.ids[type] ? plexIndex.find(index, type, series.ids[type]) : [];
+
+        if (shows.length) {
+            return { show: shows[0], method: type, confidence: 1 };
+        }
+    }
+
+    if (index.byTitle[series.title]) {
+        return { show: index.byTitle[series.title], method: "title", confidence: 1 };
+    }
+
+    const ranked = match.rankTitles(series.title, null, index.items);
+    const best = match.pickBest(ranked, run.options.matchThreshold);
+
+    if (best) {
+        return { show: best.item, method: "fuzzy title", confidence: best.score };
+    }
+
+    return { closest: ranked[0] && ranked[0].score > 0 ? ranked[0] : undefined };
+}
+
+//
+// Exports
+//
+module.exports = {
+    matchCollection: matchCollection
+};
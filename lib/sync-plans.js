@@ -0,0 +1,327 @@
+//
+// Imports
+//
+const async = require("async");
+const chalk = require("chalk");
+const plan = require("./plan");
+const journal = require("./journal");
+const targets = require("./targets");
+const syncRun = require("./sync-run");
+const syncUser = require("./sync-user");
+const syncIndex = require("./sync-index");
+const syncChanges = require("./sync-changes");
+const syncApply = require("./sync-apply");
+
+/**
+ * Describes a Plex state, for logging
+ *
+ * @param {object} state State ({ watched, rating })
+ *
+ * @returns {string} Description
+ */
+function describeState(state) {
+    let parts = [];
+
+    if (typeof state.watched !== "undefined") {
+        parts.push(state.watched ? "watched" : "unwatched");
+    }
+
+    if (typeof state.rating !== "undefined") {
+        parts.push(state.rating === null ? "unrated" : `rated ${state.rating}`);
+    }
+
+    return parts.join(", ");
+}
+
+/**
+ * Lists the journals of past runs in --journal-dir
+ *
+ * @param {object} run Run
+ * @param {function} callback Callback with the journals ({ run, command, file, host, entries })
+ *
+ * @returns {undefined}
+ */
+function listJournalRuns(run, callback) {
+    const journalDir = run.options.journalDir;
+
+    let runs;
+
+    try {
+        runs = journal.list(journalDir);
+    } catch (e) {
+        return callback(syncRun.classify(`${journalDir}: ${e.message}`, syncRun.ERROR_CONFIG));
+    }
+
+    syncRun.log(run, `Journals in ${chalk.green(journalDir)}:`);
+
+    if (!runs.length) {
+        syncRun.log(run, "\tNone");
+    }
+
+    runs.forEach(function(entry) {
+        syncRun.log(run, `\t${chalk.green(entry.run)}: ${entry.command} of ${entry.file} on ${entry.host}` +
+            `${entry.user ? " for " + entry.user : ""}, ${entry.entries} changes`);
+    });
+
+    return callback(null, runs);
+}
+
+/**
+ * Reads the current state of a Plex item
+ *
+ * @param {object} run Run
+ * @param {string} ratingKey Plex rating key
+ * @param {function} callback Callback with the state ({ watched, rating }), or nothing if it's not in Plex
+ */
+function readPlexState(run, ratingKey, callback) {
+    run.target.readState(ratingKey, function(err, state) {
+        callback(syncRun.classify(err, syncRun.ERROR_CONNECTION), state);
+    });
+}
+
+/**
+ * Checks a plan or journal was made for the --target, as item keys only mean
+ * something to the server they came from
+ *
+ * @param {object} run Run
+ * @param {string} [target] Plan or journal's target (before --target, always plex)
+ *
+ * @returns {string} Problem, if any
+ */
+function checkTarget(run, target) {
+    target = target || targets.TARGET_PLEX;
+
+    return target === run.options.target ? undefined : `made for --target ${target}, not ${run.options.target}`;
+}
+
+/**
+ * Makes the Plex changes in a plan file, skipping any whose Plex state has
+ * changed since the plan was written.
+ *
+ * @param {object} run Run
+ * @param {string} fileName Plan file name
+ * @param {function} callback Callback with the result ({ counts, timings, journal, notSet })
+ *
+ * @returns {undefined}
+ */
+function applyPlan(run, fileName, callback) {
+    syncRun.startCommand(run, "apply", fileName);
+
+    syncRun.log(run, `Reading ${chalk.green(fileName)}...`);
+
+    let loaded;
+
+    try {
+        loaded = plan.load(fileName);
+    } catch (e) {
+        return callback(syncRun.classify(`${fileName}: ${e.message}`, syncRun.ERROR_CONFIG));
+    }
+
+    const problem = checkTarget(run, loaded.target);
+
+    if (problem) {
+        return callback(syncRun.classify(`${fileName}: ${problem}`, syncRun.ERROR_CONFIG));
+    }
+
+    syncRun.log(run, `\tPlanned ${loaded.created} from ${loaded.file}: ${chalk.green(loaded.changes.length)} changes`);
+
+    return applyChanges(run, loaded.changes, "Plan", callback);
+}
+
+/**
+ * Undoes the Plex changes in a journal, skipping any whose Plex state has
+ * changed since.
+ *
+ * @param {object} run Run
+ * @param {string} name Journal file name or run ID
+ * @param {function} callback Callback with the result ({ counts, timings, journal, notSet })
+ *
+ * @returns {undefined}
+ */
+function rollback(run, name, callback) {
+    syncRun.startCommand(run, "rollback", name);
+
+    syncRun.log(run, `Reading journal ${chalk.green(name)}...`);
+
+    let loaded;
+
+    try {
+        loaded = journal.load(run.options.journalDir, name);
+    } catch (e) {
+        return callback(syncRun.classify(`${name}: ${e.message}`, syncRun.ERROR_CONFIG));
+    }
+
+    const problem = checkTarget(run, loaded.header.target);
+
+    if (problem) {
+        return callback(syncRun.classify(`${name}: ${problem}`, syncRun.ERROR_CONFIG));
+    }
+
+    syncRun.log(run, `\tRun ${loaded.header.run} (${loaded.header.command} of ${loaded.header.file}): ` +
+        `${chalk.green(loaded.entries.length)} changes`);
+
+    // undo each item once, from its state after the run back to its first state before
+    let undoChanges = [];
+    let byRatingKey = {};
+
+    loaded.entries.forEach(function(entry) {
+        if (byRatingKey[entry.ratingKey]) {
+            byRatingKey[entry.ratingKey].current = entry.after;
+            return;
+        }
+
+        byRatingKey[entry.ratingKey] = {
+            type: entry.type,
+            source: entry.source,
+            ratingKey: entry.ratingKey,
+            plexTitle: entry.plexTitle,
+            current: entry.after,
+            target: entry.before
+        };
+
+        undoChanges.push(byRatingKey[entry.ratingKey]);
+    });
+
+    return async.series([
+        //
+        // 1. Switch to the Plex Home user whose changes they were
+        //
+        function(cb) {
+            if (!loaded.header.user) {
+                return cb();
+            }
+
+            return syncUser.switchUser(run, loaded.header.user, cb);
+        }
+    ], function(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        return applyChanges(run, undoChanges, "Rollback", callback);
+    });
+}
+
+/**
+ * Makes Plex changes from a plan or journal, skipping any whose Plex state is no
+ * longer their current state.
+ *
+ * @param {object} run Run
+ * @param {object[]} plexChanges Plex changes
+ * @param {string} section Summary section
+ * @param {function} callback Callback with the result ({ counts, timings, journal, notSet })
+ */
+function applyChanges(run, plexChanges, section, callback) {
+    // changes that are still valid, those made, and those that aren't
+    let validChanges = [];
+    let changesMade = [];
+    let changesNotSet = [];
+
+    let counts = syncChanges.newCounts();
+
+    async.waterfall([
+        //
+        // 1. Connect to Plex server
+        //
+        function(cb) {
+            syncIndex.connect(run, cb);
+        },
+
+        //
+        // 2. Check each change's Plex state is still what it was
+        //
+        function(cb) {
+            syncRun.log(run);
+            syncRun.log(run, `Checking ${run.target.label} state...`);
+
+            const stopTimer = syncRun.startTimer(run, "Checking");
+
+            // an error that stops the check, after the reads already started finish
+            let fatal = null;
+
+            async.eachLimit(plexChanges, run.concurrency, function(change, cbEachChange) {
+                if (fatal) {
+                    return cbEachChange();
+                }
+
+                return readPlexState(run, change.ratingKey, function(err, plexState) {
+                    if (fatal) {
+                        return cbEachChange();
+                    }
+
+                    if (err) {
+                        fatal = err;
+
+                        return cbEachChange();
+                    }
+
+                    const stale = plexState ? plan.staleFields(change, plexState) : ["ratingKey"];
+
+                    if (plexState) {
+                        counts.matched++;
+                    }
+
+                    if (plexState && !syncChanges.changedFields(plexState, change.target).length) {
+                        syncRun.log(run, `\t= #${change.ratingKey} ${change.plexTitle}: already in sync`);
+
+                        counts.inSync++;
+                    } else if (stale.length) {
+                        const reason = plexState ? `${stale.join(", ")} changed in ${run.target.label}` :
+                            `not in ${run.target.label}`;
+
+                        syncRun.log(run,
+                            chalk.yellow(`\t✖ #${change.ratingKey} ${change.plexTitle}: ${reason}, skipping`));
+
+                        changesNotSet.push(syncChanges.plexChangeItem(change, "skipped", reason));
+                        counts.skipped++;
+                    } else {
+                        syncRun.log(run, `\t${chalk.green("✔ #" + change.ratingKey)} ${change.plexTitle}: ` +
+                            describeState(change.target));
+
+                        validChanges.push(change);
+                        counts.changed++;
+                    }
+
+                    return cbEachChange();
+                });
+            }, function() {
+                stopTimer();
+
+                cb(fatal);
+            });
+        },
+
+        //
+        // 3. Mark items as Watched/Unwatched
+        //
+        function(cb) {
+            syncApply.markPlexAll(run, validChanges, function(err, failed) {
+                run.sectionCounts[section] = syncChanges.countFailed(counts, failed.length);
+
+                changesMade = validChanges
+                    .filter(change => failed.indexOf(change) === -1)
+                    .map(change => syncChanges.changedItem(section, "plex", change));
+
+                changesNotSet = changesNotSet.concat(
+                    failed.map(change => syncChanges.plexChangeItem(change, "failed", change.error)));
+
+                cb(err);
+            });
+        }
+    ],
+    function(err) {
+        callback(err, Object.assign(syncRun.runSummary(run), {
+            changed: changesMade,
+            notSet: changesNotSet.map(item => Object.assign({ section: section }, item))
+        }));
+    });
+}
+
+//
+// Exports
+//
+module.exports = {
+    listJournalRuns: listJournalRuns,
+    applyPlan: applyPlan,
+    rollback: rollback
+};
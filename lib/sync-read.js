@@ -0,0 +1,215 @@
+//
+// Imports
+//
+const async = require("async");
+const chalk = require("chalk");
+const sources = require("./sources");
+const collections = require("./collections");
+const duplicates = require("./duplicates");
+const syncRun = require("./sync-run");
+
+//
+// Constants
+//
+// Collection.xml size from which parsing progress is logged
+const PROGRESS_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Reads the My Movies Collection.xml as it streams in, or the watch history in
+ * another --source-format
+ *
+ * @param {object} run Run
+ * @param {string} [xml] Collection.xml (or other source) contents (read from the file
+ *   option if not given)
+ * @param {function} callback Callback with the collection ({ file or xml, movies, tv }),
+ *   where movies is { discs, titles } and tv is { series, episodes }
+ */
+function parseCollection(run, xml, callback) {
+    const options = run.options;
+    const label = sources.LABELS[options.sourceFormat];
+
+    syncRun.stage(run, "parse");
+
+    async.waterfall([
+        //
+        // 1. Load the --collections mapping, which says which fields to read
+        //
+        function(cb) {
+            if (!options.movies || !options.collections) {
+                return cb(null, undefined);
+            }
+
+            try {
+                return cb(null, collections.loadMapping(options.collections));
+            } catch (e) {
+                return cb(`${options.collections}: ${e.message}`);
+            }
+        },
+
+        //
+        // 2. Read in the My Movies Collections.xml (or other source)
+        //
+        function(mapping, cb) {
+            if (typeof xml === "string") {
+                return cb(null, mapping, xml, xml.length);
+            }
+
+            syncRun.log(run, `Reading ${chalk.green(options.file)}...`);
+
+            return sources.open(options.sourceFormat, options.file, function(err, source, size) {
+                cb(err, mapping, source, size);
+            });
+        },
+
+        //
+        // 3. Parse the XML (or other source), keeping only the fields that are synced
+        //
+        function(mapping, source, size, cb) {
+            syncRun.log(run, `Parsing ${label}...`);
+
+            const stopTimer = syncRun.startTimer(run, `Parsing ${label}`);
+
+            // last 10% step logged
+            let logged = 0;
+
+            sources.read(options.sourceFormat, source, {
+                movies: options.movies,
+                tv: options.tv,
+                mapping: mapping,
+                onProgress: function(bytes) {
+                    const percent = Math.floor(bytes * 10 / size) * 10;
+
+                    run.events.emit("progress", { stage: "parse", done: bytes, total: size });
+
+                    if (size >= PROGRESS_BYTES && percent > logged) {
+                        logged = percent;
+
+                        syncRun.log(run, `\t${percent}% (${describeBytes(bytes)} of ${describeBytes(size)})`);
+                    }
+                }
+            }, function(err, parsed) {
+                stopTimer();
+
+                cb(err, mapping, parsed);
+            });
+        },
+
+        //
+        // 4. Find Movies and TV episodes
+        //
+        function(mapping, parsed, cb) {
+            // the whole document is only read again to write changes back to it
+            let collection = typeof xml === "string" ? { xml: xml } : { file: options.file };
+
+            if (options.movies) {
+                collection.movies = readMovies(run, parsed.titles, mapping);
+            }
+
+            if (options.tv) {
+                collection.tv = readTv(run, parsed.series);
+            }
+
+            return cb(null, collection);
+        }
+    ],
+    function(err, collection) {
+        callback(syncRun.classify(err, syncRun.ERROR_CONFIG), collection);
+    });
+}
+
+/**
+ * Describes a number of bytes, for logging
+ *
+ * @param {number} bytes Bytes
+ *
+ * @returns {string} Description, in MB
+ */
+function describeBytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Combines the discs of each film, and logs them
+ *
+ * @param {object} run Run
+ * @param {object[]} discs Movie titles, one per disc
+ * @param {object} [mapping] Collections mapping
+ *
+ * @returns {object} { discs, titles }
+ */
+function readMovies(run, discs, mapping) {
+    const options = run.options;
+
+    syncRun.log(run, `Checking ${discs.length} titles...`);
+
+    discs.forEach(function(title) {
+        syncRun.log(run, `\t${title.title} (${title.imdb || "no IMDB"}):` +
+            ` ${syncRun.watchedLabel(title.watched, chalk.green("Watched"), chalk.yellow("Unwatched"))}`);
+    });
+
+    // a film can have several discs (e.g. DVD and Blu-ray), which are synced as one
+    const titles = duplicates.groupTitles(discs).map(function(titleDiscs) {
+        const combined = duplicates.combine(titleDiscs, options.watchedPolicy);
+
+        const titleData = Object.assign({}, titleDiscs[0], {
+            watched: combined.watched,
+            rating: combined.rating,
+            discs: titleDiscs,
+            conflicts: combined.conflicts
+        });
+
+        if (mapping) {
+            titleData.collections = [...new Set(titleDiscs
+                .map(disc => disc.collections)
+                .reduce((all, names) => all.concat(names), []))];
+        }
+
+        if (titleDiscs.length > 1) {
+            syncRun.log(run, chalk.yellow(`\t⚠ ${titleData.title}: ${titleDiscs.length} discs` +
+                `${combined.conflicts.length ? ", conflicting " + combined.conflicts.join(", ") : ""}` +
+                `, ${syncRun.watchedLabel(combined.watched, "watched", "unwatched")}` +
+                ` (${options.watchedPolicy} watched)`));
+        }
+
+        return titleData;
+    });
+
+    return {
+        discs: discs,
+        titles: titles
+    };
+}
+
+/**
+ * Lists the episodes of each TV series, and logs them
+ *
+ * @param {object} run Run
+ * @param {object[]} series TV series
+ *
+ * @returns {object} { series, episodes }
+ */
+function readTv(run, series) {
+    syncRun.log(run, `Checking ${series.length} series...`);
+
+    series.forEach(function(oneSeries) {
+        syncRun.log(run, `\t${oneSeries.title} : ${oneSeries.episodes.length} episodes`);
+
+        oneSeries.episodes.forEach(function(episode) {
+            syncRun.log(run, `\t\tSeason ${episode.season} Episode ${episode.episode}: ${episode.title}: ` +
+                `${syncRun.watchedLabel(episode.watched, "watched", "unwatched")}` +
+                `${episode.owned ? "" : " (unowned, skipping)"}`);
+        });
+    });
+
+    return {
+        series: series,
+        episodes: series.reduce((all, oneSeries) => all.concat(oneSeries.episodes), [])
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    parseCollection: parseCollection
+};
@@ -0,0 +1,252 @@
+//
+// Imports
+//
+const chalk = require("chalk");
+const report = require("./report");
+const episodeMatch = require("./episode-match");
+const syncRun = require("./sync-run");
+
+/**
+ * Reconciles My Movies and Plex, keeping the report items for writeReports
+ *
+ * @param {object} run Run
+ * @param {object} matches Matches
+ * @param {function} callback Callback
+ *
+ * @returns {undefined}
+ */
+function reconcile(run, matches, callback) {
+    if (!run.reportFiles) {
+        return callback();
+    }
+
+    syncRun.stage(run, "report", matches.type);
+
+    syncRun.log(run);
+
+    if (matches.type === syncRun.TYPE_MOVIES) {
+        syncRun.log(run, `Reconciling My Movies and ${run.target.label} titles...`);
+    } else {
+        syncRun.log(run, `Reconciling My Movies and ${run.target.label} TV series...`);
+    }
+
+    const items = matches.type === syncRun.TYPE_MOVIES ? movieReport(matches) : tvReport(matches);
+
+    logSummary(run, items);
+
+    run.reportItems = run.reportItems.concat(items);
+
+    return callback();
+}
+
+/**
+ * Gets the reconciliation report items of movies
+ *
+ * @param {object} matches Movie matches
+ *
+ * @returns {object[]} Report items
+ */
+function movieReport(matches) {
+    let matchedRatingKeys = {};
+    let items = [];
+
+    matches.items.forEach(function(matched) {
+        const title = matched.title;
+        const movieMatch = matched.match;
+
+        if (title.discs.length > 1) {
+            items.push({
+                category: report.DUPLICATE_IN_MYMOVIES,
+                type: "movie",
+                title: title.title,
+                year: title.year,
+                imdb: title.imdb
+            });
+        }
+
+        if (movieMatch.items && movieMatch.items.length > 1) {
+            items.push({
+                category: report.DUPLICATE_IN_PLEX,
+                type: "movie",
+                title: title.title,
+                year: title.year,
+                imdb: title.imdb,
+                ratingKey: movieMatch.items.map(item => item.ratingKey).join(", ")
+            });
+        }
+
+        if (movieMatch.items) {
+            movieMatch.items.forEach(function(item) {
+                matchedRatingKeys[item.ratingKey] = true;
+            });
+        } else {
+            items.push({
+                category: report.MISSING_FROM_PLEX,
+                type: "movie",
+                title: title.title,
+                year: title.year,
+                imdb: title.imdb
+            });
+        }
+    });
+
+    matches.index.items.forEach(function(plexTitle) {
+        if (!matchedRatingKeys[plexTitle.ratingKey]) {
+            items.push({
+                category: report.MISSING_FROM_MYMOVIES,
+                type: "movie",
+                title: plexTitle.title,
+                year: plexTitle.year,
+                imdb: plexTitle.ids.imdb,
+                ratingKey: plexTitle.ratingKey
+            });
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Gets the reconciliation report items of TV series and episodes
+ *
+ * @param {object} matches TV matches
+ *
+ * @returns {object[]} Report items
+ */
+function tvReport(matches) {
+    let items = [];
+    let matchedSeries = new Set();
+    let matchedEpisodes = new Set();
+
+    // My Movies series that Plex doesn't have at all
+    const ownedSeries = [...new Set(matches.items
+        .filter(matched => matched.episode.owned)
+        .map(matched => matched.episode.series))];
+
+    ownedSeries.forEach(function(seriesName) {
+        if (!matches.plexSeries[seriesName]) {
+            items.push({
+                category: report.MISSING_FROM_PLEX,
+                type: "series",
+                series: seriesName
+            });
+        }
+    });
+
+    // My Movies episodes vs. Plex episodes
+    matches.items.forEach(function(matched) {
+        const episode = matched.episode;
+
+        if (!matched.show) {
+            return;
+        }
+
+        matchedSeries.add(matched.show);
+
+        const plexEpisode = matched.found.episodes[0];
+
+        matched.found.episodes.forEach(foundEpisode => matchedEpisodes.add(foundEpisode));
+
+        if (plexEpisode && !episode.owned) {
+            items.push({
+                category: report.UNOWNED_IN_MYMOVIES,
+                type: "episode",
+                series: episode.series,
+                season: episode.season,
+                episode: episode.episode,
+                title: episode.title,
+                ratingKey: plexEpisode.key
+            });
+        } else if (!plexEpisode && episode.owned) {
+            items.push({
+                category: report.MISSING_FROM_PLEX,
+                type: "episode",
+                series: episode.series,
+                season: episode.season,
+                episode: episode.episode,
+                title: episode.title
+            });
+        }
+    });
+
+    // Plex series/episodes that My Movies doesn't have
+    matches.index.items.forEach(function(plexShow) {
+        if (!matchedSeries.has(plexShow)) {
+            items.push({
+                category: report.MISSING_FROM_MYMOVIES,
+                type: "series",
+                series: plexShow.title,
+                ratingKey: plexShow.ratingKey
+            });
+
+            return;
+        }
+
+        episodeMatch.all(plexShow).forEach(function(plexEpisode) {
+            if (!matchedEpisodes.has(plexEpisode)) {
+                items.push({
+                    category: report.MISSING_FROM_MYMOVIES,
+                    type: "episode",
+                    series: plexShow.title,
+                    season: plexEpisode.season,
+                    episode: plexEpisode.index,
+                    title: plexEpisode.title,
+                    ratingKey: plexEpisode.key
+                });
+            }
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Logs a reconciliation summary
+ *
+ * @param {object} run Run
+ * @param {object[]} items Report items
+ */
+function logSummary(run, items) {
+    const summary = report.summarize(items);
+    const label = run.target.label;
+
+    syncRun.log(run, `\tIn My Movies, missing from ${label}: ${chalk.yellow(summary[report.MISSING_FROM_PLEX])}`);
+    syncRun.log(run, `\tIn ${label}, missing from My Movies: ${chalk.yellow(summary[report.MISSING_FROM_MYMOVIES])}`);
+    syncRun.log(run, `\tIn ${label}, unowned in My Movies: ${chalk.yellow(summary[report.UNOWNED_IN_MYMOVIES])}`);
+    syncRun.log(run, `\tMore than one disc in My Movies: ${chalk.yellow(summary[report.DUPLICATE_IN_MYMOVIES])}`);
+    syncRun.log(run, `\tMore than one copy in ${label}: ${chalk.yellow(summary[report.DUPLICATE_IN_PLEX])}`);
+}
+
+/**
+ * Writes each --report file, with the items of every type reconciled so far
+ *
+ * @param {object} run Run
+ * @param {function} callback Callback
+ *
+ * @returns {undefined}
+ */
+function writeReports(run, callback) {
+    if (!run.reportFiles) {
+        return callback();
+    }
+
+    try {
+        run.reportFiles.forEach(function(reportFile) {
+            syncRun.log(run, `Writing ${chalk.green(reportFile)}...`);
+
+            report.write(reportFile, run.reportItems);
+        });
+    } catch (e) {
+        return callback(e.message);
+    }
+
+    return callback();
+}
+
+//
+// Exports
+//
+module.exports = {
+    reconcile: reconcile,
+    writeReports: writeReports
+};
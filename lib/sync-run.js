@@ -0,0 +1,158 @@
+//
+// Constants
+//
+
+// what can be synced
+const TYPE_MOVIES = "movies";
+const TYPE_TV = "tv";
+
+// why a run failed: its options or input files, or reaching Plex
+const ERROR_CONFIG = "config";
+const ERROR_CONNECTION = "connection";
+
+/**
+ * Marks an error as a configuration or connection error, unless it's already
+ * marked, so callers can tell why a run failed
+ *
+ * @param {string|Error} err Error
+ * @param {string} kind ERROR_CONFIG or ERROR_CONNECTION
+ *
+ * @returns {Error} Error with a kind, or nothing if there's no error
+ */
+function classify(err, kind) {
+    if (!err) {
+        return err;
+    }
+
+    const error = err instanceof Error ? err : new Error(err.message || String(err));
+
+    error.kind = error.kind || kind;
+
+    return error;
+}
+
+/**
+ * Starts a command, clearing what the last one did
+ *
+ * @param {object} run Run
+ * @param {string} command sync, apply or rollback, for the journal
+ * @param {string} file File the command works from, for the journal
+ */
+function startCommand(run, command, file) {
+    run.command = command;
+    run.commandFile = file;
+
+    // how long each part of the run took
+    run.timings = [];
+
+    // matched, changed, in sync, unmatched, skipped and failed counts for each section
+    run.sectionCounts = {};
+
+    // journal of the Plex changes made by this run, started on the first change
+    run.journal = null;
+
+    // reconciliation report items, written once every type is reconciled
+    run.reportItems = [];
+
+    // two-way sync state from the last run, and for this run
+    run.lastState = null;
+    run.nextState = null;
+
+    // the My Movies state of each title and episode this run
+    run.nextSeen = {
+        movies: {},
+        tv: {}
+    };
+}
+
+/**
+ * Gets the summary of the current command
+ *
+ * @param {object} run Run
+ *
+ * @returns {object} { counts, timings, journal }, where counts are by summary
+ *   section and journal is the journal file name, if any changes were made
+ */
+function runSummary(run) {
+    return {
+        counts: run.sectionCounts,
+        timings: run.timings,
+        journal: run.journal && run.journal.entries ? run.journal.fileName : undefined
+    };
+}
+
+/**
+ * Logs a progress message
+ *
+ * @param {object} run Run
+ * @param {string} [message] Message (a blank line if not given)
+ * @param {string} [level] info or error
+ */
+function log(run, message, level) {
+    run.events.emit("log", typeof message === "undefined" ? "" : message, level || "info");
+}
+
+/**
+ * Starts a stage
+ *
+ * @param {object} run Run
+ * @param {string} name Stage name
+ * @param {string} [type] movies or tv
+ */
+function stage(run, name, type) {
+    run.events.emit("stage", name, type);
+}
+
+/**
+ * Gets how a watched status is logged.  Sources that only have a rating have
+ * no watched status.
+ *
+ * @param {boolean} [watched] Watched status
+ * @param {string} watchedText Text if watched
+ * @param {string} unwatchedText Text if unwatched
+ *
+ * @returns {string} Text
+ */
+function watchedLabel(watched, watchedText, unwatchedText) {
+    if (typeof watched === "undefined") {
+        return "no watched status";
+    }
+
+    return watched ? watchedText : unwatchedText;
+}
+
+/**
+ * Starts timing part of the run
+ *
+ * @param {object} run Run
+ * @param {string} name Name
+ *
+ * @returns {function} Stops the timer
+ */
+function startTimer(run, name) {
+    const start = Date.now();
+
+    return function() {
+        run.timings.push({
+            name: name,
+            ms: Date.now() - start
+        });
+    };
+}
+
+//
+// Exports
+//
+module.exports = {
+    TYPE_MOVIES: TYPE_MOVIES,
+    TYPE_TV: TYPE_TV,
+    ERROR_CONFIG: ERROR_CONFIG,
+    ERROR_CONNECTION: ERROR_CONNECTION,
+    classify: classify,
+    startCommand: startCommand,
+    runSummary: runSummary,
+    log: log,
+    stage: stage,
+    watchedLabel: watchedLabel,
+    startTimer: startTimer
+};
@@ -0,0 +1,174 @@
+//
+// Imports
+//
+const fs = require("fs");
+
+//
+// Constants
+//
+
+// where a Watched status should be written to
+const IN_SYNC = "in-sync";
+const TO_PLEX = "plex";
+const TO_MYMOVIES = "mymovies";
+const CONFLICT = "conflict";
+
+// conflict policies
+const POLICY_PLEX = "plex";
+const POLICY_MYMOVIES = "mymovies";
+const POLICY_WATCHED = "watched";
+const POLICY_ASK = "ask";
+
+/**
+ * Loads the last-sync state file.  A missing file is an empty state.
+ *
+ * @param {string} fileName State file name
+ *
+ * @returns {object} State
+ */
+function load(fileName) {
+    let state = {};
+
+    if (fs.existsSync(fileName)) {
+        state = JSON.parse(fs.readFileSync(fileName, "utf-8"));
+    }
+
+    state.movies = state.movies || {};
+    state.episodes = state.episodes || {};
+
+    return state;
+}
+
+/**
+ * Saves the last-sync state file
+ *
+ * @param {string} fileName State file name
+ * @param {object} state State
+ */
+function save(fileName, state) {
+    state.updated = new Date().toISOString();
+
+    fs.writeFileSync(fileName, JSON.stringify(state, null, 2), "utf-8");
+}
+
+/**
+ * Gets the state key of an episode
+ *
+ * @param {object} episode Episode
+ *
+ * @returns {string} Key
+ */
+function episodeKey(episode) {
+    return `${episode.series}/${episode.season}/${episode.episode}`;
+}
+
+/**
+ * Gets the state type and key of the My Movies title or episode that a Plex
+ * change is for
+ *
+ * @param {object} change Plex change ({ type, source })
+ *
+ * @returns {object} { type, key }, where type is movies or episodes
+ */
+function changeKey(change) {
+    if (change.type === "episode") {
+        return { type: "episodes", key: episodeKey(change.source) };
+    }
+
+    return { type: "movies", key: change.source.imdb || change.source.id };
+}
+
+/**
+ * Puts back the last state of the titles and episodes whose Plex changes
+ * failed.  Their next state assumed Plex was changed, so otherwise the next run
+ * would take the unchanged Plex status as a change to sync back to My Movies.
+ *
+ * @param {object} nextState State for the next run
+ * @param {object} lastState State from the last run
+ * @param {object[]} failed Plex changes that failed
+ */
+function keepFailed(nextState, lastState, failed) {
+    failed.forEach(function(change) {
+        const item = changeKey(change);
+
+        if (lastState[item.type][item.key]) {
+            nextState[item.type][item.key] = lastState[item.type][item.key];
+        } else {
+            delete nextState[item.type][item.key];
+        }
+    });
+}
+
+/**
+ * Works out which side changed since the last sync
+ *
+ * @param {object} previous Previous state ({ mymovies, plex }), if any
+ * @param {boolean} myMoviesWatched Current My Movies Watched status
+ * @param {boolean} plexWatched Current Plex Watched status
+ *
+ * @returns {string} IN_SYNC, TO_PLEX, TO_MYMOVIES or CONFLICT
+ */
+function compare(previous, myMoviesWatched, plexWatched) {
+    if (myMoviesWatched === plexWatched) {
+        return IN_SYNC;
+    }
+
+    // never synced before, so there's no telling which side is right
+    if (!previous) {
+        return CONFLICT;
+    }
+
+    const myMoviesChanged = previous.mymovies !== myMoviesWatched;
+    const plexChanged = previous.plex !== plexWatched;
+
+    if (myMoviesChanged && !plexChanged) {
+        return TO_PLEX;
+    } else if (plexChanged && !myMoviesChanged) {
+        return TO_MYMOVIES;
+    }
+
+    return CONFLICT;
+}
+
+/**
+ * Resolves a conflict via a policy
+ *
+ * @param {string} policy Conflict policy
+ * @param {boolean} myMoviesWatched Current My Movies Watched status
+ *
+ * @returns {string} TO_PLEX, TO_MYMOVIES, or CONFLICT if the user has to decide
+ */
+function resolve(policy, myMoviesWatched) {
+    switch (policy) {
+        case POLICY_PLEX:
+            return TO_MYMOVIES;
+
+        case POLICY_MYMOVIES:
+            return TO_PLEX;
+
+        case POLICY_WATCHED:
+            return myMoviesWatched ? TO_PLEX : TO_MYMOVIES;
+
+        default:
+            return CONFLICT;
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    IN_SYNC: IN_SYNC,
+    TO_PLEX: TO_PLEX,
+    TO_MYMOVIES: TO_MYMOVIES,
+    CONFLICT: CONFLICT,
+    POLICIES: [POLICY_PLEX, POLICY_MYMOVIES, POLICY_WATCHED, POLICY_ASK],
+    POLICY_ASK: POLICY_ASK,
+    load: load,
+    save: save,
+    episodeKey: episodeKey,
+    changeKey: changeKey,
+    keepFailed: keepFailed,
+    compare: compare,
+    resolve: resolve
+};
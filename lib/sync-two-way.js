@@ -0,0 +1,119 @@
+//
+// Imports
+//
+const chalk = require("chalk");
+const syncState = require("./sync-state");
+const syncRun = require("./sync-run");
+
+/**
+ * Loads the two-way sync state, if syncing both ways
+ *
+ * @param {object} run Run
+ *
+ * @returns {string} Error, if any
+ */
+function loadState(run) {
+    const stateFileName = run.options.state;
+
+    if (!run.twoWay) {
+        return undefined;
+    }
+
+    syncRun.log(run, `Reading ${chalk.green(stateFileName)}...`);
+
+    try {
+        run.lastState = syncState.load(stateFileName);
+    } catch (e) {
+        return `${stateFileName}: ${e.message}`;
+    }
+
+    syncRun.log(run, `\tLast synchronized ${run.lastState.updated ? run.lastState.updated : "never"}`);
+
+    // items that aren't seen this run keep their last state
+    run.nextState = {
+        movies: Object.assign({}, run.lastState.movies),
+        episodes: Object.assign({}, run.lastState.episodes)
+    };
+
+    return undefined;
+}
+
+/**
+ * Decides which way a two-way sync item should go, asking the user about
+ * conflicts if needed, and records its state for the next run.
+ *
+ * @param {object} run Run
+ * @param {string} type State type (movies or episodes)
+ * @param {string} key State key
+ * @param {boolean} myMoviesWatched My Movies Watched status
+ * @param {boolean} plexWatched Plex Watched status
+ * @param {function} callback Callback with syncState.TO_PLEX, syncState.TO_MYMOVIES, or nothing
+ *
+ * @returns {undefined}
+ */
+function syncTwoWay(run, type, key, myMoviesWatched, plexWatched, callback) {
+    if (!run.lastState) {
+        const err = loadState(run);
+
+        if (err) {
+            return callback(syncRun.classify(err, syncRun.ERROR_CONFIG));
+        }
+    }
+
+    let direction = syncState.compare(run.lastState[type][key], myMoviesWatched, plexWatched);
+
+    if (direction === syncState.CONFLICT) {
+        syncRun.log(run, chalk.yellow(`\t\t⚠ conflict: My Movies ${myMoviesWatched ? "watched" : "unwatched"}` +
+            `, ${run.target.label} ${plexWatched ? "watched" : "unwatched"}`));
+
+        direction = syncState.resolve(run.options.conflict, myMoviesWatched);
+    }
+
+    if (direction === syncState.CONFLICT) {
+        return run.ask("\t\tKeep [p]lex, [m]y movies or [s]kip? ", function(answer) {
+            answer = answer.trim().toLowerCase();
+
+            if (answer === "p") {
+                direction = syncState.TO_MYMOVIES;
+            } else if (answer === "m") {
+                direction = syncState.TO_PLEX;
+            }
+
+            finish();
+        });
+    }
+
+    return finish();
+
+    /**
+     * Logs and records the decision
+     */
+    function finish() {
+        let watched;
+
+        if (direction === syncState.TO_PLEX) {
+            watched = myMoviesWatched;
+            syncRun.log(run, `\t\t→ ${watched ? "watched" : "unwatched"} in ${run.target.label}`);
+        } else if (direction === syncState.TO_MYMOVIES) {
+            watched = plexWatched;
+            syncRun.log(run, `\t\t→ ${watched ? "watched" : "unwatched"} in My Movies`);
+        } else if (direction === syncState.CONFLICT) {
+            syncRun.log(run, chalk.yellow("\t\t✖ skipped"));
+        }
+
+        run.nextState[type][key] = {
+            mymovies: typeof watched === "undefined" ? myMoviesWatched : watched,
+            plex: typeof watched === "undefined" ? plexWatched : watched
+        };
+
+        callback(null, direction === syncState.CONFLICT ? undefined : direction);
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    loadState: loadState,
+    syncTwoWay: syncTwoWay
+};
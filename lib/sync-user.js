@@ -0,0 +1,89 @@
+//
+// Imports
+//
+const async = require("async");
+const chalk = require("chalk");
+const plexClient = require("./plex-client");
+const targets = require("./targets");
+const plexUsers = require("./plex-users");
+const syncRun = require("./sync-run");
+
+/**
+ * Gets the Plex server's machine identifier
+ *
+ * @param {object} run Run
+ * @param {function} callback Callback with the machine identifier
+ */
+function machineIdentifier(run, callback) {
+    plexClient.query(run.client, "/", function(err, result) {
+        callback(syncRun.classify(err, syncRun.ERROR_CONNECTION), result && result.MediaContainer.machineIdentifier);
+    });
+}
+
+/**
+ * Gets a Plex Home user's token for the Plex server
+ *
+ * @param {object} run Run
+ * @param {string} serverId Plex server's machine identifier
+ * @param {object} user User ({ name, pin })
+ * @param {function} callback Callback with the token
+ */
+function userToken(run, serverId, user, callback) {
+    plexUsers.serverToken(run.options.token, serverId, user, function(err, token) {
+        callback(syncRun.classify(err, syncRun.ERROR_CONNECTION), token);
+    });
+}
+
+/**
+ * Switches a run to a Plex Home user's token, e.g. to roll back their journal.
+ * Their PIN, if they have one, is from the --users file.
+ *
+ * @param {object} run Run
+ * @param {string} name User's name
+ * @param {function} callback Callback
+ *
+ * @returns {undefined}
+ */
+function switchUser(run, name, callback) {
+    const options = run.options;
+
+    let user = { name: name };
+
+    if (options.users) {
+        try {
+            user = plexUsers.load(options.users).find(u => u.name === name) || user;
+        } catch (e) {
+            return callback(syncRun.classify(`${options.users}: ${e.message}`, syncRun.ERROR_CONFIG));
+        }
+    }
+
+    syncRun.log(run, `\tSwitching to Plex Home user ${chalk.green(name)}...`);
+
+    return async.waterfall([
+        function(cb) {
+            machineIdentifier(run, cb);
+        },
+        function(serverId, cb) {
+            userToken(run, serverId, user, cb);
+        }
+    ], function(err, token) {
+        if (err) {
+            return callback(err);
+        }
+
+        run.target = targets.create(Object.assign({}, options, { token: token, client: undefined }));
+        run.client = run.target.client;
+        run.user = name;
+
+        return callback();
+    });
+}
+
+//
+// Exports
+//
+module.exports = {
+    machineIdentifier: machineIdentifier,
+    userToken: userToken,
+    switchUser: switchUser
+};
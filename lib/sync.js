@@ -0,0 +1,761 @@
+//
+// Imports
+//
+const async = require("async");
+const EventEmitter = require("events");
+const fs = require("fs");
+const chalk = require("chalk");
+const sources = require("./sources");
+const syncState = require("./sync-state");
+const plexClient = require("./plex-client");
+const collections = require("./collections");
+const duplicates = require("./duplicates");
+const targets = require("./targets");
+const plexUsers = require("./plex-users");
+const syncRun = require("./sync-run");
+const syncUser = require("./sync-user");
+const syncRead = require("./sync-read");
+const syncIndex = require("./sync-index");
+const syncMatch = require("./sync-match");
+const syncReconcile = require("./sync-reconcile");
+const twoWaySync = require("./sync-two-way");
+const syncChanges = require("./sync-changes");
+const syncApply = require("./sync-apply");
+const syncPlans = require("./sync-plans");
+
+//
+// Constants
+//
+const DIRECTION_MYMOVIES_TO_PLEX = "mymovies-to-plex";
+const DIRECTION_PLEX_TO_MYMOVIES = "plex-to-mymovies";
+const DIRECTION_TWO_WAY = "two-way";
+
+const DIRECTIONS = [DIRECTION_MYMOVIES_TO_PLEX, DIRECTION_PLEX_TO_MYMOVIES, DIRECTION_TWO_WAY];
+
+// option defaults (the same as the command line's)
+const DEFAULTS = {
+    pretend: false,
+    watched: false,
+    unwatched: false,
+    ratings: false,
+    ratingScale: 10,
+    pruneCollections: false,
+    managedCollections: "managed-collections.json",
+    movies: false,
+    tv: false,
+    interactive: false,
+    direction: DIRECTION_MYMOVIES_TO_PLEX,
+    state: "sync-state.json",
+    conflict: syncState.POLICY_ASK,
+    matchThreshold: 0.85,
+    duplicates: duplicates.COPIES[0],
+    watchedPolicy: duplicates.WATCHED_POLICIES[0],
+    concurrency: 4,
+    journalDir: "journal",
+    target: targets.TARGET_PLEX,
+    sourceFormat: sources.FORMAT_MYMOVIES
+};
+
+// options that must be one of a list
+const CHOICES = {
+    direction: DIRECTIONS,
+    conflict: syncState.POLICIES,
+    duplicates: duplicates.COPIES,
+    watchedPolicy: duplicates.WATCHED_POLICIES,
+    target: targets.TARGETS,
+    sourceFormat: sources.FORMATS
+};
+
+/**
+ * Checks options
+ *
+ * @param {object} options Options
+ * @param {boolean} [syncing] Whether they're for a sync (rather than applying a
+ *   plan, rolling back or listing journals)
+ *
+ * @returns {string} Problem with the options, if any
+ */
+function validate(options, syncing) {
+    options = Object.assign({}, DEFAULTS, options);
+
+    const twoWay = options.direction === DIRECTION_TWO_WAY;
+    const writesMyMovies = twoWay || options.direction === DIRECTION_PLEX_TO_MYMOVIES;
+
+    for (const name in CHOICES) {
+        if (CHOICES[name].indexOf(options[name]) === -1) {
+            return `--${name.replace(/[A-Z]/g, c => "-" + c.toLowerCase())} must be one of ` +
+                CHOICES[name].join(", ");
+        }
+    }
+
+    if (options.plan && options.direction !== DIRECTION_MYMOVIES_TO_PLEX) {
+        return `--plan only supports --direction ${DIRECTION_MYMOVIES_TO_PLEX}`;
+    }
+
+    if (syncing &&
+        !options.watched &&
+        !options.unwatched &&
+        !options.ratings &&
+        !options.collections &&
+        !twoWay &&
+        !options.report) {
+        return "--watched, --unwatched, --ratings, --collections or --report must bet set";
+    }
+
+    if (options.collections && !options.movies) {
+        return "--collections only works with --movies";
+    }
+
+    for (const feature of ["ratings", "collections", "users"]) {
+        if (options[feature] && !targets.supports(options.target, feature)) {
+            return `--${feature} isn't supported with --target ${options.target}`;
+        }
+    }
+
+    if (writesMyMovies && !sources.supports(options.sourceFormat, "write")) {
+        return `--source-format ${options.sourceFormat} can't be written to, so only supports ` +
+            `--direction ${DIRECTION_MYMOVIES_TO_PLEX}`;
+    }
+
+    if (options.collections && !sources.supports(options.sourceFormat, "collections")) {
+        return `--collections isn't supported with --source-format ${options.sourceFormat}`;
+    }
+
+    if (options.ratings && twoWay) {
+        return `--ratings doesn't support --direction ${DIRECTION_TWO_WAY}`;
+    }
+
+    if (options.users && options.direction !== DIRECTION_MYMOVIES_TO_PLEX) {
+        return `--users only supports --direction ${DIRECTION_MYMOVIES_TO_PLEX}`;
+    }
+
+    if (options.users && options.plan) {
+        return "--users doesn't support --plan";
+    }
+
+    if (options.users && options.collections) {
+        return "--users doesn't support --collections, as collections are shared by every user";
+    }
+
+    const changesPlex = twoWay || (options.direction === DIRECTION_MYMOVIES_TO_PLEX &&
+        (options.watched || options.unwatched || options.ratings));
+
+    if (options.plexSnapshot && changesPlex && !options.pretend && !options.plan) {
+        return "--plex-snapshot can't change Plex, so needs --pretend or --plan";
+    }
+
+    if (options.plexSnapshot && (options.collections || options.users || options.exportSnapshot)) {
+        return "--plex-snapshot doesn't support --collections, --users or --export-snapshot";
+    }
+
+    if (isNaN(options.ratingScale) || options.ratingScale <= 0) {
+        return "--rating-scale must be more than 0";
+    }
+
+    if (syncing && !options.tv && !options.movies) {
+        return "--tv or --movies must bet set";
+    }
+
+    if (isNaN(options.matchThreshold) || options.matchThreshold < 0 || options.matchThreshold > 1) {
+        return "--match-threshold must be between 0 and 1";
+    }
+
+    if (syncing && writesMyMovies && !options.output && !options.pretend) {
+        return `--output must be set for --direction ${options.direction}`;
+    }
+
+    return undefined;
+}
+
+/**
+ * Creates a sync between My Movies and Plex.  Its methods return promises, and
+ * it emits:
+ *   log (message, level): progress messages, where level is info or error
+ *   stage (name, type): the start of each stage (parse, index, match, report,
+ *     collections, changes, apply)
+ *   progress ({ stage, done, total }): items decided or Plex items marked
+ *   change (change, err): each Plex change made, or that failed
+ *
+ * @param {object} options Options, named as the command-line options (in camelCase),
+ *   plus client (a PlexAPI client, instead of host and token, for --target plex) and ask (asks the
+ *   user a question for --interactive and --conflict ask, as (question, callback))
+ *
+ * @returns {EventEmitter} Sync
+ */
+function create(options) {
+    options = Object.assign({}, DEFAULTS, options);
+
+    const problem = validate(options);
+
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    let events = new EventEmitter();
+
+    const run = newRun(options, events);
+
+    events.parseCollection = xml => toPromise(cb => syncRead.parseCollection(run, xml, cb));
+    events.loadIndex = type => toPromise(cb => syncIndex.loadPlexIndex(run, type, cb));
+    events.match = (type, collection, index) =>
+        toPromise(cb => syncMatch.matchCollection(run, type, collection, index, cb));
+    events.report = matches => toPromise(cb => async.series([
+        cbSeries => syncReconcile.reconcile(run, matches, cbSeries),
+        cbSeries => syncReconcile.writeReports(run, cbSeries)
+    ], cb));
+    events.updateCollections = matches => toPromise(cb => updateCollections(run, matches, cb));
+    events.changes = matches => toPromise(cb => syncChanges.findChanges(run, matches, cb));
+    events.apply = changeSets => toPromise(cb => syncApply.applyChangeSets(run, changeSets, cb));
+    events.sync = only => toPromise(cb => syncAll(run, only, cb));
+    events.applyPlan = fileName => toPromise(cb => syncPlans.applyPlan(run, fileName, cb));
+    events.rollback = name => toPromise(cb => syncPlans.rollback(run, name, cb));
+    events.listJournals = () => toPromise(cb => syncPlans.listJournalRuns(run, cb));
+    events.exportSnapshot = fileName => toPromise(cb => syncIndex.exportSnapshot(run, fileName, cb));
+    events.summary = () => syncRun.runSummary(run);
+
+    return events;
+}
+
+/**
+ * Calls a function with a callback, as a promise
+ *
+ * @param {function} fn Function, called with a callback
+ *
+ * @returns {Promise} Promise of the callback's result, rejected with an Error
+ */
+function toPromise(fn) {
+    return new Promise(function(resolve, reject) {
+        fn(function(err, result) {
+            if (err) {
+                return reject(err instanceof Error ? err : new Error(err.message || String(err)));
+            }
+
+            return resolve(result);
+        });
+    });
+}
+
+/**
+ * Creates the state of a sync: its options, target media server, and what its
+ * current command has done
+ *
+ * @param {object} options Options
+ * @param {EventEmitter} events Sync, to emit events on
+ *
+ * @returns {object} Run
+ */
+function newRun(options, events) {
+    const toMyMovies = options.direction === DIRECTION_PLEX_TO_MYMOVIES;
+    const twoWay = options.direction === DIRECTION_TWO_WAY;
+
+    const target = options.client || options.host || options.plexSnapshot ? targets.create(options) : undefined;
+
+    let run = {
+        options: options,
+        events: events,
+        target: target,
+        // the Plex client, for collections
+        client: target && target.client,
+        ask: options.ask || ((question, callback) => callback("")),
+        toMyMovies: toMyMovies,
+        twoWay: twoWay,
+        // whether My Movies' Collection.xml may be updated
+        writesMyMovies: toMyMovies || twoWay,
+        seriesFix: options.seriesFix || (options.interactive ? "series.json" : undefined),
+        movieFix: options.movieFix || (options.interactive ? "movies.json" : undefined),
+        concurrency: Math.max(1, options.concurrency || 1),
+        reportFiles: options.report ? [].concat(options.report) : undefined,
+        // the Plex Home user being synced, if not the token's own user
+        user: undefined,
+        // the My Movies state of each title and episode when they were last synced
+        seen: {
+            movies: {},
+            tv: {}
+        },
+        // the version of --file that --output was last written from (see fileVersion)
+        outputOf: undefined,
+        // the version of --file this run read
+        fileVersion: undefined
+    };
+
+    // stages can also be run on their own, outside of a command
+    syncRun.startCommand(run, "sync", options.file);
+
+    return run;
+}
+
+/**
+ * Synchronizes My Movies and Plex, for each of the --users if set
+ *
+ * @param {object} run Run
+ * @param {object} [only] Only sync some items ({ onlyChanged, ratingKeys }): those whose
+ *   My Movies state has changed since they were last synced, and those matched to
+ *   the Plex items
+ * @param {function} callback Callback with the result ({ counts, timings, journal, changed, notSet })
+ *
+ * @returns {undefined}
+ */
+function syncAll(run, only, callback) {
+    const options = run.options;
+
+    if (options.users) {
+        return syncUsers(run, callback);
+    }
+
+    const problem = validate(options, true);
+
+    if (problem) {
+        return callback(syncRun.classify(problem, syncRun.ERROR_CONFIG));
+    }
+
+    syncRun.startCommand(run, "sync", options.file);
+
+    // what to sync, which may be everything after all (see step 2)
+    let picked = only;
+
+    return async.waterfall([
+        //
+        // 1. Load the two-way sync state
+        //
+        function(cb) {
+            cb(syncRun.classify(twoWaySync.loadState(run), syncRun.ERROR_CONFIG));
+        },
+
+        //
+        // 2. Read My Movies.  A partial sync only has some of the changes, so can't
+        //    rebuild --output from --file: it reads and changes --output as the last
+        //    sync left it, or syncs everything if --file has changed since.
+        //
+        function(cb) {
+            let xml;
+
+            if (picked && run.writesMyMovies) {
+                try {
+                    xml = lastOutput(run);
+                } catch (e) {
+                    return cb(syncRun.classify(e.message, syncRun.ERROR_CONFIG));
+                }
+
+                if (!xml) {
+                    syncRun.log(run, `${options.file} changed since ${options.output} was written, ` +
+                        "so syncing everything...");
+
+                    picked = undefined;
+                }
+            }
+
+            if (!xml) {
+                run.outputOf = undefined;
+                run.fileVersion = fileVersion(options.file);
+            }
+
+            return syncRead.parseCollection(run, xml, cb);
+        },
+
+        //
+        // 3. Sync Movies, then TV
+        //
+        function(collection, cb) {
+            const types = [options.movies && syncRun.TYPE_MOVIES, options.tv && syncRun.TYPE_TV].filter(Boolean);
+
+            async.mapSeries(types, function(type, cbType) {
+                syncType(run, type, collection, picked, cbType);
+            }, cb);
+        },
+
+        //
+        // 4. Write the reports of all of the types (a user's are written with the other users')
+        //
+        function(changeSets, cb) {
+            if (run.user) {
+                return cb(null, changeSets);
+            }
+
+            return syncReconcile.writeReports(run, function(err) {
+                cb(err, changeSets);
+            });
+        },
+
+        //
+        // 5. Make the changes
+        //
+        function(changeSets, cb) {
+            syncApply.applyChangeSets(run, changeSets, cb);
+        }
+    ],
+    function(err, result) {
+        if (!err && !options.pretend && !options.plan) {
+            markSeen(run, result.notSet);
+        }
+
+        callback(err, result);
+    });
+}
+
+/**
+ * Gets the version of a file, to tell if it has changed
+ *
+ * @param {string} fileName File name
+ *
+ * @returns {string} Version (its modified time and size), or nothing if it can't be read
+ */
+function fileVersion(fileName) {
+    try {
+        const stat = fs.statSync(fileName);
+
+        return `${stat.mtimeMs}/${stat.size}`;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Reads the --output that this sync last wrote, if it's still of the current --file
+ *
+ * @param {object} run Run
+ *
+ * @returns {string} XML, or nothing if --output isn't of the current --file
+ */
+function lastOutput(run) {
+    if (!run.outputOf || run.outputOf !== fileVersion(run.options.file)) {
+        return undefined;
+    }
+
+    return fs.readFileSync(run.options.output, "utf-8");
+}
+
+/**
+ * Syncs each Plex Home or managed user in the --users file, with their own
+ * token, so their Plex watched status is their own.  Each user's summary
+ * sections are named after them.
+ *
+ * @param {object} run Run
+ * @param {function} callback Callback with the result ({ counts, timings, journals,
+ *   changed, notSet }), where journals are each user's journal file name
+ *
+ * @returns {undefined}
+ */
+function syncUsers(run, callback) {
+    const options = run.options;
+    const problem = validate(options, true);
+
+    if (problem) {
+        return callback(syncRun.classify(problem, syncRun.ERROR_CONFIG));
+    }
+
+    syncRun.startCommand(run, "sync", options.file);
+
+    let users;
+
+    try {
+        users = plexUsers.load(options.users);
+    } catch (e) {
+        return callback(syncRun.classify(`${options.users}: ${e.message}`, syncRun.ERROR_CONFIG));
+    }
+
+    let journals = {};
+    let changed = [];
+    let notSet = [];
+
+    return async.waterfall([
+        //
+        // 1. Find the Plex server, which each user's token is for
+        //
+        function(cb) {
+            syncUser.machineIdentifier(run, cb);
+        },
+
+        //
+        // 2. Sync each user
+        //
+        function(serverId, cb) {
+            async.eachSeries(users, function(user, cbUser) {
+                syncRun.log(run);
+                syncRun.log(run, `Syncing Plex Home user ${chalk.green(user.name)}...`);
+
+                syncUser.userToken(run, serverId, user, function(err, token) {
+                    if (err) {
+                        return cbUser(err);
+                    }
+
+                    let userRun = newRun(Object.assign({}, options, {
+                        token: token,
+                        client: undefined,
+                        file: user.file || options.file,
+                        users: undefined
+                    }), run.events);
+
+                    userRun.user = user.name;
+
+                    return syncAll(userRun, undefined, function(errSync, result) {
+                        Object.keys(userRun.sectionCounts).forEach(function(section) {
+                            run.sectionCounts[`${user.name}: ${section}`] = userRun.sectionCounts[section];
+                        });
+
+                        userRun.timings.forEach(function(timing) {
+                            run.timings.push({ name: `${user.name}: ${timing.name}`, ms: timing.ms });
+                        });
+
+                        run.reportItems = run.reportItems.concat(
+                            userRun.reportItems.map(item => Object.assign({ user: user.name }, item)));
+
+                        if (result) {
+                            journals[user.name] = result.journal;
+                            changed = changed.concat(
+                                result.changed.map(item => Object.assign({ user: user.name }, item)));
+                            notSet = notSet.concat(
+                                result.notSet.map(item => Object.assign({ user: user.name }, item)));
+                        }
+
+                        cbUser(errSync);
+                    });
+                });
+            }, cb);
+        },
+
+        //
+        // 3. Write the reports of all of the users
+        //
+        function(cb) {
+            syncReconcile.writeReports(run, cb);
+        }
+    ], function(err) {
+        callback(err, Object.assign(syncRun.runSummary(run), {
+            journals: journals,
+            changed: changed,
+            notSet: notSet
+        }));
+    });
+}
+
+/**
+ * Finds the changes to sync movies or TV
+ *
+ * @param {object} run Run
+ * @param {string} type movies or tv
+ * @param {object} collection Parsed My Movies collection
+ * @param {object} [only] Only sync some items (see syncAll)
+ * @param {function} callback Callback with the change set
+ */
+function syncType(run, type, collection, only, callback) {
+    async.waterfall([
+        function(cb) {
+            syncIndex.loadPlexIndex(run, type, cb);
+        },
+        function(index, cb) {
+            syncMatch.matchCollection(run, type, collection, index, cb);
+        },
+        function(matches, cb) {
+            syncReconcile.reconcile(run, matches, function(err) {
+                cb(err, matches);
+            });
+        },
+        function(matches, cb) {
+            updateCollections(run, matches, function(err) {
+                cb(err, matches);
+            });
+        },
+        function(matches, cb) {
+            syncChanges.findChanges(run, pickItems(run, matches, only), cb);
+        }
+    ],
+    callback);
+}
+
+/**
+ * Gets the key of a My Movies title or episode, and its state, to tell if it
+ * has changed since it was last synced
+ *
+ * @param {string} type movies or tv
+ * @param {object} matched Matched title or episode
+ *
+ * @returns {object} { key, state }
+ */
+function seenState(type, matched) {
+    const item = type === syncRun.TYPE_MOVIES ? matched.title : matched.episode;
+
+    return {
+        key: type === syncRun.TYPE_MOVIES ? item.imdb || item.id : syncState.episodeKey(item),
+        state: [item.watched, item.rating, item.owned].join("/")
+    };
+}
+
+/**
+ * Keeps the matched titles or episodes that a sync is for (see syncAll), and
+ * notes the state of those kept
+ *
+ * @param {object} run Run
+ * @param {object} matches Matches
+ * @param {object} [only] Only sync some items ({ onlyChanged, ratingKeys })
+ *
+ * @returns {object} Matches
+ */
+function pickItems(run, matches, only) {
+    const type = matches.type;
+    const seen = run.seen[type];
+    const ratingKeys = ((only && only.ratingKeys) || []).map(String);
+
+    const items = matches.items.filter(function(matched) {
+        const item = seenState(type, matched);
+
+        const plexKeys = type === syncRun.TYPE_MOVIES ?
+            ((matched.match && matched.match.items) || []).map(plexItem => plexItem.ratingKey) :
+            ((matched.found && matched.found.episodes) || []).map(plexEpisode => plexEpisode.key);
+
+        const picked = !only ||
+            (only.onlyChanged && seen[item.key] !== item.state) ||
+            plexKeys.some(key => ratingKeys.indexOf(String(key)) !== -1);
+
+        // only what's synced is seen, so what changed meanwhile is still synced next time
+        if (picked) {
+            run.nextSeen[type][item.key] = item.state;
+        }
+
+        return picked;
+    });
+
+    if (only) {
+        syncRun.log(run);
+        syncRun.log(run, `Syncing ${chalk.green(items.length)} of ${matches.items.length} ` +
+            `${type === syncRun.TYPE_MOVIES ? "titles" : "episodes"} that changed`);
+    }
+
+    return Object.assign({}, matches, { items: items });
+}
+
+/**
+ * Notes the state of the titles and episodes that were synced, except those
+ * that could not be, so they're tried again
+ *
+ * @param {object} run Run
+ * @param {object[]} notSet What could not be set
+ */
+function markSeen(run, notSet) {
+    notSet.forEach(function(item) {
+        if (item.type === "movie") {
+            delete run.nextSeen.movies[item.imdb || item.id];
+        } else {
+            delete run.nextSeen.tv[syncState.episodeKey(item)];
+        }
+    });
+
+    [syncRun.TYPE_MOVIES, syncRun.TYPE_TV].forEach(function(type) {
+        Object.assign(run.seen[type], run.nextSeen[type]);
+    });
+}
+
+/**
+ * Updates Plex collections from the --collections mapping
+ *
+ * @param {object} run Run
+ * @param {object} matches Movie matches
+ * @param {function} callback Callback
+ *
+ * @returns {undefined}
+ */
+function updateCollections(run, matches, callback) {
+    const options = run.options;
+
+    if (!options.collections || matches.type !== syncRun.TYPE_MOVIES) {
+        return callback();
+    }
+
+    syncRun.stage(run, "collections", matches.type);
+
+    syncRun.log(run);
+    syncRun.log(run, "Updating Plex collections...");
+
+    // Plex items wanted in each collection, by section
+    let wanted = {};
+
+    matches.items.forEach(function(matched) {
+        (matched.match.items || []).forEach(function(item) {
+            const sectionWanted = wanted[item.sectionKey] = wanted[item.sectionKey] || {};
+
+            matched.title.collections.forEach(function(name) {
+                sectionWanted[name] = sectionWanted[name] || [];
+
+                if (sectionWanted[name].indexOf(item.ratingKey) === -1) {
+                    sectionWanted[name].push(item.ratingKey);
+                }
+            });
+        });
+    });
+
+    let managed;
+
+    try {
+        managed = collections.loadManaged(options.managedCollections);
+    } catch (e) {
+        return callback(syncRun.classify(`${options.managedCollections}: ${e.message}`, syncRun.ERROR_CONFIG));
+    }
+
+    const sections = [...new Set(matches.index.items.map(item => item.sectionKey))].map(key => ({ key: key }));
+
+    const stopTimer = syncRun.startTimer(run, "Collections");
+
+    return async.waterfall([
+        function(cb) {
+            collections.loadExisting(run.client, sections, function(err, existing) {
+                cb(syncRun.classify(err, syncRun.ERROR_CONNECTION), existing);
+            });
+        },
+        function(existing, cb) {
+            const collectionChanges = collections.diff(wanted, existing, managed, options.pruneCollections);
+
+            if (!collectionChanges.length) {
+                syncRun.log(run, "\tAll collections are up to date");
+            }
+
+            collectionChanges.forEach(function(change) {
+                const sign = change.action === "remove" ? chalk.yellow("-") : chalk.green("+");
+
+                syncRun.log(run, `\t${sign} ${change.title}: ${change.items.length} items` +
+                    `${change.action === "create" ? " (new)" : ""}`);
+            });
+
+            if (options.pretend || options.plan || !collectionChanges.length) {
+                return cb();
+            }
+
+            return plexClient.query(run.client, "/", function(err, result) {
+                if (err) {
+                    return cb(syncRun.classify(err, syncRun.ERROR_CONNECTION));
+                }
+
+                return collections.apply(run.client, result.MediaContainer.machineIdentifier, collectionChanges,
+                    managed, function(errApply) {
+                        // save any collections that were created, even if others failed
+                        try {
+                            collections.saveManaged(options.managedCollections, managed);
+                        } catch (e) {
+                            return cb(errApply || e.message);
+                        }
+
+                        return cb(errApply);
+                    });
+            });
+        }
+    ], function(err) {
+        stopTimer();
+
+        callback(err);
+    });
+}
+
+//
+// Exports
+//
+module.exports = {
+    DIRECTION_MYMOVIES_TO_PLEX: DIRECTION_MYMOVIES_TO_PLEX,
+    DIRECTION_PLEX_TO_MYMOVIES: DIRECTION_PLEX_TO_MYMOVIES,
+    DIRECTION_TWO_WAY: DIRECTION_TWO_WAY,
+    DIRECTIONS: DIRECTIONS,
+    TYPE_MOVIES: syncRun.TYPE_MOVIES,
+    TYPE_TV: syncRun.TYPE_TV,
+    ERROR_CONFIG: syncRun.ERROR_CONFIG,
+    ERROR_CONNECTION: syncRun.ERROR_CONNECTION,
+    DEFAULTS: DEFAULTS,
+    validate: validate,
+    create: create
+};
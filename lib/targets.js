@@ -0,0 +1,87 @@
+//
+// Imports
+//
+const plexTarget = require("./plex-target");
+const embyTarget = require("./emby-target");
+const snapshotTarget = require("./snapshot-target");
+
+//
+// Constants
+//
+const TARGET_PLEX = "plex";
+const TARGET_JELLYFIN = "jellyfin";
+const TARGET_EMBY = "emby";
+
+const TARGETS = [TARGET_PLEX, TARGET_JELLYFIN, TARGET_EMBY];
+
+// names, for logging
+const LABELS = {
+    [TARGET_PLEX]: "Plex",
+    [TARGET_JELLYFIN]: "Jellyfin",
+    [TARGET_EMBY]: "Emby"
+};
+
+// options that only some targets support
+const FEATURES = {
+    ratings: [TARGET_PLEX],
+    collections: [TARGET_PLEX],
+    users: [TARGET_PLEX]
+};
+
+/**
+ * Whether a target supports a feature
+ *
+ * @param {string} name Target name
+ * @param {string} feature ratings, collections or users
+ *
+ * @returns {boolean} True if it does
+ */
+function supports(name, feature) {
+    return FEATURES[feature].indexOf(name) !== -1;
+}
+
+/**
+ * Creates the media server that's synced with.  Each target has:
+ *   label: its name, for logging
+ *   connect(callback): connects, with the server version
+ *   sections(callback): lists the library sections ({ key, title, type }), where
+ *     type is sections.TYPE_MOVIE or sections.TYPE_SHOW
+ *   loadMovies(sections, callback) and loadShows(sections, callback): load the
+ *     sections into a plex-index index, with the Plex item fields that are synced
+ *   readState(ratingKey, callback): reads an item's { watched, rating }, or
+ *     nothing if it's gone
+ *   setState(ratingKey, state, callback): sets an item's { watched, rating }
+ *     (only the fields given)
+ * The Plex target also has its PlexAPI client, for collections.  With
+ * plexSnapshot, the target's library is read from a snapshot file instead.
+ *
+ * @param {object} options { target, host, token, client, targetUser, plexSnapshot }
+ *
+ * @returns {object} Target
+ */
+function create(options) {
+    if (options.plexSnapshot) {
+        return snapshotTarget.create(options, LABELS[options.target]);
+    }
+
+    switch (options.target) {
+        case TARGET_JELLYFIN:
+            return embyTarget.create(options, LABELS[TARGET_JELLYFIN]);
+        case TARGET_EMBY:
+            return embyTarget.create(options, LABELS[TARGET_EMBY]);
+        default:
+            return plexTarget.create(options);
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    TARGET_PLEX: TARGET_PLEX,
+    TARGET_JELLYFIN: TARGET_JELLYFIN,
+    TARGET_EMBY: TARGET_EMBY,
+    TARGETS: TARGETS,
+    supports: supports,
+    create: create
+};
@@ -0,0 +1,108 @@
+//
+// Imports
+//
+const records = require("./source-records");
+
+/**
+ * Gets the external IDs of a Trakt movie or show
+ *
+ * @param {object} [ids] Trakt IDs
+ *
+ * @returns {object} { imdb, tmdb, tvdb }
+ */
+function externalIds(ids) {
+    ids = ids || {};
+
+    return {
+        imdb: records.parseId(ids.imdb),
+        tmdb: records.parseId(ids.tmdb),
+        tvdb: records.parseId(ids.tvdb)
+    };
+}
+
+/**
+ * Gets the rows of a Trakt export entry.  Entries can be from its watched
+ * movies and shows (watched-movies.json and watched-shows.json), its history
+ * (history.json) or its ratings (ratings-movies.json and ratings-episodes.json).
+ * A rating alone doesn't say whether it was watched, so its watched status is
+ * left undefined.
+ *
+ * @param {object} entry Entry
+ *
+ * @returns {object[]} Rows (see sourceRecords.toCollection)
+ */
+function entryRows(entry) {
+    const ratedOnly = typeof entry.rating === "number" && !entry.watched_at && !entry.plays;
+    const rating = typeof entry.rating === "number" ? entry.rating : undefined;
+
+    // a watched show, with each of its watched episodes
+    if (entry.show && Array.isArray(entry.seasons)) {
+        let rows = [];
+
+        entry.seasons.forEach(function(season) {
+            (season.episodes || []).forEach(function(episode) {
+                rows.push({
+                    series: entry.show.title,
+                    seriesIds: externalIds(entry.show.ids),
+                    season: season.number,
+                    episode: episode.number,
+                    watched: true
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    if (entry.show && entry.episode) {
+        return [{
+            series: entry.show.title,
+            seriesIds: externalIds(entry.show.ids),
+            season: entry.episode.season,
+            episode: entry.episode.number,
+            title: entry.episode.title,
+            watched: ratedOnly ? undefined : true,
+            rating: rating
+        }];
+    }
+
+    if (entry.movie) {
+        const ids = externalIds(entry.movie.ids);
+
+        return [{
+            title: entry.movie.title,
+            year: entry.movie.year,
+            imdb: ids.imdb,
+            tmdb: ids.tmdb,
+            watched: ratedOnly ? undefined : true,
+            rating: rating
+        }];
+    }
+
+    // ratings of whole shows and seasons aren't synced
+    return [];
+}
+
+/**
+ * Reads a Trakt export: one of its JSON files, or several of them as one list
+ *
+ * @param {string} text JSON
+ *
+ * @returns {object} Collection ({ titles, series })
+ */
+function parse(text) {
+    const entries = JSON.parse(text);
+
+    if (!Array.isArray(entries)) {
+        throw new Error("Trakt export must be a list of movies, shows, history or ratings");
+    }
+
+    return records.toCollection(entries.reduce((rows, entry) => rows.concat(entryRows(entry || {})), []));
+}
+
+//
+// Exports
+//
+module.exports = {
+    parse: parse
+};
@@ -0,0 +1,532 @@
+//
+// Imports
+//
+const EventEmitter = require("events");
+const fs = require("fs");
+const http = require("http");
+
+//
+// Constants
+//
+
+// how often Collection.xml is checked for changes (ms).  It's polled rather than
+// watched, as it's often on a network share that doesn't report changes.
+const POLL_INTERVAL = 5000;
+
+// default --listen host, so only this machine can reach the endpoint
+const DEFAULT_LISTEN_HOST = "127.0.0.1";
+
+// largest webhook request (Plex sends a thumbnail with some events)
+const MAX_BODY = 10 * 1024 * 1024;
+
+// recent scrobbles listed by the status endpoint
+const RECENT_SCROBBLES = 20;
+
+// the Plex webhook event for something being watched
+const EVENT_SCROBBLE = "media.scrobble";
+
+// directions that update My Movies, which webhooks are pushed back for
+const WRITES_MYMOVIES = ["plex-to-mymovies", "two-way"];
+
+/**
+ * Checks that the options can be used with --watch
+ *
+ * @param {object} options Options
+ * @param {boolean} syncing Whether the run syncs (rather than applying a plan,
+ *   rolling back or listing journals)
+ *
+ * @returns {string} Problem, if there is one
+ */
+function validate(options, syncing) {
+    if (!options.watch) {
+        return options.listen || options.scrobbleLog ? "--listen and --scrobble-log need --watch" : undefined;
+    }
+
+    if (!syncing || options.plan) {
+        return "--watch can't be used with --plan, --apply, --rollback or --journal-list";
+    }
+
+    if (options.users) {
+        return "--watch doesn't support --users";
+    }
+
+    // conflicts are only asked about in two-way syncs
+    if (options.interactive || (options.direction === "two-way" && options.conflict === "ask")) {
+        return "--watch can't ask questions, so doesn't support --interactive or --conflict ask";
+    }
+
+    if (isNaN(options.watchDebounce) || options.watchDebounce < 0) {
+        return "--watch-debounce must be 0 or more";
+    }
+
+    if (options.listen && !parseListen(options.listen)) {
+        return "--listen must be a port or host:port";
+    }
+
+    return undefined;
+}
+
+/**
+ * Parses a --listen address
+ *
+ * @param {string|number} listen Port or host:port
+ *
+ * @returns {object} { host, port }, or nothing if it isn't valid
+ */
+function parseListen(listen) {
+    const parts = /^(?:(.+):)?(\d+)$/.exec(String(listen));
+
+    if (!parts || Number(parts[2]) > 65535) {
+        return undefined;
+    }
+
+    return {
+        host: parts[1] || DEFAULT_LISTEN_HOST,
+        port: Number(parts[2])
+    };
+}
+
+/**
+ * Gets the Plex webhook payload from a request body.  Plex posts it as the
+ * "payload" field of a multipart form, but plain JSON is accepted too.
+ *
+ * @param {string} contentType Content-Type header
+ * @param {Buffer} body Request body
+ *
+ * @returns {object} Payload
+ */
+function webhookPayload(contentType, body) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+
+    if (!boundary) {
+        return JSON.parse(body.toString("utf8"));
+    }
+
+    // binary, so the thumbnail part doesn't get mangled
+    const parts = body.toString("binary").split(`--${boundary[1] || boundary[2]}`);
+
+    const payload = parts.find(part => /^\r\nContent-Disposition:[^\r]*\bname="payload"/i.test(part));
+
+    if (!payload) {
+        throw new Error("No payload field");
+    }
+
+    const value = payload.slice(payload.indexOf("\r\n\r\n") + 4).replace(/\r\n$/, "");
+
+    return JSON.parse(Buffer.from(value, "binary").toString("utf8"));
+}
+
+/**
+ * Gets the listing of a Plex scrobble
+ *
+ * @param {object} payload Webhook payload
+ *
+ * @returns {object} { at, account, server, ratingKey, type, title, series, season, episode }
+ */
+function scrobbleEntry(payload) {
+    const metadata = payload.Metadata || {};
+    const episode = metadata.type === "episode";
+
+    return {
+        at: new Date().toISOString(),
+        account: payload.Account && payload.Account.title,
+        server: payload.Server && payload.Server.title,
+        ratingKey: metadata.ratingKey,
+        type: metadata.type,
+        title: metadata.title,
+        series: episode ? metadata.grandparentTitle : undefined,
+        season: episode ? metadata.parentIndex : undefined,
+        episode: episode ? metadata.index : undefined
+    };
+}
+
+/**
+ * Gets the status of a finished run
+ *
+ * @param {Error} err Error
+ * @param {object} summary Run summary ({ counts })
+ *
+ * @returns {string} success, partial or error
+ */
+function runStatus(err, summary) {
+    if (err) {
+        return "error";
+    }
+
+    const failed = Object.keys(summary.counts).some(section => summary.counts[section].failed > 0);
+
+    return failed ? "partial" : "success";
+}
+
+/**
+ * Merges what a run is for with what another is
+ *
+ * @param {object} [only] What a run is for (see sync.sync), or nothing for everything
+ * @param {object} [other] What the other run is for
+ *
+ * @returns {object} What both are for
+ */
+function mergeOnly(only, other) {
+    if (!only || !other) {
+        return undefined;
+    }
+
+    return {
+        onlyChanged: Boolean(only.onlyChanged || other.onlyChanged),
+        ratingKeys: (only.ratingKeys || []).concat(other.ratingKeys || [])
+    };
+}
+
+/**
+ * Watches My Movies' Collection.xml, re-syncing whatever changed in it, after
+ * a full sync to start with.  With --listen, Plex webhooks' scrobbles are
+ * recorded (and synced back to My Movies, for the directions that update it),
+ * and the last run's result is at GET /status.  Only one sync runs at a time;
+ * changes during one are synced after it.
+ *
+ * Emits:
+ *   log (message, level): what the watcher is doing, where level is info or error
+ *   run (reason): the start of each sync
+ *   done (err, result, lastRun): the end of each sync (see status)
+ *   scrobble (entry): each Plex scrobble received
+ *
+ * @param {object} sync Sync (see sync.create), made with the same options
+ * @param {object} options { file, direction, watchDebounce (seconds), listen, scrobbleLog }
+ *
+ * @returns {EventEmitter} Watcher, with start(), status() and close(callback)
+ */
+function create(sync, options) {
+    const events = new EventEmitter();
+    const debounce = (options.watchDebounce || 0) * 1000;
+    const listen = options.listen ? parseListen(options.listen) : null;
+    const pushBack = WRITES_MYMOVIES.indexOf(options.direction) !== -1;
+
+    let watcher = {
+        startedAt: null,
+        running: null,
+        // the next sync's reasons and what it's for, once something changed
+        pending: null,
+        timer: null,
+        runs: 0,
+        lastRun: null,
+        scrobbles: [],
+        server: null,
+        closing: null
+    };
+
+    /**
+     * Logs a message
+     *
+     * @param {string} message Message
+     * @param {string} [level] info or error
+     */
+    function log(message, level) {
+        events.emit("log", message, level || "info");
+    }
+
+    /**
+     * Runs the pending sync, unless one is running (it's run after)
+     *
+     * @returns {undefined}
+     */
+    function runPending() {
+        watcher.timer = null;
+
+        if (watcher.running || !watcher.pending || watcher.closing) {
+            return undefined;
+        }
+
+        const next = watcher.pending;
+
+        watcher.pending = null;
+        watcher.running = {
+            reason: next.reasons.join(", "),
+            started: new Date().toISOString()
+        };
+        watcher.runs++;
+
+        events.emit("run", watcher.running.reason);
+
+        sync.sync(next.only).then(result => finished(null, result), err => finished(err, {}));
+
+        return undefined;
+    }
+
+    /**
+     * Notes the result of a sync, and runs the next one, if anything changed
+     * since it started
+     *
+     * @param {Error} err Error
+     * @param {object} result Result ({ changed, notSet })
+     *
+     * @returns {undefined}
+     */
+    function finished(err, result) {
+        const summary = sync.summary();
+        const notSet = result.notSet || [];
+
+        watcher.lastRun = Object.assign({}, watcher.running, {
+            finished: new Date().toISOString(),
+            status: runStatus(err, summary),
+            error: err ? { kind: err.kind || null, message: err.message } : null,
+            counts: summary.counts,
+            changed: (result.changed || []).length,
+            unmatched: notSet.filter(item => item.status === "unmatched").length,
+            skipped: notSet.filter(item => item.status === "skipped").length,
+            failed: notSet.filter(item => item.status === "failed").length,
+            journal: summary.journal || null
+        });
+        watcher.running = null;
+
+        events.emit("done", err, result, watcher.lastRun);
+
+        if (watcher.closing) {
+            return watcher.closing();
+        }
+
+        if (watcher.pending && !watcher.timer) {
+            runPending();
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Schedules a sync, once things have been quiet for the debounce time
+     *
+     * @param {string} reason Why
+     * @param {object} [only] What it's for (see sync.sync), or nothing for everything
+     */
+    function schedule(reason, only) {
+        if (watcher.pending) {
+            if (watcher.pending.reasons.indexOf(reason) === -1) {
+                watcher.pending.reasons.push(reason);
+            }
+
+            watcher.pending.only = mergeOnly(watcher.pending.only, only);
+        } else {
+            watcher.pending = {
+                reasons: [reason],
+                only: only
+            };
+        }
+
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(runPending, debounce);
+    }
+
+    /**
+     * Notes a Collection.xml change
+     *
+     * @param {fs.Stats} current Current stats
+     * @param {fs.Stats} previous Previous stats
+     *
+     * @returns {undefined}
+     */
+    function fileChanged(current, previous) {
+        if (current.mtime.getTime() === previous.mtime.getTime()) {
+            return undefined;
+        }
+
+        if (!current.mtime.getTime()) {
+            return log(`${options.file} is gone, waiting for it to come back`, "error");
+        }
+
+        log(`${options.file} changed`);
+
+        return schedule("file changed", { onlyChanged: true });
+    }
+
+    /**
+     * Records a Plex scrobble, and syncs it back to My Movies if the direction
+     * updates it
+     *
+     * @param {object} payload Webhook payload
+     */
+    function scrobbled(payload) {
+        const entry = scrobbleEntry(payload);
+
+        watcher.scrobbles.unshift(entry);
+        watcher.scrobbles.length = Math.min(watcher.scrobbles.length, RECENT_SCROBBLES);
+
+        events.emit("scrobble", entry);
+
+        if (options.scrobbleLog) {
+            fs.appendFile(options.scrobbleLog, JSON.stringify(entry) + "\n", function(err) {
+                if (err) {
+                    log(`Could not write to ${options.scrobbleLog}: ${err.message}`, "error");
+                }
+            });
+        }
+
+        if (pushBack && entry.ratingKey) {
+            schedule("Plex scrobble", { ratingKeys: [entry.ratingKey] });
+        }
+    }
+
+    /**
+     * Answers a request with JSON
+     *
+     * @param {http.ServerResponse} res Response
+     * @param {number} statusCode Status code
+     * @param {object} body Body
+     */
+    function reply(res, statusCode, body) {
+        res.writeHead(statusCode, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body, null, 2) + "\n");
+    }
+
+    /**
+     * Handles a request to the endpoint: POST /webhook for Plex webhooks, and
+     * GET /status for the status
+     *
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     *
+     * @returns {undefined}
+     */
+    function handle(req, res) {
+        const path = req.url.split("?")[0];
+
+        if (req.method === "GET" && path === "/status") {
+            return reply(res, 200, events.status());
+        }
+
+        if (req.method !== "POST" || path !== "/webhook") {
+            return reply(res, 404, { error: "Use POST /webhook or GET /status" });
+        }
+
+        let chunks = [];
+        let size = 0;
+
+        req.on("data", function(chunk) {
+            size += chunk.length;
+
+            if (size > MAX_BODY) {
+                reply(res, 413, { error: "Too large" });
+                req.destroy();
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+
+        return req.on("end", function() {
+            let payload;
+
+            try {
+                payload = webhookPayload(req.headers["content-type"], Buffer.concat(chunks));
+            } catch (e) {
+                return reply(res, 400, { error: `Invalid webhook: ${e.message}` });
+            }
+
+            if (payload.event === EVENT_SCROBBLE) {
+                scrobbled(payload);
+            }
+
+            return reply(res, 200, { ok: true });
+        });
+    }
+
+    /**
+     * Starts watching (and listening), with a full sync
+     *
+     * @param {function} callback Callback once listening (or straight away, without --listen)
+     *
+     * @returns {undefined}
+     */
+    events.start = function(callback) {
+        watcher.startedAt = new Date().toISOString();
+
+        fs.watchFile(options.file, { interval: POLL_INTERVAL }, fileChanged);
+
+        log(`Watching ${options.file}`);
+
+        // a full sync first, which notes the state of everything
+        watcher.pending = {
+            reasons: ["start"],
+            only: undefined
+        };
+
+        runPending();
+
+        if (!listen) {
+            return callback();
+        }
+
+        watcher.server = http.createServer(handle);
+
+        watcher.server.on("error", function(err) {
+            log(`Could not listen on ${listen.host}:${listen.port}: ${err.message}`, "error");
+            callback(err);
+        });
+
+        return watcher.server.listen(listen.port, listen.host, function() {
+            log(`Listening on http://${listen.host}:${listen.port} (POST /webhook, GET /status)`);
+            callback();
+        });
+    };
+
+    /**
+     * Gets the watcher's status
+     *
+     * @returns {object} { watching, startedAt, runs, running, pending, lastRun, scrobbles },
+     *   where lastRun is { reason, started, finished, status, error, counts, changed,
+     *   unmatched, skipped, failed, journal }
+     */
+    events.status = function() {
+        return {
+            watching: options.file,
+            direction: options.direction,
+            startedAt: watcher.startedAt,
+            runs: watcher.runs,
+            running: watcher.running,
+            pending: watcher.pending ? watcher.pending.reasons : null,
+            lastRun: watcher.lastRun,
+            scrobbles: watcher.scrobbles
+        };
+    };
+
+    /**
+     * Stops watching (and listening), once any running sync finishes
+     *
+     * @param {function} callback Callback
+     */
+    events.close = function(callback) {
+        fs.unwatchFile(options.file, fileChanged);
+        clearTimeout(watcher.timer);
+
+        let waiting = 1;
+
+        watcher.closing = function() {
+            if (--waiting === 0) {
+                callback();
+            }
+        };
+
+        if (watcher.server) {
+            waiting++;
+            watcher.server.close(watcher.closing);
+        }
+
+        if (watcher.running) {
+            log("Waiting for the running sync to finish");
+        } else {
+            watcher.closing();
+        }
+    };
+
+    return events;
+}
+
+//
+// Exports
+//
+module.exports = {
+    validate: validate,
+    parseListen: parseListen,
+    webhookPayload: webhookPayload,
+    scrobbleEntry: scrobbleEntry,
+    mergeOnly: mergeOnly,
+    create: create
+};
@@ -0,0 +1,85 @@
+//
+// Imports
+//
+const assert = require("assert");
+const embyClient = require("../lib/emby-client");
+const plexClient = require("../lib/plex-client");
+const fakeEmby = require("./helpers/fake-emby");
+
+//
+// Constants
+//
+const LIBRARY = {
+    token: "abc",
+    users: [{ Id: "u1", Name: "Alice" }],
+    views: [],
+    items: ["1", "2", "3", "4", "5"].map(id => ({ Id: id, Type: "Movie", ParentId: "lib", Name: `Movie ${id}` }))
+};
+
+describe("emby-client", function() {
+    describe("create()", function() {
+        it("should default to http on Jellyfin's port", function() {
+            const client = embyClient.create("jellyfin", "abc");
+
+            assert.strictEqual(client.protocol, "http:");
+            assert.strictEqual(client.hostname, "jellyfin");
+            assert.strictEqual(client.port, 8096);
+            assert.strictEqual(client.basePath, "");
+        });
+
+        it("should keep the scheme, port and base path", function() {
+            const client = embyClient.create("https://example.com/emby/", "abc");
+
+            assert.strictEqual(client.protocol, "https:");
+            assert.strictEqual(client.port, 443);
+            assert.strictEqual(client.basePath, "/emby");
+            assert.strictEqual(embyClient.create("https://example.com:8920", "abc").port, "8920");
+        });
+    });
+
+    describe("query()", function() {
+        let server;
+
+        beforeEach(function(done) {
+            fakeEmby.start(LIBRARY, function(err, started) {
+                server = started;
+                done(err);
+            });
+        });
+
+        afterEach(function(done) {
+            server.close(done);
+        });
+
+        it("should send the token", function(done) {
+            embyClient.query(embyClient.create(server.host, "abc"), "/System/Info", function(err, info) {
+                assert.ifError(err);
+                assert.strictEqual(info.Version, "10.8.0");
+
+                done();
+            });
+        });
+
+        it("should report HTTP errors like plex-api, without retrying client errors", function(done) {
+            embyClient.query(embyClient.create(server.host, "abc"), "/Users/u1/Items/9", function(err) {
+                assert.ok(plexClient.isNotFound(err));
+                assert.deepStrictEqual(server.requests, ["GET /Users/u1/Items/9"]);
+
+                done();
+            });
+        });
+
+        it("should list every item, a page at a time", function(done) {
+            server.pageSize = 2;
+
+            embyClient.queryAll(embyClient.create(server.host, "abc"),
+                "/Users/u1/Items?ParentId=lib&IncludeItemTypes=Movie", function(err, items) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(items.map(item => item.Id), ["1", "2", "3", "4", "5"]);
+                    assert.strictEqual(server.requests.length, 3);
+
+                    done();
+                });
+        });
+    });
+});
@@ -0,0 +1,191 @@
+//
+// Imports
+//
+const assert = require("assert");
+const embyTarget = require("../lib/emby-target");
+const plexIndex = require("../lib/plex-index");
+const fakeEmby = require("./helpers/fake-emby");
+
+//
+// Constants
+//
+const LIBRARY = {
+    token: "abc",
+    users: [{ Id: "u1", Name: "Alice" }, { Id: "u2", Name: "Bob" }],
+    views: [
+        { Id: "lib1", Name: "Movies", CollectionType: "movies" },
+        { Id: "lib2", Name: "Shows", CollectionType: "tvshows" },
+        { Id: "lib3", Name: "Music", CollectionType: "music" }
+    ],
+    items: [
+        {
+            Id: "m1", Type: "Movie", ParentId: "lib1", Name: "The Matrix", ProductionYear: 1999,
+            ProviderIds: { Imdb: "tt0133093", Tmdb: 603 }
+        },
+        { Id: "s1", Type: "Series", ParentId: "lib2", Name: "Lost", ProviderIds: { Tvdb: "73739" } },
+        {
+            Id: "e1", Type: "Episode", ParentId: "lib2", SeriesId: "s1", Name: "Pilot",
+            ParentIndexNumber: 1, IndexNumber: 1, IndexNumberEnd: 2
+        },
+        {
+            Id: "e3", Type: "Episode", ParentId: "lib2", SeriesId: "s1", Name: "Tabula Rasa",
+            ParentIndexNumber: 1, IndexNumber: 3
+        }
+    ]
+};
+
+describe("emby-target", function() {
+    let server;
+
+    beforeEach(function(done) {
+        fakeEmby.start(LIBRARY, function(err, started) {
+            server = started;
+            done(err);
+        });
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    /**
+     * Creates a connected target for the fake server
+     *
+     * @param {object} [options] Options
+     * @param {function} callback Callback with the target
+     */
+    function connect(options, callback) {
+        const target = embyTarget.create(Object.assign({ host: server.host, token: "abc" }, options), "Jellyfin");
+
+        target.connect(function(err, version) {
+            assert.ifError(err);
+            assert.strictEqual(version, "10.8.0");
+
+            callback(target);
+        });
+    }
+
+    describe("connect()", function() {
+        it("should find the --target-user, by name", function(done) {
+            connect({ targetUser: "bob" }, function(target) {
+                target.setState("m1", { watched: true }, function(err) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(server.played, { u1: [], u2: ["m1"] });
+
+                    done();
+                });
+            });
+        });
+
+        it("should be a config error for an unknown --target-user", function(done) {
+            embyTarget.create({ host: server.host, token: "abc", targetUser: "carol" }, "Jellyfin")
+                .connect(function(err) {
+                    assert.strictEqual(err.kind, "config");
+                    assert.ok(/No Jellyfin user "carol" \(users: Alice, Bob\)/.test(err.message));
+
+                    done();
+                });
+        });
+    });
+
+    describe("sections()", function() {
+        it("should list libraries as sections", function(done) {
+            connect({}, function(target) {
+                target.sections(function(err, sections) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(sections, [
+                        { key: "lib1", title: "Movies", type: "movie" },
+                        { key: "lib2", title: "Shows", type: "show" },
+                        { key: "lib3", title: "Music", type: "music" }
+                    ]);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe("loadMovies()", function() {
+        it("should index movies by their provider IDs", function(done) {
+            server.played.u1.push("m1");
+
+            connect({}, function(target) {
+                target.loadMovies([{ key: "lib1", title: "Movies" }], function(err, index) {
+                    assert.ifError(err);
+
+                    const found = plexIndex.find(index, "tmdb", "603");
+
+                    assert.strictEqual(found.length, 1);
+                    assert.strictEqual(found[0].ratingKey, "m1");
+                    assert.strictEqual(found[0].viewCount, 1);
+                    assert.deepStrictEqual(found[0].ids, { imdb: "tt0133093", tmdb: "603" });
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe("loadShows()", function() {
+        it("should list multi-episode files under each of their numbers", function(done) {
+            connect({}, function(target) {
+                target.loadShows([{ key: "lib2", title: "Shows" }], function(err, index) {
+                    assert.ifError(err);
+
+                    const season = index.byTitle.Lost.seasons[1];
+
+                    assert.deepStrictEqual(Array.from(season, episode => episode && episode.key),
+                        [undefined, "e1", "e1", "e3"]);
+                    assert.strictEqual(season[1].last, 2);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe("readState()", function() {
+        it("should be nothing for a missing item", function(done) {
+            connect({}, function(target) {
+                target.readState("gone", function(err, state) {
+                    assert.ifError(err);
+                    assert.strictEqual(state, undefined);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    describe("setState()", function() {
+        it("should mark items played and unplayed", function(done) {
+            connect({}, function(target) {
+                target.setState("m1", { watched: true }, function(err) {
+                    assert.ifError(err);
+
+                    target.readState("m1", function(errRead, state) {
+                        assert.ifError(errRead);
+                        assert.deepStrictEqual(state, { watched: true, rating: null });
+
+                        target.setState("m1", { watched: false }, function(errUnset) {
+                            assert.ifError(errUnset);
+                            assert.deepStrictEqual(server.played.u1, []);
+
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it("should not set ratings", function(done) {
+            connect({}, function(target) {
+                target.setState("m1", { rating: 8 }, function(err) {
+                    assert.ok(/Jellyfin ratings can't be set/.test(err.message));
+
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,193 @@
+//
+// Imports
+//
+const assert = require("assert");
+const episodeMatch = require("../lib/episode-match");
+
+//
+// Constants
+//
+const OPTIONS = { threshold: 0.8 };
+
+/**
+ * Creates a Plex episode, as plex-index lists them
+ *
+ * @param {number} season Season number
+ * @param {number} index Episode number
+ * @param {string} title Title
+ *
+ * @returns {object} Plex episode
+ */
+function plexEpisode(season, index, title) {
+    return { key: `${season}-${index}`, season: season, index: index, title: title };
+}
+
+/**
+ * Creates a Plex series from its episodes
+ *
+ * @param {object[]} episodes Plex episodes
+ *
+ * @returns {object} Plex series
+ */
+function plexShow(episodes) {
+    let seasons = [];
+
+    episodes.forEach(function(episode) {
+        seasons[episode.season] = seasons[episode.season] || [];
+        seasons[episode.season][episode.index] = episode;
+    });
+
+    return { title: "Show", seasons: seasons };
+}
+
+// in aired order
+const AIRED = plexShow([
+    plexEpisode(0, 1, "Behind the Scenes"),
+    plexEpisode(1, 1, "Pilot"),
+    plexEpisode(1, 2, "The Second One"),
+    plexEpisode(2, 1, "A New Season")
+]);
+
+// in absolute order, as one long season
+const ABSOLUTE = plexShow([
+    plexEpisode(0, 1, "Behind the Scenes"),
+    plexEpisode(1, 1, "Pilot"),
+    plexEpisode(1, 2, "The Second One"),
+    plexEpisode(1, 3, "A New Season")
+]);
+
+describe("episode-match", function() {
+    describe("parseSeason()", function() {
+        it("should parse a season number", function() {
+            assert.strictEqual(episodeMatch.parseSeason("2"), 2);
+            assert.strictEqual(episodeMatch.parseSeason("0"), 0);
+        });
+
+        it("should make specials without a number season 0", function() {
+            assert.strictEqual(episodeMatch.parseSeason(""), 0);
+            assert.strictEqual(episodeMatch.parseSeason(undefined), 0);
+            assert.strictEqual(episodeMatch.parseSeason("Specials"), 0);
+        });
+    });
+
+    describe("parseNumbers()", function() {
+        it("should parse a single episode", function() {
+            assert.deepStrictEqual(episodeMatch.parseNumbers("3"), [3]);
+        });
+
+        it("should parse a range", function() {
+            assert.deepStrictEqual(episodeMatch.parseNumbers("1-2"), [1, 2]);
+            assert.deepStrictEqual(episodeMatch.parseNumbers("E01-E03"), [1, 2, 3]);
+            assert.deepStrictEqual(episodeMatch.parseNumbers("1 – 2"), [1, 2]);
+        });
+
+        it("should parse a list", function() {
+            assert.deepStrictEqual(episodeMatch.parseNumbers("1,2"), [1, 2]);
+            assert.deepStrictEqual(episodeMatch.parseNumbers("1-2, 4"), [1, 2, 4]);
+        });
+
+        it("should be empty without a number", function() {
+            assert.deepStrictEqual(episodeMatch.parseNumbers(""), []);
+            assert.deepStrictEqual(episodeMatch.parseNumbers(undefined), []);
+            assert.deepStrictEqual(episodeMatch.parseNumbers("Special"), []);
+        });
+    });
+
+    describe("absoluteNumbers()", function() {
+        it("should count on from each season, without specials", function() {
+            const special = { seasonNumber: 0, numbers: [1] };
+            const first = { seasonNumber: 1, numbers: [1, 2] };
+            const second = { seasonNumber: 2, numbers: [1] };
+
+            const absolute = episodeMatch.absoluteNumbers([second, special, first]);
+
+            assert.deepStrictEqual(absolute.get(first), [1, 2]);
+            assert.deepStrictEqual(absolute.get(second), [3]);
+            assert.strictEqual(absolute.has(special), false);
+        });
+    });
+
+    describe("find()", function() {
+        describe("aired order", function() {
+            const options = Object.assign({ order: episodeMatch.ORDER_AIRED }, OPTIONS);
+
+            it("should match by season and episode number", function() {
+                const found = episodeMatch.find({ seasonNumber: 1, numbers: [2], title: "The Second One" },
+                    AIRED, options);
+
+                assert.deepStrictEqual(found, { episodes: [AIRED.seasons[1][2]], method: "number" });
+            });
+
+            it("should match each episode of a range", function() {
+                const found = episodeMatch.find({ seasonNumber: 1, numbers: [1, 2] }, AIRED, options);
+
+                assert.deepStrictEqual(found.episodes, [AIRED.seasons[1][1], AIRED.seasons[1][2]]);
+            });
+
+            it("should match specials in season 0", function() {
+                const found = episodeMatch.find({ seasonNumber: 0, numbers: [1], title: "Behind the Scenes" },
+                    AIRED, options);
+
+                assert.deepStrictEqual(found.episodes, [AIRED.seasons[0][1]]);
+            });
+
+            it("should use the title when the numbered episode's title differs", function() {
+                const found = episodeMatch.find({ seasonNumber: 1, numbers: [1], title: "The Second One" },
+                    AIRED, options);
+
+                assert.deepStrictEqual(found, {
+                    episodes: [AIRED.seasons[1][2]],
+                    method: "title",
+                    warning: "numbers point to S01E01 \"Pilot\""
+                });
+            });
+
+            it("should use the title when the numbers don't match anything", function() {
+                const found = episodeMatch.find({ seasonNumber: 3, numbers: [1], title: "A New Season" },
+                    AIRED, options);
+
+                assert.deepStrictEqual(found, { episodes: [AIRED.seasons[2][1]], method: "title" });
+            });
+
+            it("should find nothing when neither the numbers nor the title match", function() {
+                const found = episodeMatch.find({ seasonNumber: 3, numbers: [1], title: "Unknown" }, AIRED, options);
+
+                assert.deepStrictEqual(found, { episodes: [] });
+            });
+        });
+
+        describe("absolute order", function() {
+            const options = Object.assign({ order: episodeMatch.ORDER_ABSOLUTE }, OPTIONS);
+
+            it("should match the absolute number in Plex's one season", function() {
+                const found = episodeMatch.find({ seasonNumber: 2, numbers: [1], title: "A New Season" },
+                    ABSOLUTE, Object.assign({ absolute: [3] }, options));
+
+                assert.deepStrictEqual(found, { episodes: [ABSOLUTE.seasons[1][3]], method: "number" });
+            });
+
+            it("should match specials by their own number", function() {
+                const found = episodeMatch.find({ seasonNumber: 0, numbers: [1], title: "Behind the Scenes" },
+                    ABSOLUTE, options);
+
+                assert.deepStrictEqual(found.episodes, [ABSOLUTE.seasons[0][1]]);
+            });
+        });
+
+        describe("title order", function() {
+            const options = Object.assign({ order: episodeMatch.ORDER_TITLE }, OPTIONS);
+
+            it("should match by title, ignoring the numbers", function() {
+                const found = episodeMatch.find({ seasonNumber: 1, numbers: [1], title: "A New Season" },
+                    AIRED, options);
+
+                assert.deepStrictEqual(found, { episodes: [AIRED.seasons[2][1]], method: "title" });
+            });
+
+            it("should find nothing without a title", function() {
+                assert.deepStrictEqual(episodeMatch.find({ seasonNumber: 1, numbers: [1] }, AIRED, options),
+                    { episodes: [] });
+            });
+        });
+    });
+});
@@ -0,0 +1,47 @@
+//
+// Imports
+//
+const assert = require("assert");
+const genericSource = require("../lib/generic-source");
+
+describe("generic-source", function() {
+    describe("parseCsv()", function() {
+        it("should read movies and episodes, by any of their column headings", function() {
+            const collection = genericSource.parseCsv("IMDB ID,Name,Year,Show,Season,Episode,Watched,Rating\n" +
+                "tt0133093,The Matrix,1999,,,,yes,8\n" +
+                "tt0078748,Alien,1979,,,,no,\n" +
+                "tt0411008,Pilot,,Lost,1,1,,9\n");
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.imdb, title.title, title.year, title.watched]),
+                [["tt0133093", "The Matrix", 1999, true], ["tt0078748", "Alien", 1979, false]]);
+            assert.deepStrictEqual(collection.series[0].ids, { imdb: "tt0411008" });
+            assert.deepStrictEqual(collection.series[0].episodes.map(episode =>
+                [episode.season, episode.episode, episode.watched, episode.rating]), [["1", "1", true, 9]]);
+        });
+
+        it("should need a title or ID for each movie", function() {
+            assert.throws(() => genericSource.parseCsv("Year,Watched\n1999,yes\n"),
+                /Row 1 needs a title, imdb or tmdb/);
+        });
+
+        it("should need a series for each episode", function() {
+            assert.throws(() => genericSource.parseCsv("Title,Season,Episode\nPilot,1,1\n"), /Row 1 needs a series/);
+        });
+    });
+
+    describe("parseJson()", function() {
+        it("should read a list of objects", function() {
+            const collection = genericSource.parseJson(JSON.stringify([
+                { tmdb: 603, title: "The Matrix", watched: false },
+                { series: "Lost", season: 1, episode: 2, tvdb: 73739, watched: true }
+            ]));
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.id, title.watched]), [["tmdb:603", false]]);
+            assert.deepStrictEqual(collection.series[0].ids, { tvdb: "73739" });
+        });
+
+        it("should need a list", function() {
+            assert.throws(() => genericSource.parseJson("{}"), /must be a list/);
+        });
+    });
+});
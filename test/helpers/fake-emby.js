@@ -0,0 +1,141 @@
+//
+// Imports
+//
+const http = require("http");
+const url = require("url");
+
+/**
+ * Starts an HTTP server standing in for Jellyfin or Emby, serving a library
+ * for one token.  Items are { Id, Type, ParentId, Name, ... } as the server
+ * lists them, and played state is per user.
+ *
+ * @param {object} library { token, users, views, items }
+ * @param {function} callback Callback with the server, plus host (host:port),
+ *   played (played item IDs, by user ID), requests ("METHOD path" of each
+ *   request) and pageSize (items per page it sends, at most)
+ */
+function start(library, callback) {
+    let server = http.createServer(handle);
+
+    server.played = {};
+    server.requests = [];
+    server.pageSize = Infinity;
+
+    library.users.forEach(function(user) {
+        server.played[user.Id] = [];
+    });
+
+    server.listen(0, "127.0.0.1", function() {
+        server.host = `127.0.0.1:${server.address().port}`;
+
+        callback(null, server);
+    });
+
+    /**
+     * Answers a request with JSON
+     *
+     * @param {http.ServerResponse} res Response
+     * @param {number} statusCode Status code
+     * @param {object} [body] Body
+     */
+    function reply(res, statusCode, body) {
+        res.writeHead(statusCode, { "Content-Type": "application/json" });
+        res.end(typeof body === "undefined" ? "" : JSON.stringify(body));
+    }
+
+    /**
+     * Gets an item with a user's data
+     *
+     * @param {object} item Item
+     * @param {string} userId User ID
+     *
+     * @returns {object} Item
+     */
+    function withUserData(item, userId) {
+        return Object.assign({}, item, {
+            UserData: { Played: server.played[userId].indexOf(item.Id) !== -1 }
+        });
+    }
+
+    /**
+     * Handles a request
+     *
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     *
+     * @returns {undefined}
+     */
+    function handle(req, res) {
+        const parsed = url.parse(req.url, true);
+        const path = parsed.pathname;
+        const query = parsed.query;
+
+        server.requests.push(`${req.method} ${req.url}`);
+
+        if (req.headers["x-emby-token"] !== library.token) {
+            return reply(res, 401);
+        }
+
+        if (path === "/System/Info") {
+            return reply(res, 200, { Version: "10.8.0" });
+        }
+
+        if (path === "/Users") {
+            return reply(res, 200, library.users);
+        }
+
+        if (path === "/Users/Me") {
+            return reply(res, 200, library.users[0]);
+        }
+
+        let match = /^\/Users\/([^/]+)\/(Views|Items|PlayedItems)(?:\/([^/]+))?$/.exec(path);
+
+        if (!match || !server.played[match[1]]) {
+            return reply(res, 404);
+        }
+
+        const userId = match[1];
+
+        if (match[2] === "Views") {
+            return reply(res, 200, { Items: library.views });
+        }
+
+        if (match[2] === "PlayedItems") {
+            if (!library.items.some(item => item.Id === match[3])) {
+                return reply(res, 404);
+            }
+
+            server.played[userId] = server.played[userId].filter(id => id !== match[3]);
+
+            if (req.method === "POST") {
+                server.played[userId].push(match[3]);
+            }
+
+            return reply(res, 200, {});
+        }
+
+        if (match[3]) {
+            const item = library.items.find(one => one.Id === match[3]);
+
+            return item ? reply(res, 200, withUserData(item, userId)) : reply(res, 404);
+        }
+
+        const listed = library.items.filter(item => item.ParentId === query.ParentId &&
+            query.IncludeItemTypes.split(",").indexOf(item.Type) !== -1);
+
+        const first = Number(query.StartIndex) || 0;
+
+        return reply(res, 200, {
+            Items: listed.slice(first, first + Math.min(Number(query.Limit) || Infinity, server.pageSize))
+                .map(item => withUserData(item, userId)),
+            TotalRecordCount: listed.length
+        });
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    start: start
+};
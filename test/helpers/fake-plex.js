@@ -0,0 +1,131 @@
+//
+// Imports
+//
+const url = require("url");
+
+/**
+ * Gets the error plex-api rejects with for an HTTP status code
+ *
+ * @param {number} code Status code
+ *
+ * @returns {Error} Error
+ */
+function statusError(code) {
+    return new Error(`Plex Server didnt respond with a valid 2xx status code, response code: ${code}`);
+}
+
+/**
+ * Creates an in-memory stand-in for a plex-api client, serving the sections
+ * and items of a library.  Each item is { ratingKey, sectionKey, type, ... }
+ * as Plex lists it.
+ *
+ * @param {object} library { sections, items }
+ *
+ * @returns {object} Client, plus items (by ratingKey), failKeys (rating keys
+ *   whose changes fail), readErrors and writeErrors (status codes reading or
+ *   changing rating keys fails with, by rating key) and requests (the URIs
+ *   queried)
+ */
+function create(library) {
+    let client = {
+        items: {},
+        failKeys: [],
+        readErrors: {},
+        writeErrors: {},
+        requests: []
+    };
+
+    library.items.forEach(function(item) {
+        client.items[item.ratingKey] = Object.assign({}, item);
+    });
+
+    client.query = function(uri) {
+        client.requests.push(uri);
+
+        return new Promise(function(resolve, reject) {
+            const result = respond(uri);
+
+            return typeof result === "number" ? reject(statusError(result)) : resolve(result);
+        });
+    };
+
+    client.postQuery = client.putQuery = client.deleteQuery = client.query;
+
+    return client;
+
+    /**
+     * Answers a query
+     *
+     * @param {string} uri URI
+     *
+     * @returns {object|number} Result, or the status code it fails with
+     */
+    function respond(uri) {
+        const parsed = url.parse(uri, true);
+        const path = parsed.pathname;
+        const query = parsed.query;
+        const items = Object.keys(client.items).map(ratingKey => client.items[ratingKey]);
+
+        if (path === "/") {
+            return { MediaContainer: { version: "1.0.0-test", machineIdentifier: "test-server" } };
+        }
+
+        if (path === "/library/sections") {
+            return { MediaContainer: { Directory: library.sections } };
+        }
+
+        let match = /^\/library\/sections\/([^/]+)\/all$/.exec(path);
+
+        if (match) {
+            const type = query.type === "4" ? "episode" : null;
+            const listed = items.filter(item => item.sectionKey === match[1] &&
+                (type ? item.type === type : item.type !== "episode"));
+
+            return { MediaContainer: { size: listed.length, totalSize: listed.length, Metadata: listed } };
+        }
+
+        match = /^\/library\/metadata\/([^/]+)$/.exec(path);
+
+        if (match) {
+            if (client.readErrors[match[1]]) {
+                return client.readErrors[match[1]];
+            }
+
+            return client.items[match[1]] ? { MediaContainer: { Metadata: [client.items[match[1]]] } } : 404;
+        }
+
+        if (path === "/:/scrobble" || path === "/:/unscrobble" || path === "/:/rate") {
+            const item = client.items[query.key];
+
+            if (!item) {
+                return 404;
+            }
+
+            if (client.failKeys.indexOf(query.key) !== -1) {
+                return 400;
+            }
+
+            if (client.writeErrors[query.key]) {
+                return client.writeErrors[query.key];
+            }
+
+            if (path === "/:/rate") {
+                item.userRating = Number(query.rating) < 0 ? undefined : Number(query.rating);
+            } else {
+                item.viewCount = path === "/:/scrobble" ? 1 : 0;
+            }
+
+            return {};
+        }
+
+        return 404;
+    }
+}
+
+//
+// Exports
+//
+module.exports = {
+    statusError: statusError,
+    create: create
+};
@@ -0,0 +1,42 @@
+//
+// Imports
+//
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Makes a temporary directory
+ *
+ * @returns {string} Directory
+ */
+function dir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), "mymovies2plex-"));
+}
+
+/**
+ * Removes a temporary directory, and everything in it
+ *
+ * @param {string} name Directory
+ */
+function remove(name) {
+    fs.readdirSync(name).forEach(function(entry) {
+        const entryName = path.join(name, entry);
+
+        if (fs.statSync(entryName).isDirectory()) {
+            remove(entryName);
+        } else {
+            fs.unlinkSync(entryName);
+        }
+    });
+
+    fs.rmdirSync(name);
+}
+
+//
+// Exports
+//
+module.exports = {
+    dir: dir,
+    remove: remove
+};
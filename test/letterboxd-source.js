@@ -0,0 +1,22 @@
+//
+// Imports
+//
+const assert = require("assert");
+const letterboxdSource = require("../lib/letterboxd-source");
+
+describe("letterboxd-source", function() {
+    describe("parse()", function() {
+        it("should read watched films, with their ratings", function() {
+            const collection = letterboxdSource.parse("Date,Name,Year,Letterboxd URI,Rating\n" +
+                "2020-01-01,The Matrix,1999,https://boxd.it/a,4.5\n" +
+                "2020-01-02,Alien,1979,https://boxd.it/b,\n");
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.id, title.watched, title.rating]),
+                [["The Matrix (1999)", true, 4.5], ["Alien (1979)", true, undefined]]);
+        });
+
+        it("should need a Name column", function() {
+            assert.throws(() => letterboxdSource.parse("Title,Year\nAlien,1979\n"), /must have a Name column/);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+const mymoviesCollection = require("../lib/mymovies-collection");
+
+//
+// Constants
+//
+const FIXTURE = path.join(__dirname, "fixtures", "Collection.xml");
+
+describe("mymovies-collection", function() {
+    describe("read()", function() {
+        it("should read the synced fields, skipping everything else", function(done) {
+            const options = { movies: true, tv: true };
+
+            mymoviesCollection.read(fs.readFileSync(FIXTURE, "utf-8"), options, function(err, parsed) {
+                assert.ifError(err);
+
+                assert.strictEqual(parsed.discTitles, true);
+                assert.strictEqual(parsed.tvSeries, true);
+
+                // the skipped Covers (with its own LocalTitle) come before PersonalData
+                assert.deepStrictEqual(parsed.titles, [
+                    {
+                        index: 0,
+                        id: "1",
+                        title: "The Matrix",
+                        originalTitle: "The Matrix",
+                        imdb: "tt0133093",
+                        year: 1999,
+                        watched: true,
+                        rating: 8
+                    },
+                    {
+                        index: 1,
+                        id: "2",
+                        title: "Alien",
+                        originalTitle: undefined,
+                        imdb: "tt0078748",
+                        year: 1979,
+                        watched: false,
+                        rating: undefined
+                    }
+                ]);
+
+                assert.strictEqual(parsed.series.length, 1);
+                assert.strictEqual(parsed.series[0].title, "Lost");
+                assert.deepStrictEqual(parsed.series[0].ids, { tvdb: "73739" });
+
+                assert.deepStrictEqual(parsed.series[0].episodes, [
+                    {
+                        seriesIndex: 0,
+                        episodeIndex: 0,
+                        series: "Lost",
+                        season: "1",
+                        episode: "1-2",
+                        seasonNumber: 1,
+                        numbers: [1, 2],
+                        title: "Pilot",
+                        owned: true,
+                        watched: true,
+                        rating: 9
+                    },
+                    {
+                        seriesIndex: 0,
+                        episodeIndex: 1,
+                        series: "Lost",
+                        season: "",
+                        episode: "1",
+                        seasonNumber: 0,
+                        numbers: [1],
+                        title: "Destination: Lost",
+                        owned: false,
+                        watched: false,
+                        rating: undefined
+                    }
+                ]);
+
+                done();
+            });
+        });
+
+        it("should only read the types asked for", function(done) {
+            mymoviesCollection.read(fs.readFileSync(FIXTURE, "utf-8"), { tv: true }, function(err, parsed) {
+                assert.ifError(err);
+
+                assert.strictEqual(parsed.discTitles, true);
+                assert.deepStrictEqual(parsed.titles, []);
+                assert.strictEqual(parsed.series.length, 1);
+
+                done();
+            });
+        });
+
+        it("should read the fields of a collections mapping", function(done) {
+            const mapping = {
+                "Genres/Genre": "{value}",
+                "BoxSet/@Name": "Box Set: {value}"
+            };
+
+            mymoviesCollection.read(fs.readFileSync(FIXTURE, "utf-8"), { movies: true, mapping: mapping },
+                function(err, parsed) {
+                    assert.ifError(err);
+
+                    assert.deepStrictEqual(parsed.titles.map(title => title.collections), [
+                        ["Action", "Science Fiction", "Box Set: The Matrix Trilogy"],
+                        ["Horror"]
+                    ]);
+
+                    done();
+                });
+        });
+
+        it("should report the bytes read from a stream", function(done) {
+            const size = fs.statSync(FIXTURE).size;
+
+            let progress = [];
+
+            mymoviesCollection.read(fs.createReadStream(FIXTURE, { highWaterMark: 256 }), {
+                movies: true,
+                onProgress: bytes => progress.push(bytes)
+            }, function(err, parsed) {
+                assert.ifError(err);
+
+                assert.strictEqual(parsed.titles.length, 2);
+                assert.ok(progress.length > 1);
+                assert.deepStrictEqual(progress.slice().sort((a, b) => a - b), progress);
+                assert.strictEqual(progress[progress.length - 1], size);
+
+                done();
+            });
+        });
+
+        it("should fail without DiscTitles or TVSeries", function(done) {
+            mymoviesCollection.read("<?xml version=\"1.0\"?><Collection></Collection>", { movies: true },
+                function(err) {
+                    assert.strictEqual(err, "XML does not have DiscTitles or TVSeries!");
+
+                    done();
+                });
+        });
+
+        it("should fail for a document that isn't a Collection", function(done) {
+            mymoviesCollection.read("<Library><DiscTitles /></Library>", { movies: true }, function(err) {
+                assert.strictEqual(err, "XML does not have DiscTitles or TVSeries!");
+
+                done();
+            });
+        });
+
+        it("should call back with an error for a truncated document", function(done) {
+            const xml = fs.readFileSync(FIXTURE, "utf-8");
+
+            mymoviesCollection.read(xml.substring(0, xml.indexOf("<PersonalData")), { movies: true },
+                function(err, parsed) {
+                    assert.ok(/Unclosed root tag/.test(err));
+                    assert.strictEqual(parsed, undefined);
+
+                    done();
+                });
+        });
+
+        it("should call back once with an error for a malformed stream", function(done) {
+            // an unexpected close tag partway through
+            const xml = fs.readFileSync(FIXTURE, "utf-8").replace("</Genres>", "</Genre>");
+            const source = new stream.PassThrough();
+
+            let calls = 0;
+
+            mymoviesCollection.read(source, { movies: true }, function(err) {
+                calls++;
+
+                assert.ok(/Unexpected close tag/.test(err));
+
+                setTimeout(function() {
+                    assert.strictEqual(calls, 1);
+
+                    done();
+                }, 10);
+            });
+
+            source.write(xml.substring(0, xml.length / 2));
+            source.end(xml.substring(xml.length / 2));
+        });
+    });
+});
@@ -0,0 +1,203 @@
+//
+// Imports
+//
+const assert = require("assert");
+const mymoviesXml = require("../lib/mymovies-xml");
+
+//
+// Constants
+//
+const BOM = "\uFEFF";
+
+/**
+ * Creates a Collection.xml
+ *
+ * @param {string[]} discTitles DiscTitle elements
+ * @param {string[]} episodes Episode elements, of one series
+ *
+ * @returns {string} Collection.xml contents
+ */
+function collectionXml(discTitles, episodes) {
+    return [
+        "<?xml version=\"1.0\" encoding=\"utf-8\"?>",
+        "<Collection>",
+        "  <DiscTitles>",
+        ...discTitles.map(discTitle => `    <DiscTitle>${discTitle}</DiscTitle>`),
+        "  </DiscTitles>",
+        "  <TVSeries>",
+        "    <Series>",
+        "      <Name>Lost</Name>",
+        "      <Episodes>",
+        ...episodes.map(episode => `        <Episode>${episode}</Episode>`),
+        "      </Episodes>",
+        "    </Series>",
+        "  </TVSeries>",
+        "</Collection>",
+        ""
+    ].join("\n");
+}
+
+/**
+ * Checks that setPersonal only replaced one part of the document
+ *
+ * @param {string} xml Collection.xml contents
+ * @param {object[]} changes Changes
+ * @param {string} before Part of the document that's changed
+ * @param {string} after What it's changed to
+ */
+function assertEdit(xml, changes, before, after) {
+    assert.strictEqual(xml.split(before).length, 2, `${before} should be in the document once`);
+
+    assert.strictEqual(mymoviesXml.setPersonal(xml, changes), xml.replace(before, after));
+}
+
+describe("mymovies-xml", function() {
+    describe("setPersonal()", function() {
+        describe("movies", function() {
+            it("should set a Watched attribute", function() {
+                const xml = collectionXml([
+                    "<LocalTitle>The Matrix</LocalTitle><PersonalData Watched=\"False\" Rating=\"8\" />",
+                    "<LocalTitle>Alien</LocalTitle><PersonalData Watched=\"False\" />"
+                ], []);
+
+                assertEdit(xml, [{ type: "movie", index: 1, watched: true }],
+                    "<LocalTitle>Alien</LocalTitle><PersonalData Watched=\"False\" />",
+                    "<LocalTitle>Alien</LocalTitle><PersonalData Watched=\"True\" />");
+            });
+
+            it("should keep the attribute's quotes and spacing", function() {
+                const xml = collectionXml(["<PersonalData  Watched = 'True'\tRating='6'/>"], []);
+
+                assertEdit(xml, [{ type: "movie", index: 0, watched: false, rating: 9 }],
+                    "<PersonalData  Watched = 'True'\tRating='6'/>",
+                    "<PersonalData  Watched = 'False'\tRating='9'/>");
+            });
+
+            it("should add a missing attribute", function() {
+                const xml = collectionXml(["<PersonalData Rating=\"8\" />"], []);
+
+                assertEdit(xml, [{ type: "movie", index: 0, watched: true }],
+                    "<PersonalData Rating=\"8\" />",
+                    "<PersonalData Rating=\"8\" Watched=\"True\" />");
+            });
+
+            it("should set an open PersonalData, leaving its children", function() {
+                const xml = collectionXml([
+                    "<PersonalData Watched=\"False\"><Location>Shelf 1</Location></PersonalData>"
+                ], []);
+
+                assertEdit(xml, [{ type: "movie", index: 0, watched: true }],
+                    "<PersonalData Watched=\"False\">",
+                    "<PersonalData Watched=\"True\">");
+            });
+
+            it("should add a missing PersonalData", function() {
+                const xml = collectionXml(["<LocalTitle>Alien</LocalTitle>"], []);
+
+                assertEdit(xml, [{ type: "movie", index: 0, watched: true, rating: 7 }],
+                    "<LocalTitle>Alien</LocalTitle></DiscTitle>",
+                    "<LocalTitle>Alien</LocalTitle><PersonalData Watched=\"True\" Rating=\"7\" /></DiscTitle>");
+            });
+
+            it("should set a multi-disc title's own PersonalData, not its discs'", function() {
+                const discs = "<Discs><Disc><Name>Disc 1</Name><PersonalData Watched=\"False\" /></Disc>" +
+                    "<Disc><Name>Disc 2</Name><PersonalData Watched=\"False\" /></Disc></Discs>";
+
+                const xml = collectionXml([
+                    `<LocalTitle>The Lord of the Rings</LocalTitle>${discs}<PersonalData Watched="False" />`,
+                    "<LocalTitle>Alien</LocalTitle><PersonalData Watched=\"False\" />"
+                ], []);
+
+                assertEdit(xml, [{ type: "movie", index: 0, watched: true }],
+                    `${discs}<PersonalData Watched="False" />`,
+                    `${discs}<PersonalData Watched="True" />`);
+            });
+
+            it("should fail for a DiscTitle that isn't there", function() {
+                assert.throws(() => mymoviesXml.setPersonal(collectionXml([], []),
+                    [{ type: "movie", index: 0, watched: true }]), /DiscTitle 0 not found/);
+            });
+        });
+
+        describe("episodes", function() {
+            it("should set a Watched element", function() {
+                const xml = collectionXml([], [
+                    "<EpisodeNumber>1</EpisodeNumber><Personal><Watched>False</Watched></Personal>",
+                    "<EpisodeNumber>2</EpisodeNumber><Personal><Watched>False</Watched></Personal>"
+                ]);
+
+                assertEdit(xml, [{ type: "episode", seriesIndex: 0, episodeIndex: 1, watched: true }],
+                    "<EpisodeNumber>2</EpisodeNumber><Personal><Watched>False</Watched>",
+                    "<EpisodeNumber>2</EpisodeNumber><Personal><Watched>True</Watched>");
+            });
+
+            it("should set a self-closing Watched element", function() {
+                const xml = collectionXml([], ["<Personal><Watched /><Rating>5</Rating></Personal>"]);
+
+                assertEdit(xml, [{ type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true, rating: 6 }],
+                    "<Personal><Watched /><Rating>5</Rating></Personal>",
+                    "<Personal><Watched>True</Watched><Rating>6</Rating></Personal>");
+            });
+
+            it("should add a missing element", function() {
+                const xml = collectionXml([], ["<Personal><Rating>5</Rating></Personal>"]);
+
+                assertEdit(xml, [{ type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true }],
+                    "<Personal><Rating>5</Rating></Personal>",
+                    "<Personal><Rating>5</Rating><Watched>True</Watched></Personal>");
+            });
+
+            it("should open a self-closing Personal", function() {
+                const xml = collectionXml([], ["<EpisodeNumber>1</EpisodeNumber><Personal />"]);
+
+                assertEdit(xml, [{ type: "episode", seriesIndex: 0, episodeIndex: 0, watched: false }],
+                    "<Personal />",
+                    "<Personal><Watched>False</Watched></Personal>");
+            });
+
+            it("should add a missing Personal", function() {
+                const xml = collectionXml([], ["<EpisodeNumber>1</EpisodeNumber>"]);
+
+                assertEdit(xml, [{ type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true }],
+                    "<EpisodeNumber>1</EpisodeNumber></Episode>",
+                    "<EpisodeNumber>1</EpisodeNumber><Personal><Watched>True</Watched></Personal></Episode>");
+            });
+
+            it("should fail for an Episode that isn't there", function() {
+                assert.throws(() => mymoviesXml.setPersonal(collectionXml([], []),
+                    [{ type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true }]),
+                /Series 0 Episode 0 not found/);
+            });
+        });
+
+        it("should make several changes to the same document", function() {
+            const xml = collectionXml(["<PersonalData Watched=\"False\" />"],
+                ["<Personal><Watched>False</Watched></Personal>"]);
+
+            const updated = mymoviesXml.setPersonal(xml, [
+                { type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true },
+                { type: "movie", index: 0, watched: true },
+                { type: "movie", index: 0, rating: 10 }
+            ]);
+
+            assert.strictEqual(updated, xml
+                .replace("<PersonalData Watched=\"False\" />", "<PersonalData Watched=\"True\" Rating=\"10\" />")
+                .replace("<Watched>False</Watched>", "<Watched>True</Watched>"));
+        });
+
+        it("should keep a BOM and CRLF line endings", function() {
+            const xml = BOM + collectionXml(["<PersonalData Watched=\"False\" />"],
+                ["<Personal>\r\n<Watched>False</Watched>\r\n</Personal>"]).replace(/\n/g, "\r\n");
+
+            const updated = mymoviesXml.setPersonal(xml, [
+                { type: "movie", index: 0, watched: true },
+                { type: "episode", seriesIndex: 0, episodeIndex: 0, watched: true }
+            ]);
+
+            assert.strictEqual(updated, xml
+                .replace("<PersonalData Watched=\"False\" />", "<PersonalData Watched=\"True\" />")
+                .replace("<Watched>False</Watched>", "<Watched>True</Watched>"));
+            assert.strictEqual(updated.charAt(0), BOM);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const plan = require("../lib/plan");
+const temp = require("./helpers/temp");
+
+//
+// Constants
+//
+const CHANGE = {
+    type: "movie",
+    ratingKey: "101",
+    plexTitle: "The Matrix",
+    current: { watched: false },
+    target: { watched: true }
+};
+
+describe("plan", function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = temp.dir();
+    });
+
+    afterEach(function() {
+        temp.remove(dir);
+    });
+
+    describe("load()", function() {
+        it("should load what was saved", function() {
+            const fileName = path.join(dir, "plan.json");
+
+            plan.save(fileName, plan.create({ file: "Collection.xml", host: "plexhost" }, [CHANGE]));
+
+            const loaded = plan.load(fileName);
+
+            assert.strictEqual(loaded.version, 1);
+            assert.strictEqual(loaded.file, "Collection.xml");
+            assert.strictEqual(loaded.host, "plexhost");
+            assert.deepStrictEqual(loaded.changes, [CHANGE]);
+        });
+
+        it("should not load other versions", function() {
+            const fileName = path.join(dir, "plan.json");
+
+            fs.writeFileSync(fileName, JSON.stringify({ version: 2, changes: [] }), "utf-8");
+
+            assert.throws(() => plan.load(fileName), /Unsupported plan version 2/);
+        });
+
+        it("should not load a plan without a changes list", function() {
+            const fileName = path.join(dir, "plan.json");
+
+            fs.writeFileSync(fileName, JSON.stringify({ version: 1 }), "utf-8");
+
+            assert.throws(() => plan.load(fileName), /does not have a changes list/);
+        });
+
+        it("should not load changes without a ratingKey, current and target state", function() {
+            const fileName = path.join(dir, "plan.json");
+
+            plan.save(fileName, plan.create({}, [CHANGE, { ratingKey: "102", current: {} }]));
+
+            assert.throws(() => plan.load(fileName), /Change 2 needs a ratingKey, current and target state/);
+        });
+    });
+
+    describe("staleFields()", function() {
+        it("should be the fields Plex no longer agrees with", function() {
+            const change = { current: { watched: false, rating: null }, target: { watched: true, rating: 8 } };
+
+            assert.deepStrictEqual(plan.staleFields(change, { watched: false, rating: null }), []);
+            assert.deepStrictEqual(plan.staleFields(change, { watched: false, rating: 6 }), ["rating"]);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+//
+// Imports
+//
+const assert = require("assert");
+const plexClient = require("../lib/plex-client");
+const fakePlex = require("./helpers/fake-plex");
+
+describe("plex-client", function() {
+    describe("isNotFound()", function() {
+        it("should be true for plex-api's 404 errors", function() {
+            assert.strictEqual(plexClient.isNotFound(fakePlex.statusError(404)), true);
+        });
+
+        it("should be false for other errors", function() {
+            assert.strictEqual(plexClient.isNotFound(fakePlex.statusError(401)), false);
+            assert.strictEqual(plexClient.isNotFound(fakePlex.statusError(4040)), false);
+            assert.strictEqual(plexClient.isNotFound(new Error("connect ECONNREFUSED")), false);
+            assert.strictEqual(plexClient.isNotFound(undefined), false);
+        });
+    });
+
+    describe("isTransient()", function() {
+        it("should be true for server errors and network errors", function() {
+            let reset = new Error("socket hang up");
+
+            reset.code = "ECONNRESET";
+
+            assert.strictEqual(plexClient.isTransient(fakePlex.statusError(503)), true);
+            assert.strictEqual(plexClient.isTransient(fakePlex.statusError(429)), true);
+            assert.strictEqual(plexClient.isTransient(reset), true);
+        });
+
+        it("should be false for client errors", function() {
+            assert.strictEqual(plexClient.isTransient(fakePlex.statusError(404)), false);
+            assert.strictEqual(plexClient.isTransient(fakePlex.statusError(401)), false);
+            assert.strictEqual(plexClient.isTransient(null), false);
+        });
+    });
+
+    describe("query()", function() {
+        it("should not retry a 404", function(done) {
+            const client = fakePlex.create({ sections: [], items: [] });
+
+            plexClient.query(client, "/library/metadata/999", function(err) {
+                assert.ok(plexClient.isNotFound(err));
+                assert.deepStrictEqual(client.requests, ["/library/metadata/999"]);
+
+                done();
+            });
+        });
+    });
+
+    describe("write()", function() {
+        it("should not retry a server error, as the change may have been made", function(done) {
+            const client = fakePlex.create({
+                sections: [],
+                items: [{ ratingKey: "101", sectionKey: "1", type: "movie" }]
+            });
+
+            client.writeErrors["101"] = 503;
+
+            plexClient.write(client, "/:/scrobble?identifier=com.plexapp.plugins.library&key=101", function(err) {
+                assert.ok(plexClient.isTransient(err));
+                assert.strictEqual(client.requests.length, 1);
+
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,196 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const PlexAPI = require("plex-api");
+const plexUsers = require("../lib/plex-users");
+const temp = require("./helpers/temp");
+
+//
+// Constants
+//
+
+// plex.tv's Home users, as plex-api parses them
+const HOME_USERS = {
+    MediaContainer: {
+        User: [
+            { attributes: { id: "1", title: "Admin", username: "admin", admin: "1", protected: "0" } },
+            { attributes: { id: "2", title: "Alice", username: "alice99", admin: "0", protected: "0" } },
+            { attributes: { id: "3", title: "Kids", admin: "0", protected: "1" } }
+        ]
+    }
+};
+
+describe("plex-users", function() {
+    describe("load()", function() {
+        let dir;
+
+        beforeEach(function() {
+            dir = temp.dir();
+        });
+
+        afterEach(function() {
+            temp.remove(dir);
+            delete process.env.MYMOVIES2PLEX_TEST_PIN;
+        });
+
+        /**
+         * Writes a users file
+         *
+         * @param {object} users Users
+         *
+         * @returns {string} File name
+         */
+        function usersFile(users) {
+            const fileName = path.join(dir, "users.json");
+
+            fs.writeFileSync(fileName, JSON.stringify(users), "utf-8");
+
+            return fileName;
+        }
+
+        it("should load each user, with their PIN", function() {
+            process.env.MYMOVIES2PLEX_TEST_PIN = "1234";
+
+            assert.deepStrictEqual(plexUsers.load(usersFile({
+                Alice: {},
+                Kids: { file: "kids-Collection.xml", pinEnv: "MYMOVIES2PLEX_TEST_PIN" }
+            })), [
+                { name: "Alice", file: undefined, pin: undefined },
+                { name: "Kids", file: "kids-Collection.xml", pin: "1234" }
+            ]);
+        });
+
+        it("should need an object of users", function() {
+            assert.throws(() => plexUsers.load(usersFile(["Alice"])), /must be an object of users/);
+            assert.throws(() => plexUsers.load(usersFile({})), /must be an object of users/);
+        });
+
+        it("should not load unknown settings", function() {
+            assert.throws(() => plexUsers.load(usersFile({ Alice: { password: "x" } })),
+                /Unknown setting "password" for user "Alice"/);
+        });
+
+        it("should need the PIN's environment variable", function() {
+            assert.throws(() => plexUsers.load(usersFile({ Kids: { pinEnv: "MYMOVIES2PLEX_TEST_PIN" } })),
+                /MYMOVIES2PLEX_TEST_PIN is not set/);
+        });
+    });
+
+    describe("serverToken()", function() {
+        const query = PlexAPI.prototype.query;
+        const postQuery = PlexAPI.prototype.postQuery;
+
+        // plex.tv requests, as "token uri"
+        let requests;
+
+        beforeEach(function() {
+            requests = [];
+
+            // plex.tv, for the admin token "admin" and the user tokens it switches to
+            PlexAPI.prototype.query = function(options) {
+                requests.push(`${this.authToken} ${options.uri}`);
+
+                if (options.uri === "/api/home/users") {
+                    return Promise.resolve(HOME_USERS);
+                }
+
+                return Promise.resolve({
+                    MediaContainer: {
+                        Device: [
+                            { attributes: { clientIdentifier: "other", accessToken: "other-token" } },
+                            { attributes: { clientIdentifier: "server1", accessToken: `${this.authToken}-server1` } }
+                        ]
+                    }
+                });
+            };
+
+            PlexAPI.prototype.postQuery = function(options) {
+                requests.push(`${this.authToken} ${options.uri}`);
+
+                if (/pin=0000/.test(options.uri)) {
+                    return Promise.reject(new Error("Plex Server denied request due to lack of managed user " +
+                        "permissions! In case of a delegated request, make sure the delegated user is managed by " +
+                        "the server owner."));
+                }
+
+                const id = /\/users\/(\d+)\//.exec(options.uri)[1];
+
+                return Promise.resolve({ user: { attributes: { authenticationToken: `user${id}` } } });
+            };
+        });
+
+        afterEach(function() {
+            PlexAPI.prototype.query = query;
+            PlexAPI.prototype.postQuery = postQuery;
+        });
+
+        it("should switch to a user, by username, and get their server token", function(done) {
+            plexUsers.serverToken("admin", "server1", { name: "ALICE99" }, function(err, token) {
+                assert.ifError(err);
+                assert.strictEqual(token, "user2-server1");
+                assert.deepStrictEqual(requests, [
+                    "admin /api/home/users",
+                    "admin /api/home/users/2/switch",
+                    "user2 /api/resources?includeHttps=1"
+                ]);
+
+                done();
+            });
+        });
+
+        it("should use the admin's own token for the admin", function(done) {
+            plexUsers.serverToken("admin", "server1", { name: "Admin" }, function(err, token) {
+                assert.ifError(err);
+                assert.strictEqual(token, "admin");
+                assert.strictEqual(requests.length, 1);
+
+                done();
+            });
+        });
+
+        it("should switch to a protected user with their PIN", function(done) {
+            plexUsers.serverToken("admin", "server1", { name: "Kids", pin: "12 34" }, function(err, token) {
+                assert.ifError(err);
+                assert.strictEqual(token, "user3-server1");
+                assert.strictEqual(requests[1], "admin /api/home/users/3/switch?pin=12%2034");
+
+                done();
+            });
+        });
+
+        it("should be a config error without a protected user's PIN, or with a wrong one", function(done) {
+            plexUsers.serverToken("admin", "server1", { name: "Kids" }, function(err) {
+                assert.strictEqual(err.kind, "config");
+                assert.ok(/has a PIN/.test(err.message));
+
+                plexUsers.serverToken("admin", "server1", { name: "Kids", pin: "0000" }, function(errPin) {
+                    assert.strictEqual(errPin.kind, "config");
+                    assert.ok(/PIN was not accepted/.test(errPin.message));
+
+                    done();
+                });
+            });
+        });
+
+        it("should be a config error for an unknown user", function(done) {
+            plexUsers.serverToken("admin", "server1", { name: "Carol" }, function(err) {
+                assert.strictEqual(err.kind, "config");
+                assert.strictEqual(err.message, "No Plex Home user \"Carol\" (users: Admin, Alice, Kids)");
+
+                done();
+            });
+        });
+
+        it("should be a config error if the user can't use the server", function(done) {
+            plexUsers.serverToken("admin", "server2", { name: "Alice" }, function(err) {
+                assert.strictEqual(err.kind, "config");
+                assert.ok(/doesn't have access to this Plex server/.test(err.message));
+
+                done();
+            });
+        });
+    });
+});
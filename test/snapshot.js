@@ -0,0 +1,152 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const snapshot = require("../lib/snapshot");
+const plexIndex = require("../lib/plex-index");
+const temp = require("./helpers/temp");
+
+//
+// Constants
+//
+const MOVIE_SECTION = { key: "1", title: "Movies", type: "movie", agent: "tv.plex.agents.movie" };
+const SHOW_SECTION = { key: "2", title: "TV Shows", type: "show" };
+
+/**
+ * Indexes a movie section, as plexIndex.loadMovies would
+ *
+ * @returns {object} Index
+ */
+function movieIndex() {
+    let index = plexIndex.create();
+
+    plexIndex.add(index, {
+        ratingKey: "101",
+        key: "/library/metadata/101",
+        type: "movie",
+        title: "The Matrix",
+        year: 1999,
+        guid: "plex://movie/aaa",
+        Guid: [{ id: "imdb://tt0133093" }],
+        viewCount: 2,
+        userRating: 8,
+        summary: "Not kept"
+    });
+
+    return index;
+}
+
+/**
+ * Indexes a TV section, as plexIndex.loadShows would, with a two-part episode
+ *
+ * @returns {object} Index
+ */
+function showIndex() {
+    let index = plexIndex.create();
+
+    const series = {
+        key: "/library/metadata/301/children",
+        ratingKey: "301",
+        title: "Lost",
+        year: 2004,
+        guid: "plex://show/ccc",
+        Guid: [{ id: "tvdb://73739" }],
+        seasons: []
+    };
+
+    plexIndex.add(index, series);
+
+    plexIndex.addEpisodes({ 301: series }, [
+        { show: "301", key: "311", season: 1, index: 1, numbers: [1, 2], title: "Pilot", watched: true, viewCount: 1 },
+        { show: "301", key: "313", season: 1, index: 3, title: "Tabula Rasa", watched: false, rating: 6,
+            viewCount: 0 }
+    ]);
+
+    return index;
+}
+
+describe("snapshot", function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = temp.dir();
+    });
+
+    afterEach(function() {
+        temp.remove(dir);
+    });
+
+    describe("create()", function() {
+        it("should keep the fields of each movie that are synced", function() {
+            const taken = snapshot.create({ target: "plex", host: "plexhost" }, [
+                { section: MOVIE_SECTION, index: movieIndex() }
+            ]);
+
+            assert.strictEqual(taken.version, 1);
+            assert.strictEqual(taken.host, "plexhost");
+            assert.deepStrictEqual(taken.sections, [{ key: "1", title: "Movies", type: "movie" }]);
+            assert.strictEqual(taken.movies[0].sectionKey, "1");
+            assert.strictEqual(taken.movies[0].viewCount, 2);
+            assert.strictEqual(taken.movies[0].userRating, 8);
+            assert.deepStrictEqual(taken.movies[0].ids, { imdb: "tt0133093", plex: "movie/aaa" });
+            assert.ok(!("summary" in taken.movies[0]));
+        });
+
+        it("should save a multi-episode item once", function() {
+            const taken = snapshot.create({}, [{ section: SHOW_SECTION, index: showIndex() }]);
+
+            assert.deepStrictEqual(taken.shows[0].seasons[0].episodes.map(episode => episode.ratingKey),
+                ["311", "313"]);
+            assert.strictEqual(snapshot.episodeCount(taken), 2);
+        });
+    });
+
+    describe("load()", function() {
+        it("should load the episodes that were saved", function() {
+            const fileName = path.join(dir, "snapshot.json");
+            const index = showIndex();
+
+            snapshot.save(fileName, snapshot.create({}, [{ section: SHOW_SECTION, index: index }]));
+
+            const loaded = snapshot.load(fileName);
+
+            // as snapshot-target indexes them
+            let series = Object.assign({}, loaded.shows[0], { seasons: [] });
+
+            plexIndex.addEpisodes({ 301: series }, snapshot.episodes(loaded.shows[0]));
+
+            assert.deepStrictEqual(series.seasons, index.items[0].seasons);
+        });
+
+        it("should not load other versions", function() {
+            const fileName = path.join(dir, "snapshot.json");
+
+            fs.writeFileSync(fileName, JSON.stringify({ version: 2 }), "utf-8");
+
+            assert.throws(() => snapshot.load(fileName), /Unsupported snapshot version 2/);
+        });
+
+        it("should not load a snapshot without its lists", function() {
+            const fileName = path.join(dir, "snapshot.json");
+
+            fs.writeFileSync(fileName, JSON.stringify({ version: 1, sections: [], movies: [] }), "utf-8");
+
+            assert.throws(() => snapshot.load(fileName), /does not have a shows list/);
+        });
+
+        it("should not load a series without a ratingKey", function() {
+            const fileName = path.join(dir, "snapshot.json");
+
+            fs.writeFileSync(fileName, JSON.stringify({
+                version: 1,
+                sections: [],
+                movies: [],
+                shows: [{ title: "Lost", seasons: [] }]
+            }), "utf-8");
+
+            assert.throws(() => snapshot.load(fileName), /"Lost" needs a ratingKey and seasons/);
+        });
+    });
+});
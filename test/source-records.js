@@ -0,0 +1,94 @@
+//
+// Imports
+//
+const assert = require("assert");
+const records = require("../lib/source-records");
+
+describe("source-records", function() {
+    describe("parseCsv()", function() {
+        it("should read quoted values with commas, quotes and line breaks", function() {
+            const rows = records.parseCsv("\uFEFFName,Year,Notes\r\n" +
+                "\"Crouching Tiger, Hidden Dragon\",2000,\"Said \"\"wow\"\"\ntwice\"\r\n" +
+                "\r\n" +
+                "Alien,1979,");
+
+            assert.deepStrictEqual(rows, [
+                { Name: "Crouching Tiger, Hidden Dragon", Year: "2000", Notes: "Said \"wow\"\ntwice" },
+                { Name: "Alien", Year: "1979", Notes: "" }
+            ]);
+        });
+
+        it("should need the required columns", function() {
+            assert.throws(() => records.parseCsv("Title,Year\nAlien,1979\n", ["Name"]), /must have a Name column/);
+        });
+    });
+
+    describe("parseBoolean()", function() {
+        it("should read yes and no values", function() {
+            assert.strictEqual(records.parseBoolean("Yes", false), true);
+            assert.strictEqual(records.parseBoolean(" x ", false), true);
+            assert.strictEqual(records.parseBoolean(1, false), true);
+            assert.strictEqual(records.parseBoolean("no", true), false);
+            assert.strictEqual(records.parseBoolean("0", true), false);
+        });
+
+        it("should be the default when blank", function() {
+            assert.strictEqual(records.parseBoolean("", true), true);
+            assert.strictEqual(records.parseBoolean(undefined, false), false);
+        });
+    });
+
+    describe("toCollection()", function() {
+        it("should combine rewatches into one title, with the last rating", function() {
+            const collection = records.toCollection([
+                { title: "Alien", year: "1979", imdb: "tt0078748", watched: false, rating: "6" },
+                { title: "Alien", year: "1979", imdb: "tt0078748", watched: true, rating: "8" },
+                { title: "Alien", year: "1979", imdb: "tt0078748", watched: false, rating: "" }
+            ]);
+
+            assert.strictEqual(collection.titles.length, 1);
+            assert.strictEqual(collection.titles[0].id, "tt0078748");
+            assert.strictEqual(collection.titles[0].year, 1979);
+            assert.strictEqual(collection.titles[0].watched, true);
+            assert.strictEqual(collection.titles[0].rating, 8);
+        });
+
+        it("should key titles without IDs by title and year", function() {
+            const collection = records.toCollection([
+                { title: "The Thing", year: 1982, watched: true },
+                { title: "The Thing", year: 2011, watched: true },
+                { title: "the thing", year: 1982, watched: true }
+            ]);
+
+            assert.deepStrictEqual(collection.titles.map(title => title.id), ["The Thing (1982)", "The Thing (2011)"]);
+        });
+
+        it("should leave the watched status of a title only ever rated undefined", function() {
+            const collection = records.toCollection([
+                { title: "Alien", imdb: "tt0078748", rating: 8 },
+                { title: "Heat", imdb: "tt0113277", rating: 7 },
+                { title: "Heat", imdb: "tt0113277", watched: false }
+            ]);
+
+            assert.strictEqual(collection.titles[0].watched, undefined);
+            assert.strictEqual(collection.titles[0].rating, 8);
+            assert.strictEqual(collection.titles[1].watched, false);
+        });
+
+        it("should group episodes by series, with the series' IDs", function() {
+            const collection = records.toCollection([
+                { series: "Lost", seriesIds: { tvdb: 73739 }, season: 1, episode: 1, watched: true },
+                { series: "Lost", seriesIds: { imdb: "tt0411008" }, season: 1, episode: 2, title: "Pilot (2)" },
+                { series: "Lost", season: 1, episode: 1, watched: false, rating: 9 }
+            ]);
+
+            assert.strictEqual(collection.series.length, 1);
+            assert.deepStrictEqual(collection.series[0].ids, { tvdb: "73739", imdb: "tt0411008" });
+            assert.deepStrictEqual(collection.series[0].episodes.map(episode =>
+                [episode.season, episode.episode, episode.title, episode.owned, episode.watched, episode.rating]), [
+                ["1", "1", "Episode 1", true, true, 9],
+                ["1", "2", "Pilot (2)", true, undefined, undefined]
+            ]);
+        });
+    });
+});
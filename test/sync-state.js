@@ -0,0 +1,132 @@
+//
+// Imports
+//
+const assert = require("assert");
+const path = require("path");
+const syncState = require("../lib/sync-state");
+const temp = require("./helpers/temp");
+
+describe("sync-state", function() {
+    let dir;
+
+    beforeEach(function() {
+        dir = temp.dir();
+    });
+
+    afterEach(function() {
+        temp.remove(dir);
+    });
+
+    describe("load()", function() {
+        it("should be an empty state for a missing file", function() {
+            const state = syncState.load(path.join(dir, "missing.json"));
+
+            assert.deepStrictEqual(state, { movies: {}, episodes: {} });
+        });
+
+        it("should load what was saved", function() {
+            const fileName = path.join(dir, "state.json");
+
+            syncState.save(fileName, { movies: { tt0133093: { mymovies: true, plex: true } }, episodes: {} });
+
+            const state = syncState.load(fileName);
+
+            assert.deepStrictEqual(state.movies, { tt0133093: { mymovies: true, plex: true } });
+            assert.ok(state.updated);
+        });
+    });
+
+    describe("compare()", function() {
+        it("should be in sync when both sides agree", function() {
+            assert.strictEqual(syncState.compare(undefined, true, true), syncState.IN_SYNC);
+        });
+
+        it("should be a conflict when never synced before", function() {
+            assert.strictEqual(syncState.compare(undefined, true, false), syncState.CONFLICT);
+        });
+
+        it("should sync the side that didn't change", function() {
+            const previous = { mymovies: false, plex: false };
+
+            assert.strictEqual(syncState.compare(previous, true, false), syncState.TO_PLEX);
+            assert.strictEqual(syncState.compare(previous, false, true), syncState.TO_MYMOVIES);
+        });
+
+        it("should be a conflict when both sides changed", function() {
+            assert.strictEqual(syncState.compare({ mymovies: true, plex: false }, false, true), syncState.CONFLICT);
+        });
+    });
+
+    describe("resolve()", function() {
+        it("should resolve conflicts by policy", function() {
+            assert.strictEqual(syncState.resolve("plex", true), syncState.TO_MYMOVIES);
+            assert.strictEqual(syncState.resolve("mymovies", false), syncState.TO_PLEX);
+            assert.strictEqual(syncState.resolve("watched", true), syncState.TO_PLEX);
+            assert.strictEqual(syncState.resolve("watched", false), syncState.TO_MYMOVIES);
+            assert.strictEqual(syncState.resolve("ask", true), syncState.CONFLICT);
+        });
+    });
+
+    describe("changeKey()", function() {
+        it("should key movies by IMDB ID, or My Movies ID", function() {
+            assert.deepStrictEqual(syncState.changeKey({ type: "movie", source: { id: "1", imdb: "tt0133093" } }),
+                { type: "movies", key: "tt0133093" });
+            assert.deepStrictEqual(syncState.changeKey({ type: "movie", source: { id: "3" } }),
+                { type: "movies", key: "3" });
+        });
+
+        it("should key episodes like episodeKey()", function() {
+            const source = { series: "Lost", season: "1", episode: "2" };
+
+            assert.deepStrictEqual(syncState.changeKey({ type: "episode", source: source }),
+                { type: "episodes", key: "Lost/1/2" });
+        });
+    });
+
+    describe("keepFailed()", function() {
+        it("should put back the last state of what failed", function() {
+            const lastState = { movies: { tt0133093: { mymovies: false, plex: false } }, episodes: {} };
+            const nextState = {
+                movies: {
+                    tt0133093: { mymovies: true, plex: true },
+                    tt0078748: { mymovies: true, plex: true }
+                },
+                episodes: { "Lost/1/1": { mymovies: true, plex: true } }
+            };
+
+            syncState.keepFailed(nextState, lastState, [
+                { type: "movie", source: { id: "1", imdb: "tt0133093" } },
+                { type: "episode", source: { series: "Lost", season: "1", episode: "1" } }
+            ]);
+
+            assert.deepStrictEqual(nextState, {
+                movies: {
+                    tt0133093: { mymovies: false, plex: false },
+                    tt0078748: { mymovies: true, plex: true }
+                },
+                episodes: {}
+            });
+        });
+
+        it("should retry a failed change on the next run, rather than sync it back", function() {
+            const fileName = path.join(dir, "state.json");
+
+            syncState.save(fileName, { movies: { tt0133093: { mymovies: false, plex: false } }, episodes: {} });
+
+            // first run: watched in My Movies since, so it's marked watched in Plex, which fails
+            const lastState = syncState.load(fileName);
+
+            assert.strictEqual(syncState.compare(lastState.movies.tt0133093, true, false), syncState.TO_PLEX);
+
+            const nextState = { movies: { tt0133093: { mymovies: true, plex: true } }, episodes: {} };
+
+            syncState.keepFailed(nextState, lastState, [{ type: "movie", source: { imdb: "tt0133093" } }]);
+            syncState.save(fileName, nextState);
+
+            // second run: Plex is still unwatched
+            const state = syncState.load(fileName);
+
+            assert.strictEqual(syncState.compare(state.movies.tt0133093, true, false), syncState.TO_PLEX);
+        });
+    });
+});
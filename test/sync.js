@@ -0,0 +1,362 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const mymovies2plex = require("../lib/sync");
+const plan = require("../lib/plan");
+const syncState = require("../lib/sync-state");
+const fakePlex = require("./helpers/fake-plex");
+const temp = require("./helpers/temp");
+
+//
+// Constants
+//
+const COLLECTION_XML = `<?xml version="1.0" encoding="utf-8"?>
+<Collection>
+  <DiscTitles>
+    <DiscTitle>
+      <ID>1</ID>
+      <LocalTitle>The Matrix</LocalTitle>
+      <IMDB>tt0133093</IMDB>
+      <ProductionYear>1999</ProductionYear>
+      <PersonalData Watched="True" />
+    </DiscTitle>
+    <DiscTitle>
+      <ID>2</ID>
+      <LocalTitle>Alien</LocalTitle>
+      <IMDB>tt0078748</IMDB>
+      <ProductionYear>1979</ProductionYear>
+      <PersonalData Watched="False" />
+    </DiscTitle>
+  </DiscTitles>
+</Collection>
+`;
+
+// The Matrix is in both sections
+const LIBRARY = {
+    sections: [
+        { key: "1", title: "Movies", type: "movie" },
+        { key: "2", title: "Movies 4K", type: "movie" }
+    ],
+    items: [
+        {
+            ratingKey: "101", sectionKey: "1", type: "movie", title: "The Matrix", year: 1999,
+            guid: "plex://movie/aaa", Guid: [{ id: "imdb://tt0133093" }], viewCount: 0
+        },
+        {
+            ratingKey: "102", sectionKey: "1", type: "movie", title: "Alien", year: 1979,
+            guid: "plex://movie/bbb", Guid: [{ id: "imdb://tt0078748" }], viewCount: 0
+        },
+        {
+            ratingKey: "201", sectionKey: "2", type: "movie", title: "The Matrix", year: 1999,
+            guid: "plex://movie/aaa", Guid: [{ id: "imdb://tt0133093" }], viewCount: 0
+        }
+    ]
+};
+
+describe("sync", function() {
+    let dir;
+    let client;
+
+    beforeEach(function() {
+        dir = temp.dir();
+        client = fakePlex.create(LIBRARY);
+
+        fs.writeFileSync(path.join(dir, "Collection.xml"), COLLECTION_XML, "utf-8");
+    });
+
+    afterEach(function() {
+        temp.remove(dir);
+    });
+
+    /**
+     * Creates a sync of the test collection with the fake Plex server
+     *
+     * @param {object} options Options
+     *
+     * @returns {EventEmitter} Sync
+     */
+    function createSync(options) {
+        return mymovies2plex.create(Object.assign({
+            client: client,
+            file: path.join(dir, "Collection.xml"),
+            journalDir: path.join(dir, "journal"),
+            movies: true
+        }, options));
+    }
+
+    describe("mymovies-to-plex", function() {
+        it("should count titles, not their Plex copies", function() {
+            client.failKeys = ["201"];
+
+            return createSync({ watched: true, unwatched: true }).sync().then(function(result) {
+                assert.deepStrictEqual(result.counts.Movies, {
+                    matched: 2,
+                    changed: 0,
+                    inSync: 1,
+                    unmatched: 0,
+                    skipped: 0,
+                    conflicts: 0,
+                    failed: 1
+                });
+
+                assert.deepStrictEqual(result.notSet.map(item => item.ratingKey), ["201"]);
+            });
+        });
+
+        it("should still sync what changed during a sync of other items", function() {
+            const sync = createSync({ watched: true, unwatched: true });
+
+            return sync.sync().then(function() {
+                // Alien is watched in My Movies while a webhook's item is synced
+                fs.writeFileSync(path.join(dir, "Collection.xml"),
+                    COLLECTION_XML.replace("<PersonalData Watched=\"False\" />", "<PersonalData Watched=\"True\" />"),
+                    "utf-8");
+
+                return sync.sync({ ratingKeys: ["101"] });
+            }).then(function(result) {
+                assert.deepStrictEqual(result.changed, []);
+
+                return sync.sync({ onlyChanged: true });
+            }).then(function(result) {
+                assert.deepStrictEqual(result.changed.map(item => item.ratingKey), ["102"]);
+            });
+        });
+    });
+
+    describe("plex-to-mymovies", function() {
+        /**
+         * Gets the Watched flags of --output
+         *
+         * @param {string} outputFile --output
+         *
+         * @returns {string[]} Watched flags
+         */
+        function watchedFlags(outputFile) {
+            return fs.readFileSync(outputFile, "utf-8").match(/Watched="\w+"/g);
+        }
+
+        it("should keep the changes of the last sync when syncing only some items", function() {
+            const outputFile = path.join(dir, "Collection-updated.xml");
+            const sync = createSync({
+                direction: mymovies2plex.DIRECTION_PLEX_TO_MYMOVIES,
+                output: outputFile,
+                watched: true,
+                unwatched: true
+            });
+
+            return sync.sync().then(function() {
+                assert.deepStrictEqual(watchedFlags(outputFile), ["Watched=\"False\"", "Watched=\"False\""]);
+
+                // Alien is watched in Plex, which sends a webhook
+                client.items["102"].viewCount = 1;
+
+                return sync.sync({ ratingKeys: ["102"] });
+            }).then(function(result) {
+                assert.deepStrictEqual(result.changed.map(item => item.id), ["2"]);
+                assert.deepStrictEqual(watchedFlags(outputFile), ["Watched=\"False\"", "Watched=\"True\""]);
+            });
+        });
+
+        it("should sync everything when --file changed since the last sync", function() {
+            const outputFile = path.join(dir, "Collection-updated.xml");
+            const sync = createSync({
+                direction: mymovies2plex.DIRECTION_PLEX_TO_MYMOVIES,
+                output: outputFile,
+                watched: true,
+                unwatched: true
+            });
+
+            return sync.sync().then(function() {
+                fs.writeFileSync(path.join(dir, "Collection.xml"),
+                    COLLECTION_XML.replace("<PersonalData Watched=\"False\" />", "<PersonalData Watched=\"True\" />"),
+                    "utf-8");
+
+                return sync.sync({ ratingKeys: ["999"] });
+            }).then(function(result) {
+                assert.deepStrictEqual(result.changed.map(item => item.id), ["1", "2"]);
+                assert.deepStrictEqual(watchedFlags(outputFile), ["Watched=\"False\"", "Watched=\"False\""]);
+            });
+        });
+    });
+
+    describe("reports", function() {
+        it("should report movies and TV series together", function() {
+            const reportFile = path.join(dir, "report.json");
+
+            client = fakePlex.create({
+                sections: LIBRARY.sections.concat({ key: "3", title: "TV Shows", type: "show" }),
+                items: LIBRARY.items.concat({
+                    ratingKey: "301", sectionKey: "3", type: "show", title: "Lost", year: 2004,
+                    key: "/library/metadata/301/children", guid: "plex://show/ccc", Guid: []
+                })
+            });
+
+            fs.writeFileSync(path.join(dir, "Collection.xml"), COLLECTION_XML.replace("</Collection>", [
+                "  <TVSeries>",
+                "    <Series>",
+                "      <LanguageSpecific><Title>Lost</Title></LanguageSpecific>",
+                "      <Episodes>",
+                "        <Episode>",
+                "          <Global>",
+                "            <SeasonNumber>1</SeasonNumber><EpisodeNumber>1</EpisodeNumber><Owned>True</Owned>",
+                "          </Global>",
+                "          <LanguageSpecific><Title>Pilot</Title></LanguageSpecific>",
+                "        </Episode>",
+                "      </Episodes>",
+                "    </Series>",
+                "  </TVSeries>",
+                "</Collection>"
+            ].join("\n")), "utf-8");
+
+            return createSync({ tv: true, report: reportFile }).sync().then(function() {
+                const written = JSON.parse(fs.readFileSync(reportFile, "utf-8"));
+
+                assert.deepStrictEqual(written.items.map(item => `${item.type} ${item.title}`),
+                    ["movie The Matrix", "episode Pilot"]);
+            });
+        });
+    });
+
+    describe("applyPlan()", function() {
+        /**
+         * Writes a plan to mark Plex items watched
+         *
+         * @param {string[]} ratingKeys Plex rating keys
+         *
+         * @returns {string} Plan file name
+         */
+        function writePlan(ratingKeys) {
+            const fileName = path.join(dir, "plan.json");
+
+            plan.save(fileName, plan.create({ file: "Collection.xml" }, ratingKeys.map(ratingKey => ({
+                type: "movie",
+                source: { id: ratingKey, title: `Movie ${ratingKey}` },
+                ratingKey: ratingKey,
+                plexTitle: `Movie ${ratingKey}`,
+                current: { watched: false },
+                target: { watched: true }
+            }))));
+
+            return fileName;
+        }
+
+        it("should skip items no longer in Plex", function() {
+            return createSync().applyPlan(writePlan(["999", "102"])).then(function(result) {
+                assert.strictEqual(result.counts.Plan.changed, 1);
+                assert.strictEqual(result.counts.Plan.skipped, 1);
+                assert.deepStrictEqual(result.changed.map(item => item.ratingKey), ["102"]);
+                assert.deepStrictEqual(result.notSet.map(item => [item.ratingKey, item.reason]),
+                    [["999", "not in Plex"]]);
+                assert.strictEqual(client.items["102"].viewCount, 1);
+            });
+        });
+
+        it("should stop checking Plex after an error reading an item", function() {
+            client.readErrors["101"] = 401;
+
+            return createSync({ concurrency: 1 }).applyPlan(writePlan(["101", "102"])).then(function() {
+                assert.fail("should have failed");
+            }, function(err) {
+                assert.ok(/response code: 401$/.test(err.message));
+                assert.strictEqual(client.requests.indexOf("/library/metadata/102"), -1);
+                assert.strictEqual(client.items["102"].viewCount, 0);
+            });
+        });
+    });
+
+    describe("exportSnapshot()", function() {
+        it("should plan the same changes from a snapshot as from Plex", function() {
+            const snapshotFile = path.join(dir, "snapshot.json");
+
+            client.items["102"].viewCount = 1;
+
+            const options = { watched: true, unwatched: true, plan: path.join(dir, "plan.json") };
+
+            let planned;
+
+            return createSync(options).sync().then(function() {
+                planned = plan.load(options.plan).changes;
+
+                return createSync().exportSnapshot(snapshotFile);
+            }).then(function(result) {
+                assert.strictEqual(result.movies, 3);
+
+                return mymovies2plex.create(Object.assign({
+                    plexSnapshot: snapshotFile,
+                    file: path.join(dir, "Collection.xml"),
+                    movies: true
+                }, options)).sync();
+            }).then(function() {
+                assert.deepStrictEqual(plan.load(options.plan).changes, planned);
+                assert.strictEqual(planned.length, 3);
+            });
+        });
+    });
+
+    describe("sources", function() {
+        it("should leave the watched status of a title that's only rated in Trakt", function() {
+            const fileName = path.join(dir, "trakt.json");
+
+            fs.writeFileSync(fileName, JSON.stringify([
+                { rating: 8, movie: { title: "The Matrix", year: 1999, ids: { imdb: "tt0133093" } } },
+                {
+                    "watched_at": "2020-01-01T00:00:00.000Z",
+                    movie: { title: "Alien", year: 1979, ids: { imdb: "tt0078748" } }
+                }
+            ]), "utf-8");
+
+            client.items["101"].viewCount = 1;
+
+            return createSync({ sourceFormat: "trakt", file: fileName, watched: true, unwatched: true })
+                .sync()
+                .then(function(result) {
+                    assert.deepStrictEqual(result.changed.map(item => item.ratingKey), ["102"]);
+                    assert.strictEqual(client.items["101"].viewCount, 1);
+                });
+        });
+    });
+
+    describe("two-way", function() {
+        it("should retry a Plex change that failed, rather than sync it back to My Movies", function() {
+            const stateFile = path.join(dir, "sync-state.json");
+            const outputFile = path.join(dir, "Collection-updated.xml");
+
+            // last synced unwatched, then watched in My Movies
+            syncState.save(stateFile, {
+                movies: {
+                    tt0133093: { mymovies: false, plex: false },
+                    tt0078748: { mymovies: false, plex: false }
+                },
+                episodes: {}
+            });
+
+            const options = {
+                direction: mymovies2plex.DIRECTION_TWO_WAY,
+                state: stateFile,
+                output: outputFile
+            };
+
+            client.failKeys = ["101"];
+
+            return createSync(options).sync().then(function(result) {
+                assert.strictEqual(result.counts.Movies.failed, 1);
+                assert.strictEqual(client.items["201"].viewCount, 1);
+
+                // the title's Plex copies now disagree, and the second run needs all of them watched
+                client.failKeys = [];
+
+                return createSync(Object.assign({ watchedPolicy: "all" }, options)).sync();
+            }).then(function(result) {
+                assert.deepStrictEqual(result.changed.map(item => `${item.side} ${item.ratingKey || item.id}`),
+                    ["plex 101"]);
+                assert.strictEqual(client.items["101"].viewCount, 1);
+                assert.ok(!fs.existsSync(outputFile));
+
+                assert.deepStrictEqual(syncState.load(stateFile).movies.tt0133093, { mymovies: true, plex: true });
+            });
+        });
+    });
+});
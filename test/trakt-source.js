@@ -0,0 +1,67 @@
+//
+// Imports
+//
+const assert = require("assert");
+const traktSource = require("../lib/trakt-source");
+
+//
+// Constants
+//
+const LOST = { title: "Lost", year: 2004, ids: { trakt: 1, tvdb: 73739, imdb: "tt0411008", tmdb: 4607 } };
+
+const MATRIX = { title: "The Matrix", year: 1999, ids: { trakt: 2, imdb: "tt0133093", tmdb: 603 } };
+
+describe("trakt-source", function() {
+    describe("parse()", function() {
+        it("should read watched movies and shows", function() {
+            const collection = traktSource.parse(JSON.stringify([
+                { plays: 2, movie: MATRIX },
+                { plays: 1, show: LOST, seasons: [{ number: 1, episodes: [{ number: 1 }, { number: 2 }] }] }
+            ]));
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.title, title.imdb, title.tmdb, title.watched]),
+                [["The Matrix", "tt0133093", "603", true]]);
+            assert.deepStrictEqual(collection.series[0].ids, { imdb: "tt0411008", tmdb: "4607", tvdb: "73739" });
+            assert.deepStrictEqual(collection.series[0].episodes.map(episode => [episode.episode, episode.watched]),
+                [["1", true], ["2", true]]);
+        });
+
+        it("should read history", function() {
+            const collection = traktSource.parse(JSON.stringify([
+                {
+                    "watched_at": "2020-01-01T00:00:00.000Z",
+                    episode: { season: 1, number: 3, title: "Tabula Rasa" },
+                    show: LOST
+                }
+            ]));
+
+            assert.deepStrictEqual(collection.series[0].episodes.map(episode =>
+                [episode.season, episode.episode, episode.title, episode.watched]), [["1", "3", "Tabula Rasa", true]]);
+        });
+
+        it("should read ratings, without a watched status", function() {
+            const collection = traktSource.parse(JSON.stringify([
+                { rating: 9, movie: MATRIX },
+                { rating: 7, episode: { season: 1, number: 4 }, show: LOST },
+                { rating: 8, show: LOST }
+            ]));
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.watched, title.rating]), [[undefined, 9]]);
+            assert.deepStrictEqual(collection.series[0].episodes.map(episode => [episode.watched, episode.rating]),
+                [[undefined, 7]]);
+        });
+
+        it("should combine history and ratings of the same movie", function() {
+            const collection = traktSource.parse(JSON.stringify([
+                { rating: 9, movie: MATRIX },
+                { "watched_at": "2020-01-01T00:00:00.000Z", movie: MATRIX }
+            ]));
+
+            assert.deepStrictEqual(collection.titles.map(title => [title.watched, title.rating]), [[true, 9]]);
+        });
+
+        it("should need a list", function() {
+            assert.throws(() => traktSource.parse("{}"), /must be a list/);
+        });
+    });
+});
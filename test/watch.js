@@ -0,0 +1,198 @@
+//
+// Imports
+//
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const watch = require("../lib/watch");
+const temp = require("./helpers/temp");
+
+//
+// Constants
+//
+const SCROBBLE = {
+    event: "media.scrobble",
+    Account: { title: "alice" },
+    Server: { title: "plexhost" },
+    Metadata: {
+        ratingKey: "311",
+        type: "episode",
+        title: "Pilot",
+        grandparentTitle: "Lost",
+        parentIndex: 1,
+        index: 1
+    }
+};
+
+/**
+ * Makes a multipart form body, as Plex posts webhooks
+ *
+ * @param {string} boundary Boundary
+ * @param {object[]} parts Parts ({ name, type, value })
+ *
+ * @returns {Buffer} Body
+ */
+function multipart(boundary, parts) {
+    return Buffer.concat(parts.map(part => Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"\r\n` +
+            `Content-Type: ${part.type}\r\n\r\n`, "utf8"),
+        Buffer.isBuffer(part.value) ? part.value : Buffer.from(part.value, "utf8"),
+        Buffer.from("\r\n", "utf8")
+    ])).concat([Buffer.from(`--${boundary}--\r\n`, "utf8")]));
+}
+
+describe("watch", function() {
+    describe("validate()", function() {
+        const options = { watch: true, direction: "mymovies-to-plex", watchDebounce: 5 };
+
+        it("should accept a sync's options", function() {
+            assert.strictEqual(watch.validate(options, true), undefined);
+        });
+
+        it("should need --watch for --listen", function() {
+            assert.ok(/need --watch/.test(watch.validate({ listen: "8080" }, true)));
+        });
+
+        it("should not ask questions", function() {
+            assert.ok(/can't ask questions/.test(watch.validate(Object.assign({}, options, {
+                direction: "two-way",
+                conflict: "ask"
+            }), true)));
+        });
+
+        it("should not watch plans, applying or rollbacks", function() {
+            assert.ok(/can't be used with --plan/.test(watch.validate(options, false)));
+            assert.ok(/can't be used with --plan/.test(
+                watch.validate(Object.assign({ plan: "plan.json" }, options), true)));
+        });
+    });
+
+    describe("parseListen()", function() {
+        it("should read a port, or host and port", function() {
+            assert.deepStrictEqual(watch.parseListen(8080), { host: "127.0.0.1", port: 8080 });
+            assert.deepStrictEqual(watch.parseListen("0.0.0.0:32500"), { host: "0.0.0.0", port: 32500 });
+        });
+
+        it("should not read other addresses", function() {
+            assert.strictEqual(watch.parseListen("localhost"), undefined);
+            assert.strictEqual(watch.parseListen("70000"), undefined);
+        });
+    });
+
+    describe("webhookPayload()", function() {
+        it("should read the payload field of a multipart form", function() {
+            // e.g. the thumbnail, which isn't UTF-8
+            const thumb = Buffer.from([0xff, 0xd8, 0x0d, 0x0a, 0xff, 0xd9]);
+
+            const body = multipart("abc123", [
+                { name: "payload", type: "application/json", value: JSON.stringify(SCROBBLE) },
+                { name: "thumb", type: "image/jpeg", value: thumb }
+            ]);
+
+            assert.deepStrictEqual(watch.webhookPayload("multipart/form-data; boundary=abc123", body), SCROBBLE);
+        });
+
+        it("should read UTF-8 titles", function() {
+            const payload = { event: "media.scrobble", Metadata: { title: "Amélie" } };
+            const body = multipart("abc123", [
+                { name: "payload", type: "application/json", value: JSON.stringify(payload) }
+            ]);
+
+            assert.strictEqual(watch.webhookPayload("multipart/form-data; boundary=\"abc123\"", body).Metadata.title,
+                "Amélie");
+        });
+
+        it("should read plain JSON", function() {
+            assert.deepStrictEqual(watch.webhookPayload("application/json", Buffer.from(JSON.stringify(SCROBBLE))),
+                SCROBBLE);
+        });
+
+        it("should need a payload field", function() {
+            const body = multipart("abc123", [{ name: "thumb", type: "image/jpeg", value: "x" }]);
+
+            assert.throws(() => watch.webhookPayload("multipart/form-data; boundary=abc123", body), /No payload field/);
+        });
+    });
+
+    describe("scrobbleEntry()", function() {
+        it("should list an episode with its series", function() {
+            const entry = watch.scrobbleEntry(SCROBBLE);
+
+            assert.ok(entry.at);
+            assert.deepStrictEqual(Object.assign({}, entry, { at: undefined }), {
+                at: undefined,
+                account: "alice",
+                server: "plexhost",
+                ratingKey: "311",
+                type: "episode",
+                title: "Pilot",
+                series: "Lost",
+                season: 1,
+                episode: 1
+            });
+        });
+
+        it("should list a movie without a series", function() {
+            const entry = watch.scrobbleEntry({ Metadata: { ratingKey: "101", type: "movie", title: "The Matrix" } });
+
+            assert.strictEqual(entry.series, undefined);
+            assert.strictEqual(entry.account, undefined);
+        });
+    });
+
+    describe("mergeOnly()", function() {
+        it("should be everything if either run is for everything", function() {
+            assert.strictEqual(watch.mergeOnly(undefined, { ratingKeys: ["101"] }), undefined);
+            assert.strictEqual(watch.mergeOnly({ onlyChanged: true }, undefined), undefined);
+        });
+
+        it("should be what both runs are for", function() {
+            assert.deepStrictEqual(watch.mergeOnly({ ratingKeys: ["101"] }, { onlyChanged: true, ratingKeys: ["102"] }),
+                { onlyChanged: true, ratingKeys: ["101", "102"] });
+            assert.deepStrictEqual(watch.mergeOnly({ ratingKeys: ["101"] }, { ratingKeys: ["102"] }),
+                { onlyChanged: false, ratingKeys: ["101", "102"] });
+        });
+    });
+
+    describe("create()", function() {
+        let dir;
+
+        beforeEach(function() {
+            dir = temp.dir();
+        });
+
+        afterEach(function() {
+            temp.remove(dir);
+        });
+
+        it("should start with a full sync", function(done) {
+            const file = path.join(dir, "Collection.xml");
+
+            fs.writeFileSync(file, "<Collection />", "utf-8");
+
+            let syncs = [];
+
+            const watcher = watch.create({
+                sync: function(only) {
+                    syncs.push(only);
+
+                    return Promise.resolve({ changed: [{ ratingKey: "101" }], notSet: [] });
+                },
+                summary: () => ({ counts: { Movies: { failed: 0 } } })
+            }, { file: file, direction: "mymovies-to-plex", watchDebounce: 0 });
+
+            watcher.on("done", function(err, result, lastRun) {
+                assert.ifError(err);
+                assert.deepStrictEqual(syncs, [undefined]);
+                assert.strictEqual(lastRun.reason, "start");
+                assert.strictEqual(lastRun.status, "success");
+                assert.strictEqual(lastRun.changed, 1);
+                assert.strictEqual(watcher.status().runs, 1);
+
+                watcher.close(done);
+            });
+
+            watcher.start(assert.ifError);
+        });
+    });
+});